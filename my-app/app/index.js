@@ -16,58 +16,21 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import Constants from 'expo-constants';
 import axios from 'axios';
 
-// Import local product images - map product IDs to local assets
-const localProductImages = {
-  '6962f5712d7956c2f41afbd3': require('../assets/images/6962f5712d7956c2f41afbd3.png'),
-  '6962f5712d7956c2f41afbd4': require('../assets/images/6962f5712d7956c2f41afbd4.png'),
-  '6962f5712d7956c2f41afbd5': require('../assets/images/6962f5712d7956c2f41afbd5.png'),
-  '6962f5712d7956c2f41afbd6': require('../assets/images/6962f5712d7956c2f41afbd6.png'),
-  '6962f5712d7956c2f41afbd7': require('../assets/images/6962f5712d7956c2f41afbd7.png'),
-  '6962f5712d7956c2f41afbd8': require('../assets/images/6962f5712d7956c2f41afbd8.png'),
-  '6962f5712d7956c2f41afbd9': require('../assets/images/6962f5712d7956c2f41afbd9.png'),
-  '6962f5712d7956c2f41afbda': require('../assets/images/6962f5712d7956c2f41afbda.png'),
-  '6962f5712d7956c2f41afbdb': require('../assets/images/6962f5712d7956c2f41afbdb.png'),
-  '6962f5722d7956c2f41afbdc': require('../assets/images/6962f5722d7956c2f41afbdc.png'),
-  '6962f5722d7956c2f41afbdd': require('../assets/images/6962f5722d7956c2f41afbdd.png'),
-  '6962f5722d7956c2f41afbde': require('../assets/images/6962f5722d7956c2f41afbde.png'),
-  '6962f5722d7956c2f41afbe0': require('../assets/images/6962f5722d7956c2f41afbe0.png'),
-  '6962f5722d7956c2f41afbe1': require('../assets/images/6962f5722d7956c2f41afbe1.png'),
-  '6962f5722d7956c2f41afbe2': require('../assets/images/6962f5722d7956c2f41afbe2.png'),
-  '6962f5722d7956c2f41afbe3': require('../assets/images/6962f5722d7956c2f41afbe3.png'),
-  '6962f5732d7956c2f41afbe4': require('../assets/images/6962f5732d7956c2f41afbe4.png'),
-  '6962f5732d7956c2f41afbe5': require('../assets/images/6962f5732d7956c2f41afbe5.png'),
-  '6962f5732d7956c2f41afbe6': require('../assets/images/6962f5732d7956c2f41afbe6.png'),
-  '6962f5732d7956c2f41afbe7': require('../assets/images/6962f5732d7956c2f41afbe7.png'),
-  '6962f5732d7956c2f41afbe8': require('../assets/images/6962f5732d7956c2f41afbe8.png'),
-  '6962f5732d7956c2f41afbe9': require('../assets/images/6962f5732d7956c2f41afbe9.png'),
-  '6962f5732d7956c2f41afbea': require('../assets/images/6962f5732d7956c2f41afbea.png'),
-  '6962f5732d7956c2f41afbeb': require('../assets/images/6962f5732d7956c2f41afbeb.png'),
-  '6962f5732d7956c2f41afbec': require('../assets/images/6962f5732d7956c2f41afbec.png'),
-  '6962f5742d7956c2f41afbed': require('../assets/images/6962f5742d7956c2f41afbed.png'),
-  '6962f5742d7956c2f41afbee': require('../assets/images/6962f5742d7956c2f41afbee.png'),
-  '6962f5742d7956c2f41afbef': require('../assets/images/6962f5742d7956c2f41afbef.png'),
-  '6962f5742d7956c2f41afbf0': require('../assets/images/6962f5742d7956c2f41afbf0.png'),
-  '6962f5742d7956c2f41afbf1': require('../assets/images/6962f5742d7956c2f41afbf1.png'),
-  '6962f5742d7956c2f41afbf2': require('../assets/images/6962f5742d7956c2f41afbf2.png'),
-  '6962f5742d7956c2f41afbf3': require('../assets/images/6962f5742d7956c2f41afbf3.png'),
-  '6962f5752d7956c2f41afbf4': require('../assets/images/6962f5752d7956c2f41afbf4.png'),
-  '6962f5752d7956c2f41afbf5': require('../assets/images/6962f5752d7956c2f41afbf5.png'),
-};
-
 /**
  * Get image source for a product
- * Returns local asset if available, otherwise returns remote URL
+ * Images come from the server's local image store (GET /api/images/:productId/:size),
+ * which redirects to the retailer's image until the product's images have been ingested.
+ * `imageVersion` changes when the images are re-ingested, so the URL does too.
  */
-const getProductImageSource = (product) => {
-  // Get product ID (try _id first, then id, then generate from URL)
-  const productId = product._id?.toString() || product.id?.toString() || 
-    (product.url ? product.url.split('/').pop()?.split('.')[0] : null);
-  
-  // Check if we have a local image for this product ID
-  if (productId && localProductImages[productId]) {
-    return localProductImages[productId];
+const getProductImageSource = (product, size = 'thumb') => {
+  const productId = product._id?.toString() || product.id?.toString();
+
+  // Only stored products (MongoDB ObjectId) have images in the store
+  if (productId && /^[a-f0-9]{24}$/i.test(productId)) {
+    const version = product.imageVersion ? `?v=${product.imageVersion}` : '';
+    return { uri: `${API_URL}/images/${encodeURIComponent(productId)}/${size}${version}` };
   }
-  
+
   // Fallback to remote image
   const remoteImage = product.image || (product.images && product.images[0]) || 
     'https://via.placeholder.com/400';
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Catalog diff check - replays recorded runs against stored catalogs
+ * Each directory under fixtures/catalog-diff holds a scrape run's checkpoint, the product
+ * documents stored before the run and the diff it must produce. No MongoDB or browser needed.
+ *
+ * Layout: fixtures/catalog-diff/<case>/
+ *   checkpoint.json  the run's checkpoint (see scraper/checkpoint.js)
+ *   stored.json      product documents stored before the run
+ *   expected.json    { description, <diff list>: [{ url, ...fields }] } - every list named here must
+ *                    hold exactly these products (only the fields given are compared)
+ *
+ * Usage:
+ *   node server/check-catalog-diff.js
+ *   node server/check-catalog-diff.js --fixtures=fixtures/catalog-diff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { configureConfigOrExit } = require('./config');
+const { ScrapeCheckpoint } = require('./scraper/checkpoint');
+const { diffCatalog } = require('./scraper/catalogDiff');
+const { runFromCheckpoint } = require('./services/scrapeRunService');
+
+const DEFAULT_FIXTURES_DIR = 'fixtures/catalog-diff';
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Differences between a diff list and the expected entries
+ * @returns {string[]} One message per missing, unexpected or mismatched product
+ */
+function compareList(name, actual, expected) {
+  const problems = [];
+  const actualByUrl = new Map(actual.map(entry => [entry.url, entry]));
+  const expectedUrls = new Set(expected.map(entry => entry.url));
+
+  for (const entry of expected) {
+    const found = actualByUrl.get(entry.url);
+    if (!found) {
+      problems.push(`${name}: missing ${entry.url}`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(entry)) {
+      if (JSON.stringify(found[field]) !== JSON.stringify(value)) {
+        problems.push(`${name}: ${entry.url} has ${field} ${JSON.stringify(found[field])}, expected ${JSON.stringify(value)}`);
+      }
+    }
+  }
+  for (const entry of actual) {
+    if (!expectedUrls.has(entry.url)) {
+      problems.push(`${name}: unexpected ${entry.url}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Replay one fixture case
+ * @returns {string[]} Problems found (empty when the diff matches)
+ */
+function checkCase(caseDir) {
+  const checkpoint = ScrapeCheckpoint.load(path.join(caseDir, 'checkpoint.json'));
+  if (!checkpoint) {
+    return ['checkpoint.json not found'];
+  }
+  const storedDocs = readJson(path.join(caseDir, 'stored.json'));
+  const { description, ...expected } = readJson(path.join(caseDir, 'expected.json'));
+
+  const diff = diffCatalog(storedDocs, runFromCheckpoint(checkpoint));
+  return Object.entries(expected).flatMap(([name, entries]) => (
+    Array.isArray(diff[name]) ? compareList(name, diff[name], entries) : [`${name}: not a diff list`]
+  ));
+}
+
+function main() {
+  configureConfigOrExit();
+
+  const fixturesArg = process.argv.find(arg => arg.startsWith('--fixtures='));
+  const fixturesDir = path.resolve(fixturesArg ? fixturesArg.split('=')[1] : DEFAULT_FIXTURES_DIR);
+  if (!fs.existsSync(fixturesDir)) {
+    console.error(`❌ Fixtures directory not found: ${fixturesDir}`);
+    process.exit(1);
+  }
+
+  const cases = fs.readdirSync(fixturesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  let failed = 0;
+  for (const name of cases) {
+    const problems = checkCase(path.join(fixturesDir, name));
+    if (problems.length === 0) {
+      console.log(`✅ ${name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${name}`);
+      problems.forEach(problem => console.log(`   ${problem}`));
+    }
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} catalog diff cases passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Scraper checks - run the scrape orchestration offline
+ * Each check drives scraper.js in replay mode (an empty, temporary fixtures directory) or
+ * with a stand-in adapter, so no browser, network or MongoDB is needed.
+ *
+ * Usage:
+ *   node server/check-scraper.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configureConfigOrExit, getConfig } = require('./config');
+const { scrapeAllProducts, scrapeCategory } = require('./scraper');
+const { scrapeCuratedUrls } = require('./scrape-curated-urls');
+const { createAdapter } = require('./scraper/adapterRegistry');
+const RetailerAdapter = require('./scraper/retailerAdapter');
+const { configureDiscovery, getDiscoveryOptions } = require('./scraper/sitemaps');
+const { BrowserPool } = require('./scraper/browserPool');
+const { ScrapeCheckpoint } = require('./scraper/checkpoint');
+const { FixtureStore } = require('./scraper/fixtureStore');
+const { SCRAPE_EVENT_TYPES, scrapeEvents } = require('./scraper/scrapeEvents');
+
+/**
+ * Scrape events emitted while `fn` runs
+ */
+async function collectEvents(fn) {
+  const events = [];
+  const listener = event => events.push(event);
+  scrapeEvents.on('event', listener);
+  try {
+    await fn();
+  } finally {
+    scrapeEvents.off('event', listener);
+  }
+  return events;
+}
+
+// Recorded product pages: URL -> product name
+const PRODUCT_PAGES = {
+  'https://www.zara.com/ca/en/poplin-shirt-p07545062.html': 'POPLIN SHIRT',
+  'https://www.zara.com/ca/en/oxford-shirt-p04387310.html': 'OXFORD SHIRT',
+};
+
+/**
+ * Product page with only structured data (what a replayed page's DOM selectors find on it)
+ */
+function productPageHtml(name) {
+  const product = { '@context': 'https://schema.org', '@type': 'Product', name, image: [], offers: { price: '49.90', priceCurrency: 'CAD' } };
+  return `<html><head><script type="application/ld+json">${JSON.stringify(product)}</script></head><body></body></html>`;
+}
+
+/**
+ * Record PRODUCT_PAGES in the fixtures directory
+ */
+function recordProductPages(fixturesDir) {
+  const fixtures = new FixtureStore(fixturesDir);
+  for (const [url, name] of Object.entries(PRODUCT_PAGES)) {
+    fixtures.save('product', url, productPageHtml(name));
+  }
+}
+
+/**
+ * Stand-in for a replay browser page: serves recorded HTML, finds nothing through DOM selectors,
+ * and times out loading the URLs in `timeouts` (each once)
+ */
+class ReplayPage {
+  constructor(timeouts) {
+    this.timeouts = timeouts;
+    this.html = '';
+  }
+
+  async setJavaScriptEnabled() {}
+
+  async setContent(html) {
+    const match = html.match(/"name":"([^"]+)"/);
+    if (match && this.timeouts.delete(match[1])) {
+      throw new Error('Navigation timeout of 90000 ms exceeded');
+    }
+    this.html = html;
+  }
+
+  async content() {
+    return this.html;
+  }
+
+  async evaluate() {
+    return {
+      name: 'Unknown Product', price: null, materials: '', images: [], sizes: [], sizeStates: [],
+      color: '', description: '', care: [], origin: '', certifications: [],
+    };
+  }
+
+  isClosed() {
+    return false;
+  }
+}
+
+/**
+ * Browser pool handing out ReplayPages instead of launching a browser
+ */
+class ReplayPagePool extends BrowserPool {
+  constructor(timeouts) {
+    super({ size: 1 });
+    this.timeouts = timeouts;
+  }
+
+  async createPage() {
+    return new ReplayPage(this.timeouts);
+  }
+}
+
+/**
+ * Checks by name; each resolves to a list of problems (empty when it passes)
+ */
+const checks = {
+  /**
+   * A sitemap-discovery run plans its tasks with sitemap genders, which its task adapters accept
+   */
+  'sitemap run plans accepted tasks': async ({ fixturesDir }) => {
+    const options = { site: 'zara', discovery: 'sitemap', mode: 'replay', fixturesDir };
+    const events = await collectEvents(() => scrapeAllProducts({}, options));
+    const tasks = events.filter(event => event.type === SCRAPE_EVENT_TYPES.TASK_STARTED);
+    const categories = createAdapter('zara', options).getCategories();
+
+    const problems = tasks.length === 0 ? ['no task planned'] : [];
+    for (const { task, category, gender } of tasks) {
+      if (!(categories[category] || []).includes(gender)) {
+        problems.push(`${task}: gender "${gender}" is not one of ${JSON.stringify(categories[category] || [])}`);
+      }
+    }
+    return problems;
+  },
+
+  /**
+   * A product page that timed out is not checkpointed, so a resumed run fetches it again
+   */
+  'timed-out URL is retried on resume': async ({ fixturesDir }) => {
+    const urls = Object.keys(PRODUCT_PAGES);
+    recordProductPages(fixturesDir);
+
+    const checkpointPath = path.join(fixturesDir, 'retry-checkpoint.json');
+    const task = 'female_shirts';
+    const checkpoint = ScrapeCheckpoint.create(checkpointPath, 'zara', 'ca');
+    checkpoint.setProductUrls(task, urls, true);
+
+    const options = { site: 'zara', region: 'ca', mode: 'replay', fixturesDir };
+    const problems = [];
+    const firstRun = await scrapeCategory('shirts', 'female', 2, {
+      ...options, checkpoint, pool: new ReplayPagePool(new Set(['OXFORD SHIRT'])),
+    });
+    if (firstRun.length !== 1) problems.push(`first run found ${firstRun.length} products, expected 1`);
+    if (checkpoint.getUrl(task, urls[1]) !== undefined) problems.push('the timed-out URL was checkpointed');
+
+    const resumed = ScrapeCheckpoint.load(checkpointPath);
+    const secondRun = await scrapeCategory('shirts', 'female', 2, {
+      ...options, checkpoint: resumed, pool: new ReplayPagePool(new Set()),
+    });
+    const retried = resumed.getUrl(task, urls[1]);
+    if (!retried || !retried.product) problems.push('the resumed run did not extract the timed-out URL');
+    if (secondRun.length !== 2) problems.push(`resumed run found ${secondRun.length} products, expected 2`);
+    return problems;
+  },
+
+  /**
+   * A curated product page that did not load is recorded as a failed URL, not skipped
+   */
+  'curated page load failure is a failed URL': async ({ fixturesDir }) => {
+    recordProductPages(fixturesDir);
+    let progress = null;
+    await scrapeCuratedUrls({
+      region: 'ca',
+      mode: 'replay',
+      fixturesDir,
+      entries: Object.keys(PRODUCT_PAGES).map(url => ({ category: 'tops', url })),
+      pool: new ReplayPagePool(new Set(['OXFORD SHIRT'])),
+      onProgress: latest => { progress = latest; },
+    });
+
+    const [, timedOutUrl] = Object.keys(PRODUCT_PAGES);
+    const problems = [];
+    if (!progress || progress.productsFound !== 1) problems.push(`found ${progress && progress.productsFound} products, expected 1`);
+    const failures = progress ? progress.errors : [];
+    if (failures.length !== 1 || failures[0].url !== timedOutUrl || failures[0].code !== RetailerAdapter.PAGE_LOAD_FAILED) {
+      problems.push(`failed URLs are ${JSON.stringify(failures)}, expected ${timedOutUrl} with code ${RetailerAdapter.PAGE_LOAD_FAILED}`);
+    }
+    return problems;
+  },
+
+  /**
+   * A sitemap discovery that stops at maxSitemaps does not mark its listings complete, so the
+   * run diff does not report the products of the unread sitemaps as removed
+   */
+  'truncated sitemap discovery leaves listings incomplete': async ({ fixturesDir }) => {
+    const { baseUrl } = getConfig().scraper;
+    const productSitemaps = Object.keys(PRODUCT_PAGES).map((url, index) => `${baseUrl}/sitemaps/sitemap-product-ca-en-${index + 1}.xml`);
+    const fixtures = new FixtureStore(fixturesDir);
+    fixtures.save('sitemap', `${baseUrl}/robots.txt`, `${baseUrl}/sitemap-index.xml`);
+    fixtures.save('sitemap', `${baseUrl}/sitemap-index.xml`,
+      `<sitemapindex>${productSitemaps.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('')}</sitemapindex>`);
+    Object.keys(PRODUCT_PAGES).forEach((url, index) => {
+      fixtures.save('sitemap', productSitemaps[index], `<urlset><url><loc>${url}</loc></url></urlset>`);
+    });
+    recordProductPages(fixturesDir);
+
+    const task = `${RetailerAdapter.UNKNOWN_GENDER}_shirts`;
+    const previousOptions = getDiscoveryOptions();
+    const listingComplete = async (maxSitemaps) => {
+      configureDiscovery({ ...previousOptions, mode: 'sitemap', maxSitemaps });
+      const checkpoint = ScrapeCheckpoint.create(path.join(fixturesDir, `sitemap-checkpoint-${maxSitemaps}.json`), 'zara', 'ca');
+      await scrapeCategory('shirts', RetailerAdapter.UNKNOWN_GENDER, 5, {
+        site: 'zara', region: 'ca', mode: 'replay', fixturesDir, checkpoint, pool: new ReplayPagePool(new Set()),
+      });
+      return checkpoint.getTasks().find(entry => entry.taskKey === task)?.listingComplete;
+    };
+
+    const problems = [];
+    try {
+      // The index and both product sitemaps
+      if (await listingComplete(3) !== true) problems.push('a fully read discovery did not mark the listing complete');
+      if (await listingComplete(2) !== false) problems.push('a discovery stopped at maxSitemaps marked the listing complete');
+    } finally {
+      configureDiscovery(previousOptions);
+    }
+    return problems;
+  },
+};
+
+async function main() {
+  configureConfigOrExit();
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nopoly-check-'));
+
+  let failed = 0;
+  try {
+    for (const [name, check] of Object.entries(checks)) {
+      const problems = await check({ fixturesDir });
+      if (problems.length === 0) {
+        console.log(`✅ ${name}`);
+      } else {
+        failed++;
+        console.log(`❌ ${name}`);
+        problems.forEach(problem => console.log(`   ${problem}`));
+      }
+    }
+  } finally {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n${Object.keys(checks).length - failed}/${Object.keys(checks).length} scraper checks passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Scraper checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const { findProductDocuments } = require('../../db/repositories');
+
+const DEFAULT_EXPORT_FILE = 'products-export.json';
+
+/**
+ * nopoly export [file]
+ * Write stored product documents to a JSON file that `nopoly import` reads back
+ */
+module.exports = {
+  name: 'export',
+  summary: 'Export stored products to a JSON file',
+  usage: [
+    `nopoly export [file] [--site=zara] [--region=ca|all] [--limit=N]   (default file: ${DEFAULT_EXPORT_FILE})`,
+    '--dry-run counts the products without writing the file',
+  ],
+
+  needsDatabase: () => true,
+
+  run: async (args, options) => {
+    const file = args[0] || options.output || DEFAULT_EXPORT_FILE;
+    const filters = { site: options.site, region: options.region || 'all' };
+    const products = await findProductDocuments(filters, options.limit || 0);
+
+    if (!options.dryRun) {
+      const exported = { exportedAt: new Date(), filters, count: products.length, products };
+      fs.writeFileSync(file, JSON.stringify(exported, null, 2), 'utf8');
+    }
+
+    return { command: 'export', dryRun: options.dryRun, file: options.dryRun ? null : file, filters, count: products.length };
+  },
+
+  print: (result) => {
+    console.log(result.dryRun
+      ? `✅ export: ${result.count} products would be exported (dry run)`
+      : `✅ export: ${result.count} products written to ${result.file}`);
+  },
+};
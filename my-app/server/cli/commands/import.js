@@ -0,0 +1,105 @@
+const fs = require('fs');
+const { upsertProduct, documentToProduct } = require('../../db/repositories');
+const { getSiteForUrl } = require('../../scraper/adapterRegistry');
+const { usageError } = require('../options');
+
+// Skipped records listed in the output (the count covers all of them)
+const MAX_LISTED_SKIPS = 20;
+
+/**
+ * Products in an import file: a `nopoly export` file ({ products: [...] }) or a scraper
+ * output file such as zara_products.json (a plain array of products)
+ */
+function readImportFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw usageError(`Could not read ${file}: ${error.message}`);
+  }
+  const records = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+  if (!Array.isArray(records)) {
+    throw usageError(`${file} has no products (expected an array or an export file with "products")`);
+  }
+  return records;
+}
+
+/**
+ * Why a record cannot be imported, or null if it can
+ */
+function recordProblem(record) {
+  if (!record || typeof record !== 'object') return 'not an object';
+  if (typeof record.url !== 'string' || !record.url) return 'no url';
+  if (typeof record.name !== 'string' || !record.name) return 'no name';
+  if (!record.site && !getSiteForUrl(record.url)) return 'no retailer adapter handles the url';
+  return null;
+}
+
+/**
+ * nopoly import <file>
+ * Save products from an export or scraper output file through the same upsert as scrapes,
+ * so price history and size snapshots are updated
+ */
+module.exports = {
+  name: 'import',
+  summary: 'Import products from an export or scraper output file',
+  usage: [
+    'nopoly import <file> [--site=zara] [--limit=N]',
+    '--dry-run validates the file without saving anything',
+  ],
+
+  needsDatabase: (args, options) => Boolean(args[0]) && !options.dryRun,
+
+  run: async (args, options) => {
+    const file = args[0];
+    if (!file) {
+      throw usageError('import needs a file, e.g. nopoly import products-export.json');
+    }
+
+    let records = readImportFile(file);
+    if (options.site) {
+      records = records.filter(record => record && (record.site || getSiteForUrl(record.url || '')) === options.site);
+    }
+    if (options.limit) records = records.slice(0, options.limit);
+
+    let imported = 0;
+    const skipped = [];
+    for (const [index, record] of records.entries()) {
+      const problem = recordProblem(record);
+      if (problem) {
+        skipped.push({ index, url: (record && record.url) || null, reason: problem });
+        continue;
+      }
+      const product = documentToProduct({ ...record, site: record.site || getSiteForUrl(record.url) });
+      if (options.dryRun) {
+        imported++;
+        continue;
+      }
+      try {
+        await upsertProduct(product);
+        imported++;
+      } catch (error) {
+        skipped.push({ index, url: record.url, reason: error.message });
+      }
+    }
+
+    return {
+      command: 'import',
+      dryRun: options.dryRun,
+      file,
+      records: records.length,
+      imported,
+      skippedCount: skipped.length,
+      skipped: skipped.slice(0, MAX_LISTED_SKIPS),
+    };
+  },
+
+  print: (result) => {
+    const verb = result.dryRun ? 'would be imported (dry run)' : 'imported';
+    console.log(`✅ import: ${result.imported}/${result.records} products from ${result.file} ${verb}`);
+    if (result.skippedCount > 0) {
+      console.log(`   ⚠️  ${result.skippedCount} skipped:`);
+      result.skipped.forEach(({ index, url, reason }) => console.log(`      #${index} ${url || ''} ${reason}`));
+    }
+  },
+};
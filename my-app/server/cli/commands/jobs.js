@@ -0,0 +1,78 @@
+const { listScrapeJobs, findScrapeJobById } = require('../../db/scrapeJobs');
+const { usageError } = require('../options');
+
+const DEFAULT_JOB_LIMIT = 20;
+
+/**
+ * Convert a job to the output shape (same fields as /api/scrape-jobs)
+ */
+function formatJob(job) {
+  return {
+    id: job._id.toString(),
+    type: job.type,
+    status: job.status,
+    params: job.params,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    restarts: job.restarts || 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * nopoly jobs [list] | nopoly jobs show <id>
+ * Scrape jobs queued through the API (jobs run inside the server process, so they are
+ * queued and cancelled through /api/scrape-jobs)
+ */
+module.exports = {
+  name: 'jobs',
+  summary: 'List scrape jobs or show one',
+  usage: [
+    `nopoly jobs [list] [--status=running] [--type=scrape-all] [--site=zara] [--limit=N]   (default limit: ${DEFAULT_JOB_LIMIT})`,
+    'nopoly jobs show <id>',
+  ],
+
+  needsDatabase: () => true,
+
+  run: async (args, options) => {
+    const [subcommand = 'list', id] = args;
+
+    if (subcommand === 'show') {
+      if (!id) {
+        throw usageError('jobs show needs a job id');
+      }
+      const job = await findScrapeJobById(id);
+      if (!job) {
+        throw new Error(`Scrape job ${id} not found`);
+      }
+      return { command: 'jobs show', job: formatJob(job) };
+    }
+
+    if (subcommand !== 'list') {
+      throw usageError(`Unknown jobs command "${subcommand}" (expected list or show)`);
+    }
+    const filters = { status: options.status, type: options.type };
+    let jobs = await listScrapeJobs(filters, options.limit || DEFAULT_JOB_LIMIT);
+    if (options.site) {
+      jobs = jobs.filter(job => job.params && job.params.site === options.site);
+    }
+    return { command: 'jobs list', count: jobs.length, jobs: jobs.map(formatJob) };
+  },
+
+  print: (result) => {
+    const jobs = result.job ? [result.job] : result.jobs;
+    if (jobs.length === 0) {
+      console.log('No scrape jobs');
+    }
+    for (const job of jobs) {
+      const params = [job.params.site, job.params.region].filter(Boolean).join(' ');
+      const progress = job.progress ? `${job.progress.tasksDone}/${job.progress.tasksTotal} tasks, ${job.progress.productsFound} products` : '';
+      console.log(`🧰 ${job.id}  ${job.type} ${params}  ${job.status}  ${progress}`);
+      if (job.error) console.log(`   ❌ ${job.error}`);
+      if (result.job) console.log(JSON.stringify(job, null, 2));
+    }
+  },
+};
@@ -0,0 +1,56 @@
+const { findProductDocuments, updateProductFields, ensureProductIndexes } = require('../../db/repositories');
+const { ensureCuratedUrlIndexes } = require('../../db/curatedUrls');
+const { compositionFields } = require('../../scraper/compositionParser');
+
+/**
+ * nopoly reindex
+ * Create missing indexes and re-derive the composition fields of stored products from their
+ * materials text, so products saved by an older parser match what a new scrape would store
+ */
+module.exports = {
+  name: 'reindex',
+  summary: 'Create missing indexes and re-derive composition fields of stored products',
+  usage: [
+    'nopoly reindex [--site=zara] [--region=ca|all] [--limit=N]',
+    '--dry-run reports what would change without writing',
+  ],
+
+  needsDatabase: () => true,
+
+  run: async (args, options) => {
+    const indexes = await ensureProductIndexes({ dryRun: options.dryRun });
+    if (!options.dryRun) {
+      await ensureCuratedUrlIndexes();
+    }
+
+    const docs = await findProductDocuments({ site: options.site, region: options.region || 'all' }, options.limit || 0);
+    const changes = [];
+    for (const doc of docs) {
+      const derived = compositionFields(doc.composition_raw || '');
+      const changed = Object.keys(derived).filter(field => JSON.stringify(doc[field]) !== JSON.stringify(derived[field]));
+      if (changed.length === 0) continue;
+
+      changes.push({ id: doc._id.toString(), name: doc.name, fields: changed });
+      if (!options.dryRun) {
+        await updateProductFields(doc._id, derived);
+      }
+    }
+
+    return {
+      command: 'reindex',
+      dryRun: options.dryRun,
+      indexesCreated: indexes,
+      checked: docs.length,
+      updated: changes.length,
+      changes,
+    };
+  },
+
+  print: (result) => {
+    const would = result.dryRun ? ' (dry run, nothing written)' : '';
+    console.log(`✅ reindex${would}`);
+    console.log(`   Indexes ${result.dryRun ? 'missing' : 'created'}: ${result.indexesCreated.join(', ') || 'none'}`);
+    console.log(`   Products: ${result.checked} checked, ${result.updated} ${result.dryRun ? 'would change' : 'updated'}`);
+    result.changes.slice(0, 20).forEach(change => console.log(`      ${change.name}: ${change.fields.join(', ')}`));
+  },
+};
@@ -0,0 +1,290 @@
+const { scrapeAllProducts, scrapeCategory, scrapeProductUrl, taskTargetCount } = require('../../scraper');
+const { scrapeCuratedUrls } = require('../../scrape-curated-urls');
+const { createAdapter, getSiteForUrl } = require('../../scraper/adapterRegistry');
+const { DEFAULT_REGION } = require('../../scraper/regions');
+const { DISCOVERY_MODES } = require('../../scraper/sitemaps');
+const { ScrapeCheckpoint } = require('../../scraper/checkpoint');
+const { upsertProduct } = require('../../db/repositories');
+const { listCuratedUrls, seedCuratedUrls } = require('../../db/curatedUrls');
+const {
+  startScrapeRun, saveRunProduct, recordRunProgress, finishScrapeRun, failScrapeRun,
+} = require('../../services/scrapeRunService');
+const { ingestImages } = require('../../services/imagePipeline');
+const { getConfig } = require('../../config');
+const { usageError, productSummary } = require('../options');
+const curatedUrlsSeed = require('../../../config/curated-urls.json');
+
+// Kept apart from run-scraper.js's checkpoint so the two never resume each other's run
+const CLI_CHECKPOINT_PATH = '.scrape-checkpoint-cli.json';
+
+/**
+ * Save products as they are scraped (nothing is saved on a dry run)
+ * @returns {{ onProduct: Function|null, saved: () => number }}
+ */
+function productSaver(options) {
+  let saved = 0;
+  if (options.dryRun) {
+    return { onProduct: null, saved: () => saved };
+  }
+  return {
+    onProduct: async (product) => {
+      try {
+        await upsertProduct(product);
+        saved++;
+      } catch (error) {
+        console.error(`   ❌ Error saving ${product.url} to MongoDB:`, error.message);
+      }
+    },
+    saved: () => saved,
+  };
+}
+
+/**
+ * Scraper callbacks that save products through a scrape run (none on a dry run, which records no run)
+ */
+function runCallbacks(run) {
+  if (!run) return {};
+  return {
+    onProduct: (product) => saveRunProduct(run, product),
+    onProgress: (progress) => recordRunProgress(run, progress),
+  };
+}
+
+/**
+ * Download the images of the products a scrape saved (skipped on dry runs and with --skip-images)
+ */
+async function ingestScrapedImages(options, since) {
+  if (options.dryRun || options.skipImages) return null;
+  return await ingestImages({ since }).catch(error => ({ error: error.message }));
+}
+
+/**
+ * Scraper options from the configuration and the command options
+ */
+function scraperOptions(options) {
+  const { scraper } = getConfig();
+  if (options.discovery && !DISCOVERY_MODES.includes(options.discovery)) {
+    throw usageError(`Unknown discovery mode "${options.discovery}" (expected one of: ${DISCOVERY_MODES.join(', ')})`);
+  }
+  const scraperOpts = { mode: scraper.mode, fixturesDir: scraper.fixturesDir || undefined };
+  if (options.discovery) scraperOpts.discovery = options.discovery;
+  return scraperOpts;
+}
+
+const subcommands = {
+  /**
+   * nopoly scrape all
+   * Every category at the configured target counts (--limit caps each count); recorded as a scrape run
+   */
+  all: async (args, options) => {
+    const site = options.site || getConfig().scraper.site;
+    const region = options.region || DEFAULT_REGION;
+    const targetCounts = Object.fromEntries(Object.entries(getConfig().scraping.target_counts)
+      .map(([key, count]) => [key, options.limit ? Math.min(count, options.limit) : count]));
+    const scraperOpts = scraperOptions(options);
+    const startedAt = new Date();
+
+    let run = null;
+    let checkpoint = null;
+    if (!options.dryRun) {
+      checkpoint = ScrapeCheckpoint.create(CLI_CHECKPOINT_PATH, site, region);
+      run = await startScrapeRun({
+        type: 'scrape-all', site, region, source: 'cli', config: { targetCounts, discovery: scraperOpts.discovery || null }, checkpoint,
+      });
+    }
+
+    try {
+      const products = await scrapeAllProducts(targetCounts, {
+        ...scraperOpts, site, region, checkpoint, ...runCallbacks(run),
+      });
+      const runResult = run ? await finishScrapeRun(run, checkpoint) : null;
+      return {
+        site,
+        region,
+        found: products.length,
+        saved: runResult ? runResult.productsWritten : 0,
+        runId: runResult ? runResult.runId : null,
+        diff: runResult ? runResult.summary : null,
+        healthy: runResult ? runResult.health.healthy : null,
+        images: await ingestScrapedImages(options, startedAt),
+        products: products.map(productSummary),
+      };
+    } catch (error) {
+      if (run) await failScrapeRun(run, error, checkpoint).catch(() => {});
+      throw error;
+    } finally {
+      if (checkpoint) checkpoint.remove();
+    }
+  },
+
+  /**
+   * nopoly scrape category <category> <gender>
+   * One category listing; --limit is the number of products (default: the configured target count)
+   */
+  category: async (args, options) => {
+    const [category, gender] = args;
+    const site = options.site || getConfig().scraper.site;
+    const region = options.region || DEFAULT_REGION;
+    const adapterOptions = { ...scraperOptions(options), site, region };
+    // Sitemap discovery lists each category once, under the 'unknown' gender
+    const categories = createAdapter(site, adapterOptions).getCategories();
+    if (!category || !gender) {
+      throw usageError('scrape category needs a category and a gender, e.g. nopoly scrape category shirts female');
+    }
+    if (!categories[category] || !categories[category].includes(gender)) {
+      const available = Object.entries(categories).map(([key, genders]) => `${key} (${genders.join(', ')})`);
+      throw usageError(`${site} has no ${gender} ${category} listing (available: ${available.join(', ')})`);
+    }
+
+    const { target_counts: targetCounts } = getConfig().scraping;
+    const count = options.limit || taskTargetCount(targetCounts, category, gender) || 10;
+    const saver = productSaver(options);
+    const startedAt = new Date();
+    const products = await scrapeCategory(category, gender, count, {
+      ...adapterOptions, onProduct: saver.onProduct,
+    });
+
+    return {
+      site,
+      region,
+      category,
+      gender,
+      found: products.length,
+      saved: saver.saved(),
+      images: await ingestScrapedImages(options, startedAt),
+      products: products.map(productSummary),
+    };
+  },
+
+  /**
+   * nopoly scrape curated
+   * The curated URLs (--limit scrapes the first entries only); recorded as a scrape run.
+   * Dry runs read the list without marking entries
+   */
+  curated: async (args, options) => {
+    const region = options.region || DEFAULT_REGION;
+    if (!options.dryRun) {
+      await seedCuratedUrls(curatedUrlsSeed.entries);
+    }
+    let entries = await listCuratedUrls({ site: options.site });
+    if (options.limit) entries = entries.slice(0, options.limit);
+    // Entries without an _id are not marked as scraped
+    if (options.dryRun) entries = entries.map(({ category, url }) => ({ category, url }));
+
+    const scraperOpts = scraperOptions(options);
+    const startedAt = new Date();
+    const run = options.dryRun ? null : await startScrapeRun({
+      type: 'curated', site: options.site, region, source: 'cli', config: { limit: options.limit || null },
+    });
+
+    try {
+      const products = await scrapeCuratedUrls({
+        ...scraperOpts, site: options.site, region, entries, ...runCallbacks(run),
+      });
+      const runResult = run ? await finishScrapeRun(run, null) : null;
+      return {
+        site: options.site,
+        region,
+        entries: entries.length,
+        found: products.length,
+        saved: runResult ? runResult.productsWritten : 0,
+        runId: runResult ? runResult.runId : null,
+        images: await ingestScrapedImages(options, startedAt),
+        products: products.map(productSummary),
+      };
+    } catch (error) {
+      if (run) await failScrapeRun(run, error).catch(() => {});
+      throw error;
+    }
+  },
+
+  /**
+   * nopoly scrape url <url> [url...]
+   * Individual product pages, each with the adapter that handles its host
+   */
+  url: async (args, options) => {
+    if (args.length === 0) {
+      throw usageError('scrape url needs at least one product URL');
+    }
+    const unsupported = args.filter(url => !getSiteForUrl(url));
+    if (unsupported.length > 0) {
+      throw usageError(`No retailer adapter handles: ${unsupported.join(', ')}`);
+    }
+    const urls = args
+      .filter(url => !options.site || getSiteForUrl(url) === options.site)
+      .slice(0, options.limit || args.length);
+
+    const saver = productSaver(options);
+    const startedAt = new Date();
+    const products = [];
+    const failed = [];
+    for (const url of urls) {
+      console.log(`\n🔗 ${url}`);
+      try {
+        const product = await scrapeProductUrl(url, { ...scraperOptions(options), region: options.region || undefined });
+        if (!product) {
+          console.log('   ⚠️  No product data on page');
+          failed.push({ url, reason: 'no product data on page' });
+          continue;
+        }
+        console.log(`   ✅ ${product.name} - ${product.price} ${product.currency} (${product.cottonPercentage}% cotton)`);
+        products.push(product);
+        if (saver.onProduct) await saver.onProduct(product);
+      } catch (error) {
+        console.error(`   ❌ Error scraping ${url}:`, error.message);
+        failed.push({ url, reason: error.message });
+      }
+    }
+
+    return {
+      found: products.length,
+      saved: saver.saved(),
+      failed,
+      images: await ingestScrapedImages(options, startedAt),
+      products: products.map(productSummary),
+    };
+  },
+};
+
+module.exports = {
+  name: 'scrape',
+  summary: 'Scrape every category, one category, the curated URLs or single product pages',
+  usage: [
+    'nopoly scrape all [--site=zara] [--region=ca] [--discovery=sitemap] [--limit=N]',
+    'nopoly scrape category <category> <gender> [--limit=N]',
+    'nopoly scrape curated [--site=zara] [--region=us] [--limit=N]',
+    'nopoly scrape url <url> [url...]',
+    '--dry-run scrapes without saving anything; --skip-images skips image ingestion',
+  ],
+  subcommands: Object.keys(subcommands),
+
+  // Dry runs of curated scrapes still read the curated list
+  needsDatabase: (args, options) => Boolean(subcommands[args[0]]) && (!options.dryRun || args[0] === 'curated'),
+
+  run: async (args, options) => {
+    const [subcommand, ...rest] = args;
+    if (options.region === 'all') {
+      throw usageError('scrape needs a single region, e.g. --region=us');
+    }
+    if (!subcommands[subcommand]) {
+      throw usageError(subcommand
+        ? `Unknown scrape target "${subcommand}" (expected one of: ${Object.keys(subcommands).join(', ')})`
+        : `scrape needs a target: ${Object.keys(subcommands).join(', ')}`);
+    }
+    return { command: `scrape ${subcommand}`, dryRun: options.dryRun, ...await subcommands[subcommand](rest, options) };
+  },
+
+  print: (result) => {
+    const saved = result.dryRun ? 'dry run, nothing saved' : `${result.saved} saved`;
+    console.log(`\n✅ ${result.command}: ${result.found} products found (${saved})`);
+    if (result.runId && result.diff) {
+      console.log(`   Run ${result.runId}: ${result.diff.newCount} new, ${result.diff.priceChangeCount} price changes, ${result.healthy ? 'healthy' : 'UNHEALTHY'}`);
+    } else if (result.runId) {
+      console.log(`   Run ${result.runId}`);
+    }
+    if (result.images && !result.images.error) {
+      console.log(`   Images: ${result.images.ingested} ingested, ${result.images.failed} failed`);
+    }
+    (result.failed || []).forEach(({ url, reason }) => console.log(`   ⚠️  ${url}: ${reason}`));
+  },
+};
@@ -0,0 +1,44 @@
+const { getCatalogStats } = require('../../db/repositories');
+const { listCuratedUrls } = require('../../db/curatedUrls');
+const { countScrapeJobsByStatus } = require('../../db/scrapeJobs');
+
+/**
+ * nopoly stats
+ * Catalog counts by site, region and category, plus curated URLs and scrape jobs
+ */
+module.exports = {
+  name: 'stats',
+  summary: 'Catalog, curated URL and scrape job counts',
+  usage: ['nopoly stats [--site=zara] [--region=ca|all] [--limit=N categories]'],
+
+  needsDatabase: () => true,
+
+  run: async (args, options) => {
+    const catalog = await getCatalogStats({ site: options.site, region: options.region || 'all' });
+    if (options.limit) {
+      catalog.byCategory = catalog.byCategory.slice(0, options.limit);
+    }
+    const curated = await listCuratedUrls({ site: options.site });
+
+    return {
+      command: 'stats',
+      products: catalog,
+      curatedUrls: curated.length,
+      jobs: await countScrapeJobsByStatus(),
+    };
+  },
+
+  print: (result) => {
+    const { products } = result;
+    console.log(`📦 Products: ${products.total} (${products.cotton90} with 90%+ cotton, ${products.cotton100} 100% cotton)`);
+    if (products.lastUpdatedAt) {
+      console.log(`   Last updated: ${new Date(products.lastUpdatedAt).toISOString()}`);
+    }
+    products.bySite.forEach(({ site, region, count }) => console.log(`   ${site} (${region}): ${count}`));
+    console.log('📋 By category:');
+    products.byCategory.forEach(({ category, count }) => console.log(`   ${category}: ${count}`));
+    console.log(`🔗 Curated URLs: ${result.curatedUrls}`);
+    const jobs = Object.entries(result.jobs).map(([status, count]) => `${status} ${count}`).join(', ');
+    console.log(`🧰 Scrape jobs: ${jobs || 'none'}`);
+  },
+};
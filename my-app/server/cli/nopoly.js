@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * nopoly - command-line entry point for scraping, import/export and maintenance
+ *
+ * Usage:
+ *   nopoly scrape all|category|curated|url ...   # scrape and save products (see nopoly scrape --help)
+ *   nopoly export [file]                         # stored products to a JSON file
+ *   nopoly import <file>                         # products from an export or scraper output file
+ *   nopoly reindex                               # create indexes, re-derive composition fields
+ *   nopoly stats                                 # catalog, curated URL and job counts
+ *   nopoly jobs [list|show <id>]                 # scrape jobs
+ *
+ * Options (every command):
+ *   --dry-run        do not write to MongoDB or files
+ *   --limit=N        cap the number of products, entries or jobs the command handles
+ *   --site=zara      only this retailer
+ *   --json           print the result as JSON on stdout (progress goes to stderr)
+ *   --region=ca      storefront region (`all` for every region where a command reads the catalog)
+ *   --config=file    scraping config to use instead of config/scraping-config.json
+ *
+ * Exit status: 0 on success, 1 when the command fails, 2 for invalid arguments.
+ */
+
+const { parseArgs } = require('util');
+const { configureConfigOrExit } = require('../config');
+const { connect, disconnect } = require('../db/mongoClient');
+const { configureSharedPool, closeSharedPool, poolOptionsFromConfig } = require('../scraper/browserPool');
+const { configureSharedCrawlPolicy, crawlPolicyOptionsFromConfig } = require('../scraper/crawlPolicy');
+const { configureHealthThresholds, healthThresholdsFromConfig } = require('../scraper/scrapeHealth');
+const { configureDiscovery, discoveryOptionsFromConfig } = require('../scraper/sitemaps');
+const { configureRegions, regionsFromConfig } = require('../scraper/regions');
+const { configureImagePipeline, imagePipelineOptionsFromConfig } = require('../services/imagePipeline');
+const { CLI_OPTIONS, USAGE_ERROR, normalizeOptions } = require('./options');
+
+const COMMANDS = [
+  require('./commands/scrape'),
+  require('./commands/export'),
+  require('./commands/import'),
+  require('./commands/reindex'),
+  require('./commands/stats'),
+  require('./commands/jobs'),
+];
+
+function printUsage(command = null) {
+  const write = (line) => console.error(line);
+  if (command) {
+    write(`${command.summary}\n`);
+    command.usage.forEach(line => write(`  ${line}`));
+  } else {
+    write('Usage: nopoly <command> [arguments] [options]\n');
+    COMMANDS.forEach(cmd => write(`  ${cmd.name.padEnd(8)} ${cmd.summary}`));
+  }
+  write('\nOptions: --dry-run, --limit=N, --site=<site>, --json, --region=<region>, --config=<file>, --help');
+}
+
+/**
+ * Configure the shared scraper modules from the loaded configuration
+ */
+function configureScraping(scrapingConfig) {
+  configureRegions(regionsFromConfig(scrapingConfig.regions));
+  configureDiscovery(discoveryOptionsFromConfig(scrapingConfig.discovery));
+  configureSharedPool(poolOptionsFromConfig(scrapingConfig.pool));
+  configureSharedCrawlPolicy(crawlPolicyOptionsFromConfig(scrapingConfig.crawl_policy));
+  configureHealthThresholds(healthThresholdsFromConfig(scrapingConfig.scraper_health));
+  configureImagePipeline(imagePipelineOptionsFromConfig(scrapingConfig.images));
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printUsage();
+    return 2;
+  }
+
+  const [commandName, ...args] = parsed.positionals;
+  const command = COMMANDS.find(cmd => cmd.name === commandName);
+  if (!command) {
+    if (commandName) console.error(`❌ Unknown command "${commandName}"\n`);
+    printUsage();
+    return commandName ? 2 : (parsed.values.help ? 0 : 2);
+  }
+  if (parsed.values.help) {
+    printUsage(command);
+    return 0;
+  }
+
+  const config = configureConfigOrExit(parsed.values.config ? { scrapingConfigPath: parsed.values.config } : {});
+  configureScraping(config.scraping);
+
+  let options;
+  try {
+    options = normalizeOptions(parsed.values);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    printUsage(command);
+    return 2;
+  }
+
+  // Keep stdout for the JSON result; everything the scrapers log goes to stderr
+  const printResult = console.log;
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  const usesDatabase = command.needsDatabase(args, options);
+  try {
+    if (usesDatabase) {
+      await connect();
+    }
+    const result = await command.run(args, options);
+    if (options.json) {
+      printResult(JSON.stringify(result, null, 2));
+    } else {
+      command.print(result);
+    }
+    return 0;
+  } catch (error) {
+    if (error.code === USAGE_ERROR) {
+      console.error(`❌ ${error.message}\n`);
+      printUsage(command);
+      return 2;
+    }
+    console.error(`❌ ${command.name} failed: ${error.message}`);
+    if (options.json) {
+      printResult(JSON.stringify({ command: command.name, error: error.message }, null, 2));
+    }
+    return 1;
+  } finally {
+    await closeSharedPool();
+    if (usesDatabase) {
+      await disconnect();
+    }
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,95 @@
+const { isSupportedSite, listSites } = require('../scraper/adapterRegistry');
+const { isSupportedRegion, listRegions } = require('../scraper/regions');
+
+/**
+ * Options shared by every nopoly command
+ * Parsed with util.parseArgs, so `--limit=5` and `--limit 5` both work and unknown flags are errors.
+ */
+const CLI_OPTIONS = {
+  'dry-run': { type: 'boolean', default: false },
+  limit: { type: 'string' },
+  site: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  region: { type: 'string' },
+  config: { type: 'string' },
+  discovery: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  status: { type: 'string' },
+  type: { type: 'string' },
+  'skip-images': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// Error code for bad arguments (the CLI prints the command's usage and exits with status 2)
+const USAGE_ERROR = 'USAGE_ERROR';
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = USAGE_ERROR;
+  return error;
+}
+
+/**
+ * Validate the parsed options and convert them to the form commands use
+ * @param {Object} values - parseArgs values
+ * @returns {{ dryRun: boolean, limit: number|null, site: string|null, region: string|null, json: boolean,
+ *   config: string|null, discovery: string|null, output: string|null, status: string|null, type: string|null,
+ *   skipImages: boolean, help: boolean }}
+ * @throws {Error} with code USAGE_ERROR
+ */
+function normalizeOptions(values) {
+  let limit = null;
+  if (values.limit !== undefined) {
+    limit = Number(values.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw usageError(`--limit must be a positive integer (got "${values.limit}")`);
+    }
+  }
+  if (values.site && !isSupportedSite(values.site)) {
+    throw usageError(`Unknown site "${values.site}" (expected one of: ${listSites().join(', ')})`);
+  }
+  if (values.region && values.region !== 'all' && !isSupportedRegion(values.region)) {
+    throw usageError(`Unknown region "${values.region}" (expected one of: ${listRegions().map(r => r.key).join(', ')})`);
+  }
+
+  return {
+    dryRun: values['dry-run'],
+    limit,
+    site: values.site || null,
+    region: values.region || null,
+    json: values.json,
+    config: values.config || null,
+    discovery: values.discovery || null,
+    output: values.output || null,
+    status: values.status || null,
+    type: values.type || null,
+    skipImages: values['skip-images'],
+    help: values.help,
+  };
+}
+
+/**
+ * The fields of a scraped product shown in command output
+ */
+function productSummary(product) {
+  return {
+    name: product.name,
+    url: product.url,
+    site: product.site,
+    region: product.region,
+    category: product.category || null,
+    gender: product.gender || null,
+    price: product.price ?? null,
+    currency: product.currency || null,
+    cottonPercentage: product.cottonPercentage,
+    syntheticScore: product.syntheticScore ?? null,
+  };
+}
+
+module.exports = {
+  CLI_OPTIONS,
+  USAGE_ERROR,
+  usageError,
+  normalizeOptions,
+  productSummary,
+};
@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+require('dotenv').config();
+
+/**
+ * Server configuration
+ * One validated view of the three places settings come from, in increasing precedence:
+ *
+ *   config/scraping-config.json  scraping sections (target_counts, pool, crawl_policy, regions, ...)
+ *   config/settings.yaml         MongoDB, user agent, base URL and category paths
+ *   environment / .env           MONGO_URI, MONGO_DB, MONGO_COLLECTION_*, PORT, GEMINI_API_KEY, SCRAPER_*
+ *
+ * Scraping sections are kept in their snake_case file form; each module maps its own section
+ * (poolOptionsFromConfig, crawlPolicyOptionsFromConfig, ...). Invalid files fail loading with
+ * every problem listed, instead of falling back to defaults.
+ */
+
+const INVALID_CONFIG = 'INVALID_CONFIG';
+
+const DEFAULT_SCRAPING_CONFIG_PATH = require.resolve('../config/scraping-config.json');
+const DEFAULT_SETTINGS_PATH = path.join(path.dirname(DEFAULT_SCRAPING_CONFIG_PATH), 'settings.yaml');
+
+const DEFAULT_TARGET_COUNTS = {
+  'male_shirts': 5,
+  'female_shirts': 5,
+  'male_pants': 5,
+  'female_pants': 5,
+  'male_tshirts': 5,
+  'female_tshirts': 5,
+  'dresses': 10,
+  'female_tops': 5,
+  'female_skirts': 5,
+  'male_jackets': 5,
+  'female_jackets': 5
+};
+
+const DEFAULT_SETTINGS = {
+  mongo_uri: 'mongodb://localhost:27017',
+  mongo_db: 'cotton_finder',
+  mongo_collection_aritzia: 'products',
+  user_agent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  base_url: 'https://www.zara.com',
+  site: 'zara',
+  categories: null,
+};
+
+// Collection key -> [environment variable, default name]
+const COLLECTIONS = {
+  priceHistory: ['MONGO_COLLECTION_PRICE_HISTORY', 'price_history'],
+  sizeSnapshots: ['MONGO_COLLECTION_SIZE_SNAPSHOTS', 'size_snapshots'],
+  scrapeJobs: ['MONGO_COLLECTION_SCRAPE_JOBS', 'scrape_jobs'],
+  scrapeRuns: ['MONGO_COLLECTION_SCRAPE_RUNS', 'scrape_runs'],
+  curatedUrls: ['MONGO_COLLECTION_CURATED_URLS', 'curated_urls'],
+};
+
+/*
+ * Schema validators: (value, key) => array of problems ('<key> must be ...')
+ */
+const is = (test, expected) => (value, key) => (test(value) ? [] : [`${key} must be ${expected} (got ${JSON.stringify(value)})`]);
+
+const nonEmptyString = is(value => typeof value === 'string' && value.trim().length > 0, 'a non-empty string');
+const boolean = is(value => typeof value === 'boolean', 'true or false');
+const integerAtLeast = (min) => is(value => Number.isInteger(value) && value >= min, `an integer >= ${min}`);
+const percent = is(value => typeof value === 'number' && value >= 0 && value <= 100, 'a number from 0 to 100');
+const httpUrl = is(value => typeof value === 'string' && /^https?:\/\/[^/\s]+$/.test(value), 'an http(s) URL without a trailing path');
+const mongoUri = is(value => typeof value === 'string' && /^mongodb(\+srv)?:\/\//.test(value), 'a mongodb:// or mongodb+srv:// URI');
+const oneOf = (values) => is(value => values.includes(value), `one of ${values.join(', ')}`);
+const nullable = (validate) => (value, key) => (value === null ? [] : validate(value, key));
+
+const arrayOf = (validate) => (value, key) => (Array.isArray(value)
+  ? value.flatMap((item, i) => validate(item, `${key}[${i}]`))
+  : [`${key} must be a list (got ${JSON.stringify(value)})`]);
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Object whose every value passes `validate` (e.g. target_counts)
+const mapOf = (validate) => (value, key) => (isObject(value)
+  ? Object.entries(value).flatMap(([name, item]) => validate(item, `${key}.${name}`))
+  : [`${key} must be a mapping (got ${JSON.stringify(value)})`]);
+
+// Object with known, optional keys; unknown keys are reported (they are usually typos)
+const shape = (fields) => (value, key) => {
+  if (!isObject(value)) {
+    return [`${key} must be a mapping (got ${JSON.stringify(value)})`];
+  }
+  return Object.entries(value).flatMap(([name, item]) => {
+    const fieldKey = key ? `${key}.${name}` : name;
+    if (!fields[name]) {
+      return [`${fieldKey} is not a known setting (expected one of: ${Object.keys(fields).join(', ')})`];
+    }
+    return item === undefined ? [] : fields[name](item, fieldKey);
+  });
+};
+
+// Category listing paths are relative to the region's locale path (see scraper/regions.js)
+const categoryPath = is(value => typeof value === 'string' && value.length > 0 && !/^(https?:)?\/\//.test(value) && !value.startsWith('/'),
+  'a path relative to the region locale path, e.g. woman-shirts-l1217.html');
+
+const SETTINGS_FIELDS = {
+  mongo_uri: mongoUri,
+  mongo_db: nonEmptyString,
+  mongo_collection_aritzia: nonEmptyString,
+  user_agent: nonEmptyString,
+  base_url: httpUrl,
+  site: nonEmptyString,
+  categories: nullable(mapOf(shape({ male: categoryPath, female: categoryPath }))),
+};
+const SETTINGS_SCHEMA = shape(SETTINGS_FIELDS);
+
+const SCRAPING_CONFIG_SCHEMA = shape({
+  target_counts: mapOf(integerAtLeast(0)),
+  categories: mapOf(shape({ male: boolean, female: boolean })),
+  pool: shape({
+    size: integerAtLeast(1),
+    per_host_concurrency: integerAtLeast(1),
+    idle_timeout_ms: integerAtLeast(0),
+  }),
+  crawl_policy: shape({
+    respect_robots_txt: boolean,
+    user_agent_token: nonEmptyString,
+    min_host_interval_ms: integerAtLeast(0),
+    robots_cache_ttl_ms: integerAtLeast(0),
+    skip_log_file: nullable(nonEmptyString),
+  }),
+  scraper_health: shape({
+    min_product_page_rate: percent,
+    min_field_coverage: mapOf(percent),
+    min_sample_size: integerAtLeast(0),
+  }),
+  images: shape({
+    store_dir: nonEmptyString,
+    sizes: mapOf(integerAtLeast(1)),
+    quality: is(value => Number.isInteger(value) && value >= 1 && value <= 100, 'an integer from 1 to 100'),
+    max_images_per_product: integerAtLeast(1),
+  }),
+  regions: mapOf(shape({
+    name: nonEmptyString,
+    locale_path: is(value => typeof value === 'string' && /^\/[a-z]{2}\/[a-z]{2}$/.test(value), 'a locale path like /ca/en'),
+    currency: is(value => typeof value === 'string' && /^[A-Z]{3}$/.test(value), 'a three-letter currency code like CAD'),
+    currency_symbol: nonEmptyString,
+    size_system: nonEmptyString,
+  })),
+  discovery: shape({
+    mode: oneOf(['listing', 'sitemap']),
+    max_sitemaps: integerAtLeast(1),
+    cache_ttl_ms: integerAtLeast(0),
+    category_keywords: mapOf(arrayOf(nonEmptyString)),
+  }),
+  notes: mapOf(nonEmptyString),
+  example_usage: nonEmptyString,
+});
+
+/**
+ * Read and parse a config file
+ * @param {string} filePath - Absolute path, or relative to the working directory
+ * @param {Function} parse - (text) => object
+ * @param {boolean} required - Whether a missing file is a problem (otherwise it counts as empty)
+ * @param {string[]} problems - Problems found are appended here
+ */
+function readConfigFile(filePath, parse, required, problems) {
+  if (!fs.existsSync(filePath)) {
+    if (required) problems.push(`${filePath}: file not found`);
+    return {};
+  }
+  try {
+    const parsed = parse(fs.readFileSync(filePath, 'utf8'));
+    if (parsed === null || parsed === undefined) return {};
+    if (!isObject(parsed)) {
+      problems.push(`${filePath}: must contain a mapping of settings at the top level`);
+      return {};
+    }
+    return parsed;
+  } catch (error) {
+    problems.push(`${filePath}: could not be parsed (${error.message.split('\n')[0]})`);
+    return {};
+  }
+}
+
+// Environment variable -> settings.yaml key it overrides
+const ENV_SETTINGS = {
+  MONGO_URI: 'mongo_uri',
+  MONGO_DB: 'mongo_db',
+  MONGO_COLLECTION_ARITZIA: 'mongo_collection_aritzia',
+  SCRAPER_USER_AGENT: 'user_agent',
+};
+
+/**
+ * Settings from environment variables, keyed like settings.yaml
+ * @param {string[]} problems - Problems found are appended here
+ */
+function settingsFromEnv(env, problems) {
+  const settings = {};
+  for (const [envVar, key] of Object.entries(ENV_SETTINGS)) {
+    if (env[envVar]) {
+      problems.push(...SETTINGS_FIELDS[key](env[envVar], envVar).map(problem => `environment: ${problem}`));
+      settings[key] = env[envVar];
+    }
+  }
+  return settings;
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} options
+ * @param {string} options.settingsPath - YAML settings file (default: SETTINGS_FILE or config/settings.yaml)
+ * @param {string} options.scrapingConfigPath - Scraping config file (default: SCRAPING_CONFIG_FILE or
+ *   config/scraping-config.json)
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @returns {Object} Frozen configuration
+ * @throws {Error} with code INVALID_CONFIG and `problems` (one message per invalid setting)
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  // An explicitly given file must exist; the default locations are optional
+  const settingsPath = options.settingsPath || env.SETTINGS_FILE || DEFAULT_SETTINGS_PATH;
+  const scrapingConfigPath = options.scrapingConfigPath || env.SCRAPING_CONFIG_FILE || DEFAULT_SCRAPING_CONFIG_PATH;
+  const problems = [];
+
+  const settingsFile = readConfigFile(settingsPath, text => yaml.load(text), settingsPath !== DEFAULT_SETTINGS_PATH, problems);
+  const scrapingFile = readConfigFile(scrapingConfigPath, text => JSON.parse(text), scrapingConfigPath !== DEFAULT_SCRAPING_CONFIG_PATH, problems);
+
+  problems.push(...SETTINGS_SCHEMA(settingsFile, '').map(problem => `${settingsPath}: ${problem}`));
+  problems.push(...SCRAPING_CONFIG_SCHEMA(scrapingFile, '').map(problem => `${scrapingConfigPath}: ${problem}`));
+
+  const envSettings = settingsFromEnv(env, problems);
+
+  const port = env.PORT !== undefined ? Number(env.PORT) : 3000;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    problems.push(`environment: PORT must be a port number (got ${JSON.stringify(env.PORT)})`);
+  }
+  const scraperMode = env.SCRAPER_MODE || 'live';
+  problems.push(...oneOf(['live', 'record', 'replay'])(scraperMode, 'SCRAPER_MODE').map(problem => `environment: ${problem}`));
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    error.code = INVALID_CONFIG;
+    error.problems = problems;
+    throw error;
+  }
+
+  const settings = { ...DEFAULT_SETTINGS, ...settingsFile, ...envSettings };
+  const { notes, example_usage: exampleUsage, ...scraping } = scrapingFile;
+
+  return deepFreeze({
+    files: { settings: settingsPath, scraping: scrapingConfigPath },
+    server: { port },
+    mongo: {
+      uri: settings.mongo_uri,
+      db: settings.mongo_db,
+      collections: {
+        products: settings.mongo_collection_aritzia,
+        ...Object.fromEntries(Object.entries(COLLECTIONS).map(([key, [envVar, name]]) => [key, env[envVar] || name])),
+      },
+    },
+    scraper: {
+      site: settings.site,
+      baseUrl: settings.base_url,
+      userAgent: settings.user_agent,
+      categoryPaths: settings.categories,
+      mode: scraperMode,
+      fixturesDir: env.SCRAPER_FIXTURES_DIR || null,
+    },
+    gemini: {
+      apiKey: env.GEMINI_API_KEY || null,
+    },
+    scraping: {
+      ...scraping,
+      target_counts: { ...DEFAULT_TARGET_COUNTS, ...scraping.target_counts },
+    },
+  });
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+let sharedConfig = null;
+
+/**
+ * Load the configuration every module reads through getConfig()
+ * Entry points call this first when they take config paths from the command line.
+ */
+function configureConfig(options = {}) {
+  sharedConfig = loadConfig(options);
+  return sharedConfig;
+}
+
+/**
+ * Load the configuration for an entry point, exiting with the list of problems when it is invalid
+ */
+function configureConfigOrExit(options = {}) {
+  try {
+    return configureConfig(options);
+  } catch (error) {
+    if (error.code !== INVALID_CONFIG) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Get the shared configuration (loaded from the default locations on first use)
+ */
+function getConfig() {
+  if (!sharedConfig) {
+    sharedConfig = loadConfig();
+  }
+  return sharedConfig;
+}
+
+module.exports = {
+  INVALID_CONFIG,
+  DEFAULT_TARGET_COUNTS,
+  loadConfig,
+  configureConfig,
+  configureConfigOrExit,
+  getConfig,
+};
@@ -0,0 +1,213 @@
+const { getDb, toObjectId } = require('./mongoClient');
+const { getConfig } = require('../config');
+const { getAdapterClass, getSiteForUrl } = require('../scraper/adapterRegistry');
+
+// Categories the curated catalog is organized by
+const CURATED_CATEGORIES = ['tops', 'pants', 'skirts', 'dresses'];
+
+// Error codes callers can map to HTTP statuses
+const INVALID_CURATED_URL = 'INVALID_CURATED_URL';
+const DUPLICATE_CURATED_URL = 'DUPLICATE_CURATED_URL';
+
+function getCuratedUrlsCollection() {
+  return getDb().collection(getConfig().mongo.collections.curatedUrls);
+}
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = INVALID_CURATED_URL;
+  return error;
+}
+
+/**
+ * Validate a curated entry and canonicalize its URL with the adapter of its retailer
+ * @param {Object} input - { url, category, note, addedBy }; fields left undefined are not returned
+ * @returns {Object} Fields to store ({ url, site } when a URL is given, plus category, note, addedBy)
+ * @throws {Error} with code INVALID_CURATED_URL
+ */
+function curatedEntryFields(input = {}) {
+  const fields = {};
+
+  if (input.url !== undefined) {
+    const site = typeof input.url === 'string' ? getSiteForUrl(input.url) : null;
+    if (!site) {
+      throw invalid(`No retailer adapter handles "${input.url}"`);
+    }
+    fields.url = getAdapterClass(site).canonicalProductUrl(input.url);
+    fields.site = site;
+  }
+
+  if (input.category !== undefined) {
+    if (!CURATED_CATEGORIES.includes(input.category)) {
+      throw invalid(`Unknown category "${input.category}" (expected one of: ${CURATED_CATEGORIES.join(', ')})`);
+    }
+    fields.category = input.category;
+  }
+
+  if (input.note !== undefined) fields.note = String(input.note || '');
+  if (input.addedBy !== undefined) fields.addedBy = String(input.addedBy || '') || null;
+
+  return fields;
+}
+
+/**
+ * Create the unique URL index (safe to call on every startup)
+ */
+async function ensureCuratedUrlIndexes() {
+  await getCuratedUrlsCollection().createIndex({ url: 1 }, { unique: true });
+}
+
+/**
+ * Insert a curated entry
+ * @param {Object} input - { url, category, note, addedBy }
+ * @returns {Promise<Object>} The inserted entry
+ * @throws {Error} with code INVALID_CURATED_URL, or DUPLICATE_CURATED_URL if the URL is already curated
+ */
+async function createCuratedUrl(input) {
+  if (!input.url || !input.category) {
+    throw invalid('url and category are required');
+  }
+
+  const now = new Date();
+  const entry = {
+    note: '',
+    addedBy: null,
+    ...curatedEntryFields(input),
+    lastScrapedAt: null,
+    lastScrapeStatus: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    const { insertedId } = await getCuratedUrlsCollection().insertOne(entry);
+    return { _id: insertedId, ...entry };
+  } catch (error) {
+    if (error.code === 11000) {
+      const duplicate = new Error(`${entry.url} is already curated`);
+      duplicate.code = DUPLICATE_CURATED_URL;
+      throw duplicate;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update the URL, category or note of a curated entry
+ * @returns {Promise<Object|null>} The updated entry, or null if it does not exist
+ * @throws {Error} with code INVALID_CURATED_URL or DUPLICATE_CURATED_URL
+ */
+async function updateCuratedUrl(id, input) {
+  const entryId = toObjectId(id);
+  if (!entryId) return null;
+
+  const { url, category, note } = input;
+  const fields = curatedEntryFields({ url, category, note });
+  try {
+    return await getCuratedUrlsCollection().findOneAndUpdate(
+      { _id: entryId },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      const duplicate = new Error(`${fields.url} is already curated`);
+      duplicate.code = DUPLICATE_CURATED_URL;
+      throw duplicate;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a curated entry (products already scraped from it are kept)
+ * @returns {Promise<boolean>} false if the entry does not exist
+ */
+async function deleteCuratedUrl(id) {
+  const entryId = toObjectId(id);
+  if (!entryId) return false;
+  const { deletedCount } = await getCuratedUrlsCollection().deleteOne({ _id: entryId });
+  return deletedCount > 0;
+}
+
+/**
+ * Find a curated entry by id
+ * @returns {Promise<Object|null>}
+ */
+async function findCuratedUrlById(id) {
+  const entryId = toObjectId(id);
+  if (!entryId) return null;
+  return await getCuratedUrlsCollection().findOne({ _id: entryId });
+}
+
+/**
+ * List curated entries, oldest first (the order they are scraped in)
+ * @param {Object} filters - Optional { category, site, ids }
+ */
+async function listCuratedUrls(filters = {}) {
+  const query = {};
+  if (filters.category) query.category = filters.category;
+  if (filters.site) query.site = filters.site;
+  if (filters.ids) query._id = { $in: filters.ids.map(toObjectId).filter(Boolean) };
+
+  return await getCuratedUrlsCollection()
+    .find(query)
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+}
+
+/**
+ * Record the outcome of scraping a curated entry
+ * @param {string} status - 'scraped' or 'failed'
+ */
+async function markCuratedUrlScraped(id, status) {
+  await getCuratedUrlsCollection().updateOne(
+    { _id: toObjectId(id) },
+    { $set: { lastScrapedAt: new Date(), lastScrapeStatus: status } }
+  );
+}
+
+/**
+ * Insert the seed entries when the collection is empty (first start after the migration
+ * from the hard-coded list); an existing collection is never touched
+ * @param {Object[]} entries - [{ url, category, note }]
+ * @returns {Promise<number>} Number of entries inserted
+ */
+async function seedCuratedUrls(entries) {
+  await ensureCuratedUrlIndexes();
+  const collection = getCuratedUrlsCollection();
+  if (await collection.estimatedDocumentCount() > 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const docs = entries.map(entry => ({
+    note: '',
+    ...curatedEntryFields({ ...entry, addedBy: 'seed' }),
+    lastScrapedAt: null,
+    lastScrapeStatus: null,
+    createdAt: now,
+    updatedAt: now,
+  }));
+  if (docs.length === 0) return 0;
+
+  const { insertedCount } = await collection.insertMany(docs, { ordered: false });
+  console.log(`🌱 Seeded ${insertedCount} curated URLs`);
+  return insertedCount;
+}
+
+module.exports = {
+  CURATED_CATEGORIES,
+  INVALID_CURATED_URL,
+  DUPLICATE_CURATED_URL,
+  getCuratedUrlsCollection,
+  curatedEntryFields,
+  ensureCuratedUrlIndexes,
+  createCuratedUrl,
+  updateCuratedUrl,
+  deleteCuratedUrl,
+  findCuratedUrlById,
+  listCuratedUrls,
+  markCuratedUrlScraped,
+  seedCuratedUrls,
+};
@@ -1,9 +1,5 @@
-const { MongoClient } = require('mongodb');
-require('dotenv').config();
-
-const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017';
-const MONGO_DB = process.env.MONGO_DB || 'cotton_finder';
-const MONGO_COLLECTION_ARITZIA = process.env.MONGO_COLLECTION_ARITZIA || 'products';
+const { MongoClient, ObjectId } = require('mongodb');
+const { getConfig } = require('../config');
 
 let client = null;
 let db = null;
@@ -13,10 +9,11 @@ async function connect() {
     return client;
   }
 
+  const { uri, db: dbName } = getConfig().mongo;
   try {
-    client = new MongoClient(MONGO_URI);
+    client = new MongoClient(uri);
     await client.connect();
-    db = client.db(MONGO_DB);
+    db = client.db(dbName);
     console.log('✅ Connected to MongoDB');
     return client;
   } catch (error) {
@@ -42,7 +39,15 @@ function getDb() {
 }
 
 function getAritziaCollection() {
-  return getDb().collection(MONGO_COLLECTION_ARITZIA);
+  return getDb().collection(getConfig().mongo.collections.products);
+}
+
+/**
+ * Parse a document id (job, run, curated entry...), returning null for ids that are not valid ObjectIds
+ */
+function toObjectId(id) {
+  if (id instanceof ObjectId) return id;
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
 }
 
 module.exports = {
@@ -50,4 +55,5 @@ module.exports = {
   disconnect,
   getDb,
   getAritziaCollection,
+  toObjectId,
 };
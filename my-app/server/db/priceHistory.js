@@ -0,0 +1,50 @@
+const { getDb } = require('./mongoClient');
+const { getConfig } = require('../config');
+
+function getPriceHistoryCollection() {
+  return getDb().collection(getConfig().mongo.collections.priceHistory);
+}
+
+/**
+ * Whether a scraped price differs from the stored one
+ */
+function isPriceChange(previousPrice, price) {
+  if (!price) return false;
+  return !previousPrice || Math.abs(previousPrice - price) >= 0.005;
+}
+
+/**
+ * Append a price point for a product URL
+ * Called by upsertProduct when a scrape sees a product for the first time or at a new price.
+ * @param {Object} doc - Product document being saved (site, url, productId, variantId, price, currency)
+ * @param {number|null} previousPrice - Price stored before this scrape (null for new products)
+ */
+async function recordPricePoint(doc, previousPrice) {
+  await getPriceHistoryCollection().insertOne({
+    site: doc.site,
+    url: doc.url,
+    productId: doc.productId || null,
+    variantId: doc.variantId || null,
+    price: doc.price,
+    currency: doc.currency,
+    previousPrice: previousPrice || null,
+    observedAt: new Date(),
+  });
+}
+
+/**
+ * Price points for a product URL, oldest first
+ */
+async function findPriceHistory(url) {
+  return await getPriceHistoryCollection()
+    .find({ url })
+    .sort({ observedAt: 1 })
+    .toArray();
+}
+
+module.exports = {
+  getPriceHistoryCollection,
+  isPriceChange,
+  recordPricePoint,
+  findPriceHistory,
+};
@@ -1,49 +1,273 @@
+const { ObjectId } = require('mongodb');
 const { getAritziaCollection, getDb } = require('./mongoClient');
+const { getSiteDefaults } = require('../scraper/adapterRegistry');
+const { DEFAULT_REGION } = require('../scraper/regions');
+const { isPriceChange, recordPricePoint } = require('./priceHistory');
+const { diffSizeAvailability, recordSizeSnapshot } = require('./sizeSnapshots');
 
 /**
  * Convert product object to MongoDB document
  */
 function productToDict(product) {
+  const region = product.region || DEFAULT_REGION;
+  const siteDefaults = getSiteDefaults(product.site, region);
   return {
-    site: product.site || 'zara',
+    site: siteDefaults.site,
+    region,
     url: product.url,
+    productId: product.productId || null,
+    variantId: product.variantId || null,
     name: product.name,
     price: product.price || null,
-    currency: product.currency || 'CAD',
+    currency: product.currency || siteDefaults.currency,
     category: product.category || null,
     gender: product.gender || null,
+    listing_task: product.listing_task || null,
     composition_raw: product.materials || '',
     composition_parsed: product.composition_parsed || {},
+    composition_parts: product.composition_parts || [],
     cottonPercentage: product.cottonPercentage || 0,
+    cottonPercentageAllParts: product.cottonPercentageAllParts ?? product.cottonPercentage ?? 0,
+    naturalPct: product.naturalPct ?? null,
+    regeneratedPct: product.regeneratedPct ?? null,
+    syntheticPct: product.syntheticPct ?? null,
+    syntheticScore: product.syntheticScore ?? null,
     is_cotton_90: product.is_cotton_90 !== undefined ? product.is_cotton_90 : (product.cottonPercentage >= 90),
     images: product.images && Array.isArray(product.images) ? product.images : (product.image ? [product.image] : []),
     image: product.image || (product.images && product.images[0]) || '',
     color: product.color || 'Various',
-    brand: product.brand || 'Zara',
+    brand: product.brand || siteDefaults.brand,
     sizes_available: product.sizes_available || [],
+    size_availability: product.size_availability || [],
+    size_system: product.size_system || null,
+    description: product.description || null,
+    care: product.care || null,
+    origin: product.origin || null,
+    certifications: product.certifications || [],
+    extraction_sources: product.extraction_sources || {},
     // createdAt is handled in upsertProduct with $setOnInsert
     updatedAt: new Date(),
   };
 }
 
 /**
- * Upsert a single product (insert or update if URL exists)
+ * Convert a stored (or exported) product document back to the scraped product shape,
+ * so it can be saved again with upsertProduct
+ */
+function documentToProduct(doc) {
+  const { _id, createdAt, updatedAt, composition_raw: compositionRaw, ...fields } = doc;
+  return { ...fields, materials: fields.materials ?? compositionRaw ?? '' };
+}
+
+/**
+ * Split a scraped product into one product per color variant
+ * Variants share the product's name, composition and category and carry their own
+ * color, price, images, sizes and URL. Products without variant data are returned as-is.
+ */
+function expandVariants(product) {
+  const { variants, ...base } = product;
+  if (!Array.isArray(variants) || variants.length === 0) {
+    return [base];
+  }
+
+  return variants.map(variant => {
+    // The scraped variant keeps everything the page showed for it
+    if (variant.variantId === product.variantId) {
+      return { ...base, color: variant.color || base.color };
+    }
+    return {
+      ...base,
+      variantId: variant.variantId,
+      color: variant.color || base.color,
+      price: variant.price || base.price,
+      images: variant.images || [],
+      image: variant.image || '',
+      sizes_available: variant.sizes_available || [],
+      size_availability: variant.size_availability || [],
+      url: variant.url,
+    };
+  });
+}
+
+/**
+ * MongoDB documents for a scraped product, one per color variant
+ */
+function productDocuments(product) {
+  return expandVariants(product).map(productToDict);
+}
+
+/**
+ * Query condition for documents of a region
+ * Documents stored before regions were tracked have no `region` and belong to the default region.
+ */
+function regionFilter(region = DEFAULT_REGION) {
+  return region === DEFAULT_REGION ? { $in: [region, null] } : region;
+}
+
+/**
+ * Scopes of the cotton percentage filters: `main` checks the main fabric only,
+ * `all` every part of the garment (lining, pocketing, trim...)
+ */
+const COTTON_SCOPES = ['main', 'all'];
+
+/**
+ * Document field holding the cotton percentage for a cotton filter scope
+ * Documents saved before compositions were split into parts only have `cottonPercentage`
+ * until `nopoly reindex` re-derives them.
+ */
+function cottonPercentageField(scope = 'main') {
+  return scope === 'all' ? 'cottonPercentageAllParts' : 'cottonPercentage';
+}
+
+const INVALID_PRODUCT_FILTER = 'INVALID_PRODUCT_FILTER';
+
+// Fiber class filters: query parameter -> document field and comparison
+const FIBER_CLASS_FILTERS = {
+  minNaturalPct: { field: 'naturalPct', operator: '$gte' },
+  maxSyntheticPct: { field: 'syntheticPct', operator: '$lte' },
+  maxSynthetic: { field: 'syntheticScore', operator: '$lte' },
+};
+
+/**
+ * Query conditions for the fiber class filters: the main fabric's natural / synthetic share,
+ * and the synthetic-fiber score of every part (maxSynthetic, plasticFree=true for a score of 0)
+ * Documents saved before fiber classes were derived have no totals until `nopoly reindex`.
+ * @param {Object} params - Query parameters; minNaturalPct, maxSyntheticPct, maxSynthetic and
+ *   plasticFree are used when set
+ * @returns {Object} Conditions on naturalPct / syntheticPct / syntheticScore
+ * @throws {Error} With code INVALID_PRODUCT_FILTER when a value is not a percentage
+ */
+function fiberClassQuery(params) {
+  const query = {};
+  for (const [param, { field, operator }] of Object.entries(FIBER_CLASS_FILTERS)) {
+    const value = params[param];
+    if (value === undefined || value === '') continue;
+    const percent = Number(value);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      const error = new Error(`${param} must be a percentage between 0 and 100`);
+      error.code = INVALID_PRODUCT_FILTER;
+      throw error;
+    }
+    query[field] = { [operator]: percent };
+  }
+  if (params.plasticFree === 'true') {
+    query.syntheticScore = { $lte: 0 };
+  }
+  return query;
+}
+
+/**
+ * Identity of a product document: product group + color variant in a region, or the URL
+ * (which carries the region's locale path) for products without variant information
+ */
+function productKey(doc) {
+  if (doc.productId && doc.variantId) {
+    return { site: doc.site, region: regionFilter(doc.region), productId: doc.productId, variantId: doc.variantId };
+  }
+  return { url: doc.url };
+}
+
+/**
+ * Price tracking fields for a product being saved
+ * A point is appended to the price history when the product is new or its price changed;
+ * `previousPrice` keeps the price before the latest change and `lowestPrice` the lowest seen.
+ * @param {Object} doc - Product document being saved
+ * @param {Object|null} existing - Stored document, if any
+ */
+async function trackPrice(doc, existing) {
+  const storedPrice = existing ? existing.price : null;
+  const fields = {
+    previousPrice: existing ? existing.previousPrice ?? null : null,
+    lowestPrice: existing ? existing.lowestPrice ?? storedPrice : null,
+    priceChangedAt: existing ? existing.priceChangedAt ?? null : null,
+  };
+  
+  const changed = isPriceChange(storedPrice, doc.price);
+  // Products saved before price tracking existed get a first point at their current price
+  const untracked = existing && existing.lowestPrice === undefined && doc.price;
+  if (!changed && !untracked) {
+    return fields;
+  }
+  
+  await recordPricePoint(doc, changed ? storedPrice : null);
+  if (changed && storedPrice) {
+    fields.previousPrice = storedPrice;
+    fields.priceChangedAt = new Date();
+  }
+  fields.lowestPrice = fields.lowestPrice ? Math.min(fields.lowestPrice, doc.price) : doc.price;
+  return fields;
+}
+
+/**
+ * Size availability tracking fields for a product being saved
+ * A snapshot is stored when the product is new or any size changed state;
+ * `restockedSizes` lists the sizes that came back in stock on the latest change.
+ * @param {Object} doc - Product document being saved
+ * @param {Object|null} existing - Stored document, if any
+ */
+async function trackSizeAvailability(doc, existing) {
+  const fields = {
+    restockedSizes: existing ? existing.restockedSizes || [] : [],
+    restockedAt: existing ? existing.restockedAt ?? null : null,
+  };
+
+  // Keep the stored state when the page did not expose any sizes this time
+  if (doc.size_availability.length === 0) {
+    return fields;
+  }
+
+  const diff = diffSizeAvailability(existing ? existing.size_availability || null : null, doc.size_availability);
+  if (!diff.changed) {
+    return fields;
+  }
+
+  await recordSizeSnapshot(doc, diff);
+  if (diff.restocked.length > 0) {
+    fields.restockedSizes = diff.restocked;
+    fields.restockedAt = new Date();
+    console.log(`   🔁 Restocked ${doc.name} (${doc.color}): ${diff.restocked.join(', ')}`);
+  }
+  return fields;
+}
+
+/**
+ * Upsert a product (insert or update if it exists), storing one document per color variant
  */
 async function upsertProduct(product) {
   const collection = getAritziaCollection();
-  const doc = productToDict(product);
   
-  // Remove createdAt from doc since we use $setOnInsert for it
-  const { createdAt, ...docWithoutCreatedAt } = doc;
+  for (const variant of expandVariants(product)) {
+    const doc = productToDict(variant);
+    const key = productKey(doc);
+    
+    const existing = await collection.findOne(key, {
+      projection: {
+        price: 1, previousPrice: 1, lowestPrice: 1, priceChangedAt: 1,
+        size_availability: 1, restockedSizes: 1, restockedAt: 1,
+      },
+    });
+    const priceFields = await trackPrice(doc, existing);
+    const sizeFields = await trackSizeAvailability(doc, existing);
+    
+    // Remove createdAt from doc since we use $setOnInsert for it; a product scraped outside a
+    // category listing (curated URL, search) keeps the listing it was last found on
+    const { createdAt, listing_task: listingTask, ...docWithoutCreatedAt } = doc;
+    const listingFields = listingTask ? { listing_task: listingTask } : {};
+    
+    await collection.updateOne(
+      key,
+      { 
+        $set: { ...docWithoutCreatedAt, ...listingFields, ...priceFields, ...sizeFields, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
   
-  await collection.updateOne(
-    { url: product.url },
-    { 
-      $set: { ...docWithoutCreatedAt, updatedAt: new Date() },
-      $setOnInsert: { createdAt: new Date() }
-    },
-    { upsert: true }
-  );
+  // Documents stored before variants were tracked were keyed on the bare product URL
+  if (product.productId && product.variantId) {
+    await collection.deleteMany({ url: product.url.split('?')[0], variantId: null });
+  }
 }
 
 /**
@@ -59,6 +283,53 @@ async function bulkUpsertProducts(products) {
   console.log(`✅ Upserted ${products.length} products to MongoDB`);
 }
 
+/**
+ * Find a product by MongoDB `_id` (string form), legacy `id` field or URL
+ * @returns {Promise<Object|null>}
+ */
+async function findProductById(id) {
+  const collection = getAritziaCollection();
+  const conditions = [{ id }, { url: id }];
+  if (ObjectId.isValid(id)) {
+    conditions.unshift({ _id: new ObjectId(id) });
+  }
+  return await collection.findOne({ $or: conditions });
+}
+
+/**
+ * Every stored product of a retailer in a region, with the fields the run diff compares
+ */
+async function findProductsBySite(site, region = DEFAULT_REGION) {
+  const collection = getAritziaCollection();
+  return await collection.find({ site, region: regionFilter(region) }, {
+    projection: {
+      url: 1, productId: 1, variantId: 1, name: 1, color: 1, category: 1, gender: 1, listing_task: 1,
+      price: 1, currency: 1, composition_raw: 1, composition_parsed: 1, composition_parts: 1, cottonPercentage: 1, is_cotton_90: 1,
+    },
+  }).toArray();
+}
+
+/**
+ * Products whose images may need to be (re)ingested into the local image store
+ * @param {Date|null} since - Only products saved at or after this time (null for every product)
+ */
+async function findProductsForImageIngestion(since = null) {
+  const collection = getAritziaCollection();
+  return await collection.find(since ? { updatedAt: { $gte: since } } : {}, {
+    projection: { name: 1, url: 1, image: 1, images: 1, images_local: 1 },
+  }).toArray();
+}
+
+/**
+ * Record the images stored locally for a product
+ * @param {ObjectId} id - Product `_id`
+ * @param {Object} localImages - { sourceImages, count, sizes, ingestedAt }
+ */
+async function setProductLocalImages(id, localImages) {
+  const collection = getAritziaCollection();
+  await collection.updateOne({ _id: id }, { $set: { images_local: localImages } });
+}
+
 /**
  * Find cotton products (90%+ cotton) with optional filters
  */
@@ -106,6 +377,184 @@ async function searchProducts(query) {
   return results;
 }
 
+/**
+ * Group product documents into products with selectable color variants
+ * Documents sharing a site, region and productId become one entry; the first document of each
+ * group (in the given order) provides the top-level fields.
+ * @param {Object[]} products - Product documents (or already formatted products)
+ * @param {Function} format - Optional (doc) => object applied to each document
+ * @returns {Object[]} Products, each with a `variants` array (one entry per color)
+ */
+function groupProductVariants(products, format = p => p) {
+  const groups = new Map();
+
+  for (const product of products) {
+    const key = product.productId
+      ? `${product.site || ''}:${product.region || DEFAULT_REGION}:${product.productId}`
+      : `url:${product.url}`;
+    if (!groups.has(key)) {
+      groups.set(key, { ...format(product), variants: [] });
+    }
+    const group = groups.get(key);
+    const formatted = format(product);
+    group.variants.push({
+      id: formatted.id || formatted._id,
+      variantId: product.variantId || null,
+      color: formatted.color,
+      price: formatted.price,
+      lowestPrice: formatted.lowestPrice,
+      priceDrop: formatted.priceDrop,
+      image: formatted.image,
+      images: formatted.images,
+      sizes_available: formatted.sizes_available,
+      size_availability: formatted.size_availability,
+      restockedSizes: formatted.restockedSizes,
+      url: formatted.url,
+    });
+  }
+
+  return Array.from(groups.values());
+}
+
+// groupProductVariants' grouping key as an aggregation expression
+const VARIANT_GROUP_KEY = {
+  $cond: [
+    { $gt: ['$productId', ''] },
+    { site: { $ifNull: ['$site', ''] }, region: { $ifNull: ['$region', DEFAULT_REGION] }, productId: '$productId' },
+    { url: '$url' },
+  ],
+};
+
+/**
+ * Documents of the cheapest `limit` products matching a query, for groupProductVariants
+ * Variants are grouped into products in the database, so only the returned products' documents
+ * are read however many match.
+ * @param {Object} query - Product document filter
+ * @param {number} limit - Maximum number of products (each with all its matching variants)
+ * @returns {Promise<Object[]>} Documents sorted by price
+ */
+async function findProductVariantDocuments(query, limit) {
+  const collection = getAritziaCollection();
+  const groups = await collection.aggregate([
+    { $match: query },
+    { $group: { _id: VARIANT_GROUP_KEY, price: { $min: '$price' }, ids: { $push: '$_id' } } },
+    { $sort: { price: 1, _id: 1 } },
+    { $limit: limit },
+  ], { allowDiskUse: true }).toArray();
+
+  const ids = groups.flatMap(group => group.ids);
+  if (ids.length === 0) return [];
+  return await collection.find({ _id: { $in: ids } }).sort({ price: 1, _id: 1 }).toArray();
+}
+
+/**
+ * Query for product documents of a site, region and category (each optional)
+ * @param {Object} filters - { site, region ('all' or unset for every region), category }
+ */
+function productFilterQuery(filters = {}) {
+  const query = {};
+  if (filters.site) query.site = filters.site;
+  if (filters.region && filters.region !== 'all') query.region = regionFilter(filters.region);
+  if (filters.category) query.category = filters.category;
+  return query;
+}
+
+/**
+ * Stored product documents, in insertion order (for export and maintenance)
+ * @param {Object} filters - { site, region, category }, see productFilterQuery
+ * @param {number} limit - Maximum number of documents (0 for all)
+ */
+async function findProductDocuments(filters = {}, limit = 0) {
+  const collection = getAritziaCollection();
+  return await collection.find(productFilterQuery(filters)).sort({ _id: 1 }).limit(limit).toArray();
+}
+
+/**
+ * Set fields on a stored product document
+ * @param {ObjectId} id - Product `_id`
+ */
+async function updateProductFields(id, fields) {
+  const collection = getAritziaCollection();
+  await collection.updateOne({ _id: id }, { $set: fields });
+}
+
+// Indexes of the products collection: upsert key, URL lookups and text search
+const PRODUCT_INDEXES = [
+  { key: { site: 1, region: 1, productId: 1, variantId: 1 }, name: 'product_variant' },
+  { key: { url: 1 }, name: 'url' },
+  { key: { is_cotton_90: 1, category: 1 }, name: 'cotton_category' },
+  { key: { name: 'text', composition_raw: 'text' }, name: 'product_text' },
+];
+
+/**
+ * Create the products collection indexes that do not exist yet
+ * Indexes are matched by key, so indexes created earlier under another name are kept.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report which indexes are missing
+ * @returns {Promise<string[]>} Names of the indexes created (or that would be created)
+ */
+async function ensureProductIndexes({ dryRun = false } = {}) {
+  const collection = getAritziaCollection();
+  const existing = await collection.indexes().catch(() => []);
+  const sameKey = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const isText = (key) => Object.values(key).includes('text');
+  // Text indexes are stored with an internal key, and a collection can only have one
+  const missing = PRODUCT_INDEXES.filter(index => !existing.some(stored => (
+    isText(index.key) ? Boolean(stored.textIndexVersion) : sameKey(stored.key, index.key)
+  )));
+
+  if (!dryRun) {
+    for (const index of missing) {
+      await collection.createIndex(index.key, { name: index.name });
+    }
+  }
+  return missing.map(index => index.name);
+}
+
+/**
+ * Product counts for the catalog overview
+ * @param {Object} filters - { site, region, category }, see productFilterQuery
+ * @returns {Promise<{ total: number, cotton90: number, cotton100: number, bySite: Object[], byCategory: Object[],
+ *   lastUpdatedAt: Date|null }>}
+ */
+async function getCatalogStats(filters = {}) {
+  const collection = getAritziaCollection();
+  const [stats] = await collection.aggregate([
+    { $match: productFilterQuery(filters) },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            cotton90: { $sum: { $cond: ['$is_cotton_90', 1, 0] } },
+            cotton100: { $sum: { $cond: [{ $gte: ['$cottonPercentage', 100] }, 1, 0] } },
+            lastUpdatedAt: { $max: '$updatedAt' },
+          },
+        }],
+        bySite: [
+          { $group: { _id: { site: '$site', region: { $ifNull: ['$region', DEFAULT_REGION] } }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        byCategory: [
+          { $group: { _id: { $ifNull: ['$category', 'unknown'] }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+      },
+    },
+  ]).toArray();
+
+  const totals = stats.totals[0] || { total: 0, cotton90: 0, cotton100: 0, lastUpdatedAt: null };
+  return {
+    total: totals.total,
+    cotton90: totals.cotton90,
+    cotton100: totals.cotton100,
+    lastUpdatedAt: totals.lastUpdatedAt,
+    bySite: stats.bySite.map(({ _id, count }) => ({ site: _id.site, region: _id.region, count })),
+    byCategory: stats.byCategory.map(({ _id, count }) => ({ category: _id, count })),
+  };
+}
+
 /**
  * Get all products (for Gemini context)
  */
@@ -115,6 +564,24 @@ async function getAllProducts(limit = 100) {
 }
 
 module.exports = {
+  regionFilter,
+  expandVariants,
+  productDocuments,
+  documentToProduct,
+  findProductsBySite,
+  findProductsForImageIngestion,
+  setProductLocalImages,
+  COTTON_SCOPES,
+  cottonPercentageField,
+  INVALID_PRODUCT_FILTER,
+  fiberClassQuery,
+  groupProductVariants,
+  findProductVariantDocuments,
+  findProductById,
+  findProductDocuments,
+  updateProductFields,
+  ensureProductIndexes,
+  getCatalogStats,
   upsertProduct,
   bulkUpsertProducts,
   findCottonProducts,
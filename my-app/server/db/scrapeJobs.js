@@ -0,0 +1,116 @@
+const { getDb, toObjectId } = require('./mongoClient');
+const { getConfig } = require('../config');
+
+function getScrapeJobsCollection() {
+  return getDb().collection(getConfig().mongo.collections.scrapeJobs);
+}
+
+/**
+ * Insert a new queued job
+ * @param {string} type - Job type ('scrape-all' or 'curated')
+ * @param {Object} params - Job parameters (site, targetCounts, ...)
+ * @returns {Promise<Object>} The inserted job document
+ */
+async function createScrapeJob(type, params = {}) {
+  const now = new Date();
+  const job = {
+    type,
+    params,
+    status: 'queued',
+    progress: { tasksTotal: 0, tasksDone: 0, productsFound: 0, errors: [] },
+    result: null,
+    error: null,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: now,
+  };
+  const { insertedId } = await getScrapeJobsCollection().insertOne(job);
+  return { _id: insertedId, ...job };
+}
+
+/**
+ * Set fields on a job
+ */
+async function updateScrapeJob(id, fields) {
+  await getScrapeJobsCollection().updateOne(
+    { _id: toObjectId(id) },
+    { $set: { ...fields, updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Set fields on a job only while it is in one of the given statuses
+ * The check and the update are one operation, so a cancel and the worker starting the job
+ * cannot overwrite each other's status.
+ * @param {string[]} fromStatuses - Statuses the job may be in, e.g. ['queued']
+ * @returns {Promise<Object|null>} The updated job, or null if it was in another status
+ */
+async function transitionScrapeJob(id, fromStatuses, fields) {
+  const jobId = toObjectId(id);
+  if (!jobId) return null;
+  return await getScrapeJobsCollection().findOneAndUpdate(
+    { _id: jobId, status: { $in: fromStatuses } },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Find a job by id
+ * @returns {Promise<Object|null>}
+ */
+async function findScrapeJobById(id) {
+  const jobId = toObjectId(id);
+  if (!jobId) return null;
+  return await getScrapeJobsCollection().findOne({ _id: jobId });
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - Optional { status, type }
+ * @param {number} limit - Maximum number of jobs
+ */
+async function listScrapeJobs(filters = {}, limit = 50) {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.type) query.type = filters.type;
+
+  return await getScrapeJobsCollection()
+    .find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Jobs in any of the given statuses, oldest first (queue order)
+ */
+async function findScrapeJobsByStatus(statuses) {
+  return await getScrapeJobsCollection()
+    .find({ status: { $in: statuses } })
+    .sort({ createdAt: 1 })
+    .toArray();
+}
+
+/**
+ * Number of jobs in each status
+ * @returns {Promise<Object>} status -> count
+ */
+async function countScrapeJobsByStatus() {
+  const counts = await getScrapeJobsCollection()
+    .aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    .toArray();
+  return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+}
+
+module.exports = {
+  getScrapeJobsCollection,
+  createScrapeJob,
+  updateScrapeJob,
+  transitionScrapeJob,
+  findScrapeJobById,
+  listScrapeJobs,
+  findScrapeJobsByStatus,
+  countScrapeJobsByStatus,
+};
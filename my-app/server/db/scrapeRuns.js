@@ -0,0 +1,146 @@
+const { getDb, toObjectId } = require('./mongoClient');
+const { getConfig } = require('../config');
+
+function getScrapeRunsCollection() {
+  return getDb().collection(getConfig().mongo.collections.scrapeRuns);
+}
+
+// Runs recorded before runs had a type were all scrape-all runs
+const RUN_TYPE_EXPR = { $ifNull: ['$type', 'scrape-all'] };
+
+/**
+ * Insert a run that has just started
+ * @param {Object} fields - { type: 'scrape-all' | 'curated', site, region, source: 'cli' | 'job',
+ *   jobId, config }
+ * @returns {Promise<Object>} The inserted run document
+ */
+async function createScrapeRun(fields) {
+  const run = {
+    type: fields.type || 'scrape-all',
+    site: fields.site || null,
+    region: fields.region,
+    source: fields.source,
+    jobId: fields.jobId || null,
+    config: fields.config || {},
+    status: 'running',
+    tasks: [],
+    failedUrls: [],
+    failedUrlCount: 0,
+    productsWritten: 0,
+    durationMs: null,
+    summary: null,
+    diff: null,
+    health: null,
+    reportFile: null,
+    startedAt: new Date(),
+    finishedAt: null,
+  };
+  const { insertedId } = await getScrapeRunsCollection().insertOne(run);
+  return { _id: insertedId, ...run };
+}
+
+/**
+ * Set fields on a run
+ */
+async function updateScrapeRun(id, fields) {
+  await getScrapeRunsCollection().updateOne({ _id: toObjectId(id) }, { $set: fields });
+}
+
+/**
+ * Find a run by id
+ * @returns {Promise<Object|null>}
+ */
+async function findScrapeRunById(id) {
+  const runId = toObjectId(id);
+  if (!runId) return null;
+  return await getScrapeRunsCollection().findOne({ _id: runId });
+}
+
+/**
+ * Query for run list filters
+ */
+function runFilterQuery(filters) {
+  const query = {};
+  if (filters.type === 'scrape-all') {
+    query.type = { $in: ['scrape-all', null] };
+  } else if (filters.type) {
+    query.type = filters.type;
+  }
+  if (filters.site) query.site = filters.site;
+  if (filters.region) query.region = filters.region;
+  if (filters.status) query.status = filters.status;
+  if (filters.source) query.source = filters.source;
+  return query;
+}
+
+/**
+ * Runs, newest first (without their diffs and failed URL lists)
+ * @param {Object} filters - { type, site, region, status, source }
+ */
+async function listScrapeRuns(filters = {}, limit = 20) {
+  return await getScrapeRunsCollection()
+    .find(runFilterQuery(filters), { projection: { diff: 0, failedUrls: 0 } })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * The most recent completed run of each type, site and region
+ * @param {Object} filters - { type, site, region }
+ * @returns {Promise<Array<{ type, site, region, runId, startedAt, finishedAt, productsWritten }>>}
+ */
+async function findLatestCompletedRuns(filters = {}) {
+  const { type, site, region } = filters;
+  return await getScrapeRunsCollection().aggregate([
+    { $match: { ...runFilterQuery({ type, site, region }), status: 'completed' } },
+    { $sort: { finishedAt: -1 } },
+    {
+      $group: {
+        _id: { type: RUN_TYPE_EXPR, site: '$site', region: '$region' },
+        runId: { $first: '$_id' },
+        startedAt: { $first: '$startedAt' },
+        finishedAt: { $first: '$finishedAt' },
+        productsWritten: { $first: '$productsWritten' },
+      },
+    },
+    { $sort: { '_id.type': 1, '_id.site': 1, '_id.region': 1 } },
+    {
+      $project: {
+        _id: 0,
+        type: '$_id.type',
+        site: '$_id.site',
+        region: '$_id.region',
+        runId: 1,
+        startedAt: 1,
+        finishedAt: 1,
+        productsWritten: 1,
+      },
+    },
+  ]).toArray();
+}
+
+/**
+ * Runs that have a health report, newest first (without their diffs)
+ * @param {Object} filters - { site, region }
+ */
+async function listScrapeRunHealth(filters = {}, limit = 20) {
+  const query = { health: { $ne: null } };
+  if (filters.site) query.site = filters.site;
+  if (filters.region) query.region = filters.region;
+  return await getScrapeRunsCollection()
+    .find(query, { projection: { diff: 0 } })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+module.exports = {
+  getScrapeRunsCollection,
+  createScrapeRun,
+  updateScrapeRun,
+  findScrapeRunById,
+  listScrapeRuns,
+  findLatestCompletedRuns,
+  listScrapeRunHealth,
+};
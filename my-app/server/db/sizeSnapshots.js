@@ -0,0 +1,74 @@
+const { getDb } = require('./mongoClient');
+const { getConfig } = require('../config');
+
+function getSizeSnapshotsCollection() {
+  return getDb().collection(getConfig().mongo.collections.sizeSnapshots);
+}
+
+/**
+ * Compare two per-size availability lists
+ * A size is restocked when it was sold out (available: false) and is now available;
+ * sizes with an unknown state never count as a change.
+ * @param {Object[]|null} previous - Stored size_availability (null for new products)
+ * @param {Object[]} current - Scraped size_availability
+ * @returns {{ changed: boolean, restocked: string[], soldOut: string[] }}
+ */
+function diffSizeAvailability(previous, current = []) {
+  if (!previous) {
+    return { changed: current.length > 0, restocked: [], soldOut: [] };
+  }
+
+  const previousBySize = new Map(previous.map(entry => [entry.size, entry]));
+  const restocked = [];
+  const soldOut = [];
+  let changed = previous.length !== current.length;
+
+  for (const entry of current) {
+    const before = previousBySize.get(entry.size);
+    if (!before) {
+      changed = true;
+      continue;
+    }
+    if (before.state !== entry.state) changed = true;
+    if (before.available === false && entry.available === true) restocked.push(entry.size);
+    if (before.available === true && entry.available === false) soldOut.push(entry.size);
+  }
+
+  return { changed, restocked, soldOut };
+}
+
+/**
+ * Append a size availability snapshot for a product URL
+ * Called by upsertProduct when a scrape sees a product for the first time or with a new stock state.
+ * @param {Object} doc - Product document being saved (site, url, productId, variantId, size_availability)
+ * @param {{ restocked: string[], soldOut: string[] }} diff - Result of diffSizeAvailability
+ */
+async function recordSizeSnapshot(doc, diff) {
+  await getSizeSnapshotsCollection().insertOne({
+    site: doc.site,
+    url: doc.url,
+    productId: doc.productId || null,
+    variantId: doc.variantId || null,
+    sizes: doc.size_availability,
+    restocked: diff.restocked,
+    soldOut: diff.soldOut,
+    observedAt: new Date(),
+  });
+}
+
+/**
+ * Size availability snapshots for a product URL, oldest first
+ */
+async function findSizeSnapshots(url) {
+  return await getSizeSnapshotsCollection()
+    .find({ url })
+    .sort({ observedAt: 1 })
+    .toArray();
+}
+
+module.exports = {
+  getSizeSnapshotsCollection,
+  diffSizeAvailability,
+  recordSizeSnapshot,
+  findSizeSnapshots,
+};
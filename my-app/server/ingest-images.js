@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Local image ingestion
+ * Downloads product images into the local image store and resizes them (see services/imagePipeline.js).
+ * Scrapes run this automatically for the products they saved; use this script to backfill.
+ *
+ * Usage:
+ *   node server/ingest-images.js                         # every product whose images are missing or changed
+ *   node server/ingest-images.js --import=assets/images  # import <product _id>.png files as first images
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { configureConfigOrExit } = require('./config');
+const { connect, disconnect } = require('./db/mongoClient');
+const { findProductById } = require('./db/repositories');
+const { configureSharedCrawlPolicy, crawlPolicyOptionsFromConfig } = require('./scraper/crawlPolicy');
+const {
+  configureImagePipeline,
+  imagePipelineOptionsFromConfig,
+  ingestImages,
+  importProductImage,
+} = require('./services/imagePipeline');
+
+/**
+ * Import image files named after product ids (e.g. 6962f5712d7956c2f41afbd3.png)
+ */
+async function importImageDir(dir) {
+  const files = fs.readdirSync(dir).filter(file => /^[a-f0-9]{24}\.(png|jpe?g|webp)$/i.test(file));
+  console.log(`📥 Importing ${files.length} images from ${dir}`);
+
+  let imported = 0;
+  for (const file of files) {
+    const productId = path.parse(file).name;
+    const product = await findProductById(productId);
+    if (!product) {
+      console.log(`   ⚠️  No product ${productId}, skipping ${file}`);
+      continue;
+    }
+    await importProductImage(product, path.join(dir, file));
+    imported++;
+  }
+
+  console.log(`✅ Imported images for ${imported} products`);
+}
+
+async function main() {
+  const { scraping: scrapingConfig } = configureConfigOrExit();
+  const importArg = process.argv.find(arg => arg.startsWith('--import='));
+
+  configureSharedCrawlPolicy(crawlPolicyOptionsFromConfig(scrapingConfig.crawl_policy));
+  const options = configureImagePipeline(imagePipelineOptionsFromConfig(scrapingConfig.images));
+  console.log(`🖼️  Image store: ${options.storeDir}/ (${Object.entries(options.sizes).map(([size, width]) => `${size} ${width}px`).join(', ')})`);
+
+  try {
+    await connect();
+
+    if (importArg) {
+      await importImageDir(importArg.split('=')[1]);
+    } else {
+      const result = await ingestImages();
+      if (result.checked === 0) {
+        console.log('✅ All product images are up to date');
+      }
+    }
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error);
+    process.exitCode = 1;
+  } finally {
+    await disconnect();
+  }
+}
+
+main();
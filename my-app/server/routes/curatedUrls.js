@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const {
+  CURATED_CATEGORIES,
+  INVALID_CURATED_URL,
+  DUPLICATE_CURATED_URL,
+  createCuratedUrl,
+  updateCuratedUrl,
+  deleteCuratedUrl,
+  findCuratedUrlById,
+  listCuratedUrls,
+} = require('../db/curatedUrls');
+const { enqueueScrapeJob } = require('../services/scrapeJobService');
+const { DEFAULT_REGION, isSupportedRegion, listRegions } = require('../scraper/regions');
+
+/**
+ * Convert a curated entry to the API response shape
+ */
+function formatEntry(entry) {
+  return {
+    id: entry._id.toString(),
+    url: entry.url,
+    site: entry.site,
+    category: entry.category,
+    note: entry.note || '',
+    addedBy: entry.addedBy || null,
+    lastScrapedAt: entry.lastScrapedAt || null,
+    lastScrapeStatus: entry.lastScrapeStatus || null,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+  };
+}
+
+/**
+ * Respond to a validation or duplicate error from the curated URL store
+ * @returns {boolean} false if the error is not one of them
+ */
+function sendEntryError(res, error) {
+  if (error.code === INVALID_CURATED_URL) {
+    res.status(400).json({ success: false, error: error.message, categories: CURATED_CATEGORIES });
+    return true;
+  }
+  if (error.code === DUPLICATE_CURATED_URL) {
+    res.status(409).json({ success: false, error: error.message });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * GET /api/curated/urls
+ * Curated entries in scrape order
+ * Query params: category, site
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { category, site } = req.query;
+    const entries = await listCuratedUrls({ category, site });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      urls: entries.map(formatEntry)
+    });
+
+  } catch (error) {
+    console.error('List curated URLs error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/curated/urls
+ * Add a curated entry
+ * Body: { url, category, note, addedBy }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, category, note, addedBy } = req.body || {};
+    const entry = await createCuratedUrl({ url, category, note, addedBy });
+
+    res.status(201).json({
+      success: true,
+      url: formatEntry(entry)
+    });
+
+  } catch (error) {
+    if (sendEntryError(res, error)) return;
+    console.error('Create curated URL error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/curated/urls/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await findCuratedUrlById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Curated URL not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      url: formatEntry(entry)
+    });
+
+  } catch (error) {
+    console.error('Get curated URL error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/curated/urls/:id
+ * Change the URL, category or note of an entry
+ * Body: any of { url, category, note }
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { url, category, note } = req.body || {};
+    const entry = await updateCuratedUrl(req.params.id, { url, category, note });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Curated URL not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      url: formatEntry(entry)
+    });
+
+  } catch (error) {
+    if (sendEntryError(res, error)) return;
+    console.error('Update curated URL error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/curated/urls/:id
+ * Remove an entry from the curated list (products already scraped from it are kept)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteCuratedUrl(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Curated URL not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      deleted: req.params.id
+    });
+
+  } catch (error) {
+    console.error('Delete curated URL error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/curated/urls/:id/scrape
+ * Re-scrape one curated entry; queues a background job (follow it at /api/scrape-jobs/:id)
+ * Body: { region } (optional, default: ca)
+ */
+router.post('/:id/scrape', async (req, res) => {
+  try {
+    const { region = DEFAULT_REGION } = req.body || {};
+    if (!isSupportedRegion(region)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown region "${region}"`,
+        regions: listRegions().map(r => r.key)
+      });
+    }
+
+    const entry = await findCuratedUrlById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Curated URL not found'
+      });
+    }
+
+    const job = await enqueueScrapeJob('curated', { site: entry.site, region, entryId: entry._id.toString() });
+    const jobId = job._id.toString();
+
+    res.status(202).json({
+      success: true,
+      jobId,
+      status: job.status,
+      statusUrl: `/api/scrape-jobs/${jobId}`,
+      url: formatEntry(entry)
+    });
+
+  } catch (error) {
+    console.error('Scrape curated URL error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
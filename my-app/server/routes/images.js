@@ -0,0 +1,70 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const router = express.Router();
+const { findProductById } = require('../db/repositories');
+const { getImagePipelineOptions, imagePath } = require('../services/imagePipeline');
+
+// Re-ingesting a product rewrites its files at the same path, so only URLs carrying the images'
+// version (`v`, see imageVersion) are cached for good; unversioned URLs are revalidated (ETag)
+const VERSIONED_CACHE_MAX_AGE = '365d';
+
+/**
+ * GET /api/images/:productId/:size
+ * A product image from the local image store
+ * Params: productId (MongoDB `_id`), size (e.g. thumb, detail)
+ * Query params: index (position in the product's images, default 0), v (the product's
+ *   `imageVersion`, makes the response cacheable without revalidation)
+ *
+ * Images that have not been ingested yet redirect to the retailer's image URL.
+ */
+router.get('/:productId/:size', async (req, res) => {
+  try {
+    const { productId, size } = req.params;
+    const index = Math.max(parseInt(req.query.index) || 0, 0);
+    const { sizes } = getImagePipelineOptions();
+
+    if (!sizes[size]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown image size "${size}"`,
+        sizes: Object.keys(sizes)
+      });
+    }
+
+    // Product ids are ObjectId strings; anything else cannot name a stored directory
+    if (!/^[a-f0-9]{24}$/i.test(productId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found'
+      });
+    }
+
+    const file = path.resolve(imagePath(productId, size, index));
+    if (fs.existsSync(file)) {
+      return res.sendFile(file, req.query.v
+        ? { maxAge: VERSIONED_CACHE_MAX_AGE, immutable: true }
+        : { maxAge: 0 });
+    }
+
+    const product = await findProductById(productId);
+    const remoteImage = product && ((product.images || [])[index] || (index === 0 && product.image));
+    if (!remoteImage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found'
+      });
+    }
+
+    res.redirect(302, remoteImage);
+
+  } catch (error) {
+    console.error('Get image error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { getAritziaCollection } = require('../db/mongoClient');
+const { getSiteDefaults } = require('../scraper/adapterRegistry');
+const {
+  COTTON_SCOPES, cottonPercentageField, INVALID_PRODUCT_FILTER, fiberClassQuery, groupProductVariants,
+  findProductVariantDocuments, findProductById, regionFilter,
+} = require('../db/repositories');
+const { DEFAULT_REGION, isSupportedRegion } = require('../scraper/regions');
+const { findPriceHistory } = require('../db/priceHistory');
+const { findSizeSnapshots } = require('../db/sizeSnapshots');
+const { imageVersion } = require('../services/imagePipeline');
 
 /**
  * Helper function to normalize category names (same as in server.js)
@@ -45,6 +54,104 @@ function getCategoryVariations(normalizedCategory) {
   return variations[normalizedCategory] || [normalizedCategory];
 }
 
+/**
+ * Price drop since the last price change, or null if the price did not go down
+ */
+function getPriceDrop(p) {
+  if (!p.previousPrice || !p.price || p.price >= p.previousPrice) {
+    return null;
+  }
+  const amount = Math.round((p.previousPrice - p.price) * 100) / 100;
+  return {
+    from: p.previousPrice,
+    amount,
+    percent: Math.round((amount / p.previousPrice) * 100),
+    since: p.priceChangedAt || null,
+  };
+}
+
+/**
+ * Convert a product document to the API response shape
+ * Missing brand/currency fall back to the defaults of the product's retailer adapter
+ */
+function formatProduct(p) {
+  const region = p.region || DEFAULT_REGION;
+  const siteDefaults = getSiteDefaults(p.site, region);
+  return {
+    id: p._id?.toString() || p.id || p.url,
+    productId: p.productId || null,
+    variantId: p.variantId || null,
+    name: p.name,
+    brand: p.brand || siteDefaults.brand,
+    site: siteDefaults.site,
+    region,
+    price: p.price || 0,
+    lowestPrice: p.lowestPrice || p.price || 0,
+    priceDrop: getPriceDrop(p),
+    currency: p.currency || siteDefaults.currency,
+    cottonPercentage: p.cottonPercentage || 0,
+    cottonPercentageAllParts: p.cottonPercentageAllParts ?? p.cottonPercentage ?? 0,
+    materials: p.composition_raw || p.materials || '',
+    compositionParts: p.composition_parts || [],
+    naturalPct: p.naturalPct ?? null,
+    regeneratedPct: p.regeneratedPct ?? null,
+    syntheticPct: p.syntheticPct ?? null,
+    syntheticScore: p.syntheticScore ?? null,
+    color: p.color || 'Various',
+    // Image handling: try image field first, then images array, then fallback
+    image: p.image || (Array.isArray(p.images) && p.images.length > 0 ? p.images[0] : '') || '',
+    images: Array.isArray(p.images) ? p.images : (p.image ? [p.image] : []),
+    // Appended to /api/images URLs as ?v= so re-ingested images are not served from cache
+    imageVersion: imageVersion(p),
+    url: p.url,
+    category: p.category,
+    gender: p.gender || 'female',
+    sizes_available: p.sizes_available || [],
+    size_availability: p.size_availability || [],
+    size_system: p.size_system || null,
+    restockedSizes: p.restockedSizes || [],
+    restockedAt: p.restockedAt || null
+  };
+}
+
+/**
+ * Description, care, origin and certification fields of a product (detail responses only)
+ */
+function formatProductDetails(p) {
+  return {
+    description: p.description || null,
+    care: p.care || null,
+    origin: p.origin || null,
+    certifications: p.certifications || [],
+  };
+}
+
+/**
+ * Query condition for the size / inStock search filters
+ * - size + inStock=true: the size is known to be available
+ * - size only: the product comes in that size (in stock or not)
+ * - inStock=true only: at least one size is available
+ */
+function buildSizeFilter(size, inStock) {
+  if (size) {
+    const sizeRegex = new RegExp(`^${size.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    if (inStock) {
+      return {
+        $or: [
+          { size_availability: { $elemMatch: { size: sizeRegex, available: true } } },
+          // Products scraped before per-size state only list the sizes shown as available
+          { size_availability: { $in: [null, []] }, sizes_available: sizeRegex },
+        ]
+      };
+    }
+    return { $or: [{ 'size_availability.size': sizeRegex }, { sizes_available: sizeRegex }] };
+  }
+  if (inStock) {
+    return { 'size_availability.available': true };
+  }
+  return null;
+}
+
 /**
  * GET /api/products/search
  * Search products by query and filter by category
@@ -53,7 +160,20 @@ function getCategoryVariations(normalizedCategory) {
  *   - q: search query (searches in name, category, materials)
  *   - category: filter by category (tops, pants, skirts, dresses)
  *   - minCotton: minimum cotton percentage (default: 90)
- *   - limit: max results (default: 50)
+ *   - cottonScope: main (default) to apply minCotton to the main fabric only, all to every part
+ *     (lining, pocketing, trim...)
+ *   - minNaturalPct: minimum share of natural fibers in the main fabric (0-100)
+ *   - maxSyntheticPct: maximum share of synthetic fibers in the main fabric (0-100)
+ *   - maxSynthetic: maximum synthetic-fiber score (highest synthetic share of any part, 0-100)
+ *   - plasticFree: true to only return products without synthetic fibers in any part
+ *   - site: filter by retailer site key (e.g. zara)
+ *   - region: storefront region (ca, us, uk; default: ca, 'all' for every region)
+ *   - size: only products offered in this size (e.g. M, 38)
+ *   - inStock: true to only return products in stock (in `size` when given)
+ *   - limit: max products (default: 50), each with all its matching colors
+ *
+ * Results are grouped by product: each result is one product (top-level fields from its
+ * first matching color) with a `variants` array listing every matching color.
  */
 router.get('/search', async (req, res) => {
   try {
@@ -61,19 +181,48 @@ router.get('/search', async (req, res) => {
       q = '', 
       category = '', 
       minCotton = 90, 
+      cottonScope = 'main',
+      site = '',
+      region = DEFAULT_REGION,
+      size = '',
+      inStock = '',
       limit = 50 
     } = req.query;
 
-    const collection = getAritziaCollection();
-    
+    if (region !== 'all' && !isSupportedRegion(region)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported region "${region}"`
+      });
+    }
+
+    if (!COTTON_SCOPES.includes(cottonScope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown cottonScope "${cottonScope}" (expected one of: ${COTTON_SCOPES.join(', ')})`
+      });
+    }
+
+    let fiberQuery;
+    try {
+      fiberQuery = fiberClassQuery(req.query);
+    } catch (error) {
+      if (error.code !== INVALID_PRODUCT_FILTER) throw error;
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     // Build base query for cotton percentage
-    const query = {};
+    const query = { ...fiberQuery };
+    const cottonField = cottonPercentageField(cottonScope);
     
     // Filter for cotton percentage (include 0% if curated, for extraction issues)
     const minCottonNum = parseInt(minCotton);
     if (minCottonNum >= 90) {
       query.$or = [
-        { cottonPercentage: { $gte: minCottonNum } },
+        { [cottonField]: { $gte: minCottonNum } },
         // Include products with 0% cotton if they're in curated categories
         {
           $and: [
@@ -83,7 +232,17 @@ router.get('/search', async (req, res) => {
         }
       ];
     } else {
-      query.cottonPercentage = { $gte: minCottonNum };
+      query[cottonField] = { $gte: minCottonNum };
+    }
+
+    // Add retailer filter if specified
+    if (site && site !== 'all') {
+      query.site = site;
+    }
+
+    // Prices and sizes differ between storefronts, so results stay in one region unless asked
+    if (region !== 'all') {
+      query.region = regionFilter(region);
     }
 
     // Add category filter if specified (with normalization)
@@ -158,14 +317,18 @@ router.get('/search', async (req, res) => {
       }
     }
 
+    // Add size / stock filter if specified
+    const sizeFilter = buildSizeFilter(size, inStock === 'true');
+    if (sizeFilter) {
+      query.$and = query.$and || [];
+      query.$and.push(sizeFilter);
+    }
+
     console.log('Search query:', JSON.stringify(query, null, 2));
 
-    // Execute query
-    let products = await collection
-      .find(query)
-      .sort({ price: 1 })
-      .limit(parseInt(limit))
-      .toArray();
+    // Only the documents of the first `limit` products are read (limit counts products, not colors);
+    // the category filter matches the normalized category's variations only
+    let products = await findProductVariantDocuments(query, Math.max(parseInt(limit) || 50, 1));
 
     // Normalize categories in results
     products = products.map(product => {
@@ -178,37 +341,16 @@ router.get('/search', async (req, res) => {
       return product;
     });
 
-    // Filter again by normalized category if category filter was provided
-    if (normalizedCategoryFilter) {
-      products = products.filter(p => 
-        p.category && normalizeCategory(p.category) === normalizedCategoryFilter
-      );
-    }
+    // One result per product, colors as selectable variants
+    const grouped = groupProductVariants(products, formatProduct);
 
-    console.log(`Found ${products.length} products`);
+    console.log(`Found ${grouped.length} products (${products.length} variants)`);
 
     // Return results with proper image handling
     res.json({
       success: true,
-      count: products.length,
-      products: products.map(p => ({
-        id: p._id?.toString() || p.id || p.url,
-        name: p.name,
-        brand: p.brand || 'Zara',
-        site: p.site || 'zara',
-        price: p.price || 0,
-        currency: p.currency || 'CAD',
-        cottonPercentage: p.cottonPercentage || 0,
-        materials: p.composition_raw || p.materials || '',
-        color: p.color || 'Various',
-        // Image handling: try image field first, then images array, then fallback
-        image: p.image || (Array.isArray(p.images) && p.images.length > 0 ? p.images[0] : '') || '',
-        images: Array.isArray(p.images) ? p.images : (p.image ? [p.image] : []),
-        url: p.url,
-        category: p.category,
-        gender: p.gender || 'female',
-        sizes_available: p.sizes_available || []
-      }))
+      count: grouped.length,
+      products: grouped
     });
 
   } catch (error) {
@@ -243,6 +385,92 @@ router.get('/categories', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/products/:id/price-history
+ * Price points recorded for a product (oldest first), one per observed price change
+ */
+router.get('/:id/price-history', async (req, res) => {
+  try {
+    const product = await findProductById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const history = await findPriceHistory(product.url);
+
+    res.json({
+      success: true,
+      productId: product._id.toString(),
+      url: product.url,
+      currency: product.currency || getSiteDefaults(product.site, product.region).currency,
+      price: product.price || 0,
+      lowestPrice: product.lowestPrice || product.price || 0,
+      priceDrop: getPriceDrop(product),
+      history: history.map(point => ({
+        price: point.price,
+        previousPrice: point.previousPrice,
+        currency: point.currency,
+        observedAt: point.observedAt,
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/products/:id/availability
+ * Current per-size stock state and the snapshots recorded whenever it changed (oldest first)
+ */
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const product = await findProductById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const snapshots = await findSizeSnapshots(product.url);
+
+    res.json({
+      success: true,
+      productId: product._id.toString(),
+      url: product.url,
+      color: product.color || 'Various',
+      sizes: product.size_availability || [],
+      sizes_available: product.sizes_available || [],
+      restockedSizes: product.restockedSizes || [],
+      restockedAt: product.restockedAt || null,
+      updatedAt: product.updatedAt || null,
+      history: snapshots.map(snapshot => ({
+        sizes: snapshot.sizes,
+        restocked: snapshot.restocked,
+        soldOut: snapshot.soldOut,
+        observedAt: snapshot.observedAt,
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/products/:id
  * Get single product by ID
@@ -250,13 +478,7 @@ router.get('/categories', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const collection = getAritziaCollection();
-    const product = await collection.findOne({ 
-      $or: [
-        { _id: req.params.id },
-        { id: req.params.id },
-        { url: req.params.id }
-      ]
-    });
+    const product = await findProductById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -265,25 +487,20 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    // Include the other colors of the same product, the requested one first
+    const siblings = product.productId
+      ? await collection.find({
+        site: product.site,
+        region: regionFilter(product.region || DEFAULT_REGION),
+        productId: product.productId,
+        _id: { $ne: product._id },
+      }).sort({ price: 1 }).toArray()
+      : [];
+    const [grouped] = groupProductVariants([product, ...siblings], formatProduct);
+
     res.json({
       success: true,
-      product: {
-        id: product._id?.toString() || product.id || product.url,
-        name: product.name,
-        brand: product.brand || 'Zara',
-        site: product.site || 'zara',
-        price: product.price || 0,
-        currency: product.currency || 'CAD',
-        cottonPercentage: product.cottonPercentage || 0,
-        materials: product.composition_raw || product.materials || '',
-        color: product.color || 'Various',
-        image: product.image || (Array.isArray(product.images) && product.images.length > 0 ? product.images[0] : '') || '',
-        images: Array.isArray(product.images) ? product.images : (product.image ? [product.image] : []),
-        url: product.url,
-        category: product.category,
-        gender: product.gender || 'female',
-        sizes_available: product.sizes_available || []
-      }
+      product: { ...grouped, ...formatProductDetails(product) }
     });
 
   } catch (error) {
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { findScrapeJobById, listScrapeJobs } = require('../db/scrapeJobs');
+const { cancelScrapeJob } = require('../services/scrapeJobService');
+
+/**
+ * Convert a job document to the API response shape
+ */
+function formatJob(job) {
+  return {
+    id: job._id.toString(),
+    type: job.type,
+    status: job.status,
+    params: job.params,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    restarts: job.restarts || 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * GET /api/scrape-jobs
+ * Job history, newest first
+ * Query params: status, type, limit (default 50)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, type, limit = 50 } = req.query;
+    const jobs = await listScrapeJobs({ status, type }, Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs: jobs.map(formatJob)
+    });
+
+  } catch (error) {
+    console.error('List scrape jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scrape-jobs/:id
+ * Job status and progress (tasks done, products found, errors)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await findScrapeJobById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scrape job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job)
+    });
+
+  } catch (error) {
+    console.error('Get scrape job error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/scrape-jobs/:id
+ * Cancel a queued or running job
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { job, cancelled } = await cancelScrapeJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scrape job not found'
+      });
+    }
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: `Scrape job already ${job.status}`,
+        job: formatJob(job)
+      });
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job)
+    });
+
+  } catch (error) {
+    console.error('Cancel scrape job error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const { findScrapeRunById, listScrapeRuns, findLatestCompletedRuns } = require('../db/scrapeRuns');
+
+const DEFAULT_RUN_LIMIT = 20;
+const MAX_RUN_LIMIT = 100;
+
+/**
+ * Convert a run to the API shape (the diff is served by /:id/diff)
+ */
+function formatRun(run) {
+  return {
+    runId: run._id.toString(),
+    type: run.type || 'scrape-all',
+    site: run.site,
+    region: run.region,
+    source: run.source,
+    jobId: run.jobId,
+    status: run.status,
+    config: run.config || null,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs ?? null,
+    productsWritten: run.productsWritten ?? null,
+    tasks: run.tasks || [],
+    failedUrlCount: run.failedUrlCount ?? null,
+    summary: run.summary,
+    healthy: run.health ? run.health.healthy : null,
+    error: run.error || null,
+    reportFile: run.reportFile,
+  };
+}
+
+/**
+ * GET /api/scrape-runs
+ * Recorded scrape-all and curated runs, newest first, and the latest completed run of each
+ * type, site and region (`freshness`)
+ * Query params: type (scrape-all | curated), site, region, status, source (cli | job), limit (default 20)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { type, site, region, status, source, limit } = req.query;
+    const runLimit = Math.min(parseInt(limit) || DEFAULT_RUN_LIMIT, MAX_RUN_LIMIT);
+
+    const runs = await listScrapeRuns({ type, site, region, status, source }, runLimit);
+    const freshness = await findLatestCompletedRuns({ type, site, region });
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs: runs.map(formatRun),
+      freshness: freshness.map(latest => ({ ...latest, runId: latest.runId.toString() })),
+    });
+
+  } catch (error) {
+    console.error('List scrape runs error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scrape-runs/:id
+ * One run with its failed URLs (error message per URL)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await findScrapeRunById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scrape run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      run: { ...formatRun(run), failedUrls: run.failedUrls || [] }
+    });
+
+  } catch (error) {
+    console.error('Get scrape run error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scrape-runs/:id/diff
+ * What a scrape run changed compared with the catalog stored before it started:
+ * new, removed and delisted products, price changes and composition changes
+ */
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const run = await findScrapeRunById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scrape run not found'
+      });
+    }
+
+    if (!run.diff) {
+      return res.status(409).json({
+        success: false,
+        error: run.status === 'running' ? 'Scrape run is still running' : `Scrape run ${run.status} without a diff`,
+        status: run.status
+      });
+    }
+
+    res.json({
+      success: true,
+      runId: run._id.toString(),
+      site: run.site,
+      status: run.status,
+      jobId: run.jobId,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      reportFile: run.reportFile,
+      ...run.diff
+    });
+
+  } catch (error) {
+    console.error('Get scrape run diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
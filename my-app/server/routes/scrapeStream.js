@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { scrapeEvents } = require('../scraper/scrapeEvents');
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * GET /api/scrape/stream
+ * Live scrape progress as Server-Sent Events
+ * Query params: jobId (only events of that scrape job)
+ *
+ * Each message's `event` is the scrape event type (run:started, task:started, url:fetched,
+ * product:extracted, product:skipped, task:finished, run:finished) and `data` is the event JSON.
+ */
+router.get('/', (req, res) => {
+  const { jobId } = req.query;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`: connected${jobId ? ` (job ${jobId})` : ''}\n\n`);
+
+  const onEvent = (event) => {
+    if (jobId && event.jobId !== jobId) {
+      return;
+    }
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  scrapeEvents.on('event', onEvent);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    scrapeEvents.off('event', onEvent);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const { listScrapeRunHealth } = require('../db/scrapeRuns');
+const { HEALTH_FIELDS, getHealthThresholds } = require('../scraper/scrapeHealth');
+
+/**
+ * Average of the non-null values, rounded to one decimal
+ */
+function average(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return null;
+  return Math.round((present.reduce((sum, value) => sum + value, 0) / present.length) * 10) / 10;
+}
+
+/**
+ * Per-metric values across runs (newest first) and the latest run's change from the
+ * average of the runs before it
+ */
+function buildTrend(runs) {
+  const metrics = {
+    productPageRate: run => run.health.productPageRate,
+    ...Object.fromEntries(Object.keys(HEALTH_FIELDS).map(field => [field, run => run.health.fieldCoverage[field]])),
+  };
+
+  const trend = {};
+  for (const [metric, read] of Object.entries(metrics)) {
+    const values = runs.map(read);
+    const baseline = average(values.slice(1));
+    trend[metric] = {
+      values,
+      latest: values[0] ?? null,
+      previousAverage: baseline,
+      change: values[0] !== null && values[0] !== undefined && baseline !== null
+        ? Math.round((values[0] - baseline) * 10) / 10
+        : null,
+    };
+  }
+  return trend;
+}
+
+/**
+ * GET /api/scraper/health
+ * Extraction health of recent scrape-all runs and its trend
+ * Query params: site, region, limit (number of runs, default 10)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { site, region, limit = 10 } = req.query;
+    const runs = await listScrapeRunHealth({ site, region }, Math.min(parseInt(limit) || 10, 100));
+    const latest = runs[0] || null;
+
+    res.json({
+      success: true,
+      healthy: latest ? latest.health.healthy : null,
+      issues: latest ? latest.health.issues : [],
+      thresholds: getHealthThresholds(),
+      trend: buildTrend(runs),
+      runs: runs.map(run => ({
+        runId: run._id.toString(),
+        site: run.site,
+        region: run.region,
+        status: run.status,
+        jobId: run.jobId,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        ...run.health,
+      }))
+    });
+
+  } catch (error) {
+    console.error('Scraper health error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
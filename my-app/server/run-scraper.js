@@ -5,70 +5,44 @@
  * 
  * Usage:
  *   node server/run-scraper.js
- *   node server/run-scraper.js --config custom-config.json
+ *   node server/run-scraper.js --config=custom.json       # scraping config to use instead of config/scraping-config.json
+ *   node server/run-scraper.js --record[=fixtures/zara]   # save every fetched page
+ *   node server/run-scraper.js --replay[=fixtures/zara]   # run offline from saved pages (no MongoDB)
+ *   node server/run-scraper.js --site=zara                # retailer to scrape (default: site in settings.yaml)
+ *   node server/run-scraper.js --region=us                # storefront region to scrape (default: ca)
+ *   node server/run-scraper.js --discovery=sitemap        # find product URLs in the XML sitemaps instead of listings
+ *   node server/run-scraper.js --resume[=checkpoint.json] # continue an interrupted run from its checkpoint
+ *   node server/run-scraper.js --skip-images              # do not download images of saved products
  */
 
-require('dotenv').config();
-const { scrapeAllZaraProducts } = require('./scraper');
-const { bulkUpsertProducts } = require('./db/repositories');
+const { configureConfigOrExit } = require('./config');
+const { scrapeAllProducts } = require('./scraper');
+const { isSupportedSite } = require('./scraper/adapterRegistry');
 const { connect, disconnect } = require('./db/mongoClient');
+const { getScraperModeFromArgs } = require('./scraper/fixtureStore');
+const { configureSharedPool, closeSharedPool, poolOptionsFromConfig } = require('./scraper/browserPool');
+const { configureSharedCrawlPolicy, crawlPolicyOptionsFromConfig } = require('./scraper/crawlPolicy');
+const { configureHealthThresholds, healthThresholdsFromConfig } = require('./scraper/scrapeHealth');
+const { configureDiscovery, discoveryOptionsFromConfig, DISCOVERY_MODES } = require('./scraper/sitemaps');
+const { DEFAULT_REGION, configureRegions, regionsFromConfig, isSupportedRegion, getRegion } = require('./scraper/regions');
+const { configureImagePipeline, imagePipelineOptionsFromConfig, ingestImages } = require('./services/imagePipeline');
+const { ScrapeCheckpoint, DEFAULT_CHECKPOINT_PATH } = require('./scraper/checkpoint');
+const {
+  startScrapeRun, saveRunProduct, recordRunProgress, finishScrapeRun, failScrapeRun,
+} = require('./services/scrapeRunService');
 const fs = require('fs');
-const path = require('path');
-
-// Default target counts (matching Python example)
-const DEFAULT_TARGET_COUNTS = {
-  'male_shirts': 5,
-  'female_shirts': 5,
-  'male_pants': 5,
-  'female_pants': 5,
-  'male_tshirts': 5,
-  'female_tshirts': 5,
-  'dresses': 10,
-  'female_tops': 5,
-  'female_skirts': 5,
-  'male_jackets': 5,
-  'female_jackets': 5
-};
 
 async function main() {
   console.log('='.repeat(60));
   console.log('🌿 Zara Cotton Product Scraper');
   console.log('='.repeat(60));
   
-  // Check for custom config file
-  let targetCounts = DEFAULT_TARGET_COUNTS;
-  const configArg = process.argv.find(arg => arg.startsWith('--config'));
-  
-  if (configArg) {
-    const configPath = configArg.split('=')[1] || path.join(__dirname, '../config/scraping-config.json');
-    try {
-      if (fs.existsSync(configPath)) {
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        targetCounts = { ...DEFAULT_TARGET_COUNTS, ...config.target_counts };
-        console.log(`✅ Loaded target counts from: ${configPath}\n`);
-      } else {
-        console.log(`⚠️  Config file not found: ${configPath}`);
-        console.log(`   Using default target counts\n`);
-      }
-    } catch (error) {
-      console.error(`❌ Error loading config: ${error.message}`);
-      console.log(`   Using default target counts\n`);
-    }
-  } else {
-    // Try to load from default config location
-    const defaultConfigPath = path.join(__dirname, '../config/scraping-config.json');
-    if (fs.existsSync(defaultConfigPath)) {
-      try {
-        const config = JSON.parse(fs.readFileSync(defaultConfigPath, 'utf8'));
-        targetCounts = { ...DEFAULT_TARGET_COUNTS, ...config.target_counts };
-        console.log(`✅ Loaded target counts from config file\n`);
-      } catch (error) {
-        console.log(`⚠️  Error reading config, using defaults\n`);
-      }
-    } else {
-      console.log(`📋 Using default target counts (no config file found)\n`);
-    }
-  }
+  // --config=path replaces config/scraping-config.json; an invalid file stops the run
+  const configArg = process.argv.find(arg => arg.startsWith('--config='));
+  const config = configureConfigOrExit(configArg ? { scrapingConfigPath: configArg.split('=')[1] } : {});
+  const scrapingConfig = config.scraping;
+  const targetCounts = scrapingConfig.target_counts;
+  console.log(`✅ Loaded config from: ${config.files.scraping}\n`);
   
   // Display target counts
   console.log('Target counts:');
@@ -79,29 +53,128 @@ async function main() {
     });
   console.log();
   
+  const scraperOptions = getScraperModeFromArgs(process.argv);
+  const isReplay = scraperOptions.mode === 'replay';
+  const siteArg = process.argv.find(arg => arg.startsWith('--site='));
+  scraperOptions.site = siteArg ? siteArg.split('=')[1] : config.scraper.site;
+  if (!isSupportedSite(scraperOptions.site)) {
+    console.error(`❌ Unknown site: ${scraperOptions.site}`);
+    process.exit(1);
+  }
+  configureRegions(regionsFromConfig(scrapingConfig.regions));
+  const regionArg = process.argv.find(arg => arg.startsWith('--region='));
+  scraperOptions.region = regionArg ? regionArg.split('=')[1] : DEFAULT_REGION;
+  if (!isSupportedRegion(scraperOptions.region)) {
+    console.error(`❌ Unknown region: ${scraperOptions.region}`);
+    process.exit(1);
+  }
+  const region = getRegion(scraperOptions.region);
+  console.log(`🌍 Region: ${region.name} (${region.localePath}, ${region.currency})\n`);
+  const discoveryArg = process.argv.find(arg => arg.startsWith('--discovery='));
+  if (discoveryArg && !DISCOVERY_MODES.includes(discoveryArg.split('=')[1])) {
+    console.error(`❌ Unknown discovery mode: ${discoveryArg.split('=')[1]} (expected one of: ${DISCOVERY_MODES.join(', ')})`);
+    process.exit(1);
+  }
+  const discovery = configureDiscovery({
+    ...discoveryOptionsFromConfig(scrapingConfig.discovery),
+    ...(discoveryArg ? { mode: discoveryArg.split('=')[1] } : {}),
+  });
+  console.log(`🔎 Product discovery: ${discovery.mode === 'sitemap' ? 'XML sitemaps' : 'category listings'}\n`);
+  if (scraperOptions.mode !== 'live') {
+    console.log(`📼 Scraper mode: ${scraperOptions.mode} (fixtures: ${scraperOptions.fixturesDir})\n`);
+  }
+  
+  const pool = configureSharedPool(poolOptionsFromConfig(scrapingConfig.pool));
+  console.log(`🧵 Browser pool: ${pool.size} pages, ${pool.options.perHostConcurrency} per host`);
+  
+  // Every live navigation goes through the crawl policy (replayed pages never hit the site)
+  const crawlPolicy = configureSharedCrawlPolicy(crawlPolicyOptionsFromConfig(scrapingConfig.crawl_policy));
+  console.log(`🤖 Crawl policy: robots.txt ${crawlPolicy.options.respectRobotsTxt ? 'respected' : 'ignored'}, ${crawlPolicy.options.minHostIntervalMs}ms between requests per host\n`);
+  configureHealthThresholds(healthThresholdsFromConfig(scrapingConfig.scraper_health));
+  configureImagePipeline(imagePipelineOptionsFromConfig(scrapingConfig.images));
+  
+  // Progress is checkpointed per task and per URL; --resume picks up where a crashed run stopped
+  const resumeArg = process.argv.find(arg => arg.startsWith('--resume'));
+  const checkpointPath = (resumeArg && resumeArg.split('=')[1]) || DEFAULT_CHECKPOINT_PATH;
+  let checkpoint = null;
+  if (resumeArg) {
+    checkpoint = ScrapeCheckpoint.load(checkpointPath);
+    if (!checkpoint) {
+      console.log(`⚠️  No checkpoint found at ${checkpointPath}, starting a new run\n`);
+    } else if (checkpoint.site !== scraperOptions.site) {
+      console.error(`❌ Checkpoint ${checkpointPath} is for site "${checkpoint.site}", not "${scraperOptions.site}"`);
+      process.exit(1);
+    } else if (checkpoint.region !== scraperOptions.region) {
+      console.error(`❌ Checkpoint ${checkpointPath} is for region "${checkpoint.region}", not "${scraperOptions.region}"`);
+      process.exit(1);
+    } else {
+      console.log(`♻️  Resuming run started at ${checkpoint.state.startedAt} (${checkpointPath})\n`);
+    }
+  }
+  if (!checkpoint) {
+    checkpoint = ScrapeCheckpoint.create(checkpointPath, scraperOptions.site, scraperOptions.region);
+  }
+  scraperOptions.checkpoint = checkpoint;
+  
+  let run = null;
+  const runStartedAt = new Date();
   try {
-    // Connect to MongoDB
-    console.log('🔌 Connecting to MongoDB...');
-    await connect();
-    console.log('✅ Connected to MongoDB\n');
+    // Connect to MongoDB (replay runs are fully offline and skip the database)
+    if (!isReplay) {
+      console.log('🔌 Connecting to MongoDB...');
+      await connect();
+      console.log('✅ Connected to MongoDB\n');
+      
+      // Read the stored catalog before anything is upserted, to report what this run changed
+      // (a resumed run keeps the catalog read by its first attempt, saved with the checkpoint)
+      run = await startScrapeRun({
+        type: 'scrape-all',
+        site: scraperOptions.site,
+        region: scraperOptions.region,
+        source: 'cli',
+        config: { targetCounts, discovery: discovery.mode, mode: scraperOptions.mode },
+        checkpoint,
+      });
+      
+      // Save each product to MongoDB as soon as it is scraped, so a crash loses nothing
+      scraperOptions.onProduct = (product) => saveRunProduct(run, product);
+      scraperOptions.onProgress = (progress) => recordRunProgress(run, progress);
+    }
     
     // Scrape products (matching Python example structure)
-    const products = await scrapeAllZaraProducts(targetCounts);
+    const products = await scrapeAllProducts(targetCounts, scraperOptions);
     
-    // Save to MongoDB
-    if (products.length > 0) {
-      console.log(`\n💾 Saving ${products.length} products to MongoDB...`);
-      await bulkUpsertProducts(products);
-      console.log(`✅ Saved ${products.length} products to MongoDB`);
+    if (isReplay) {
+      console.log('\n📼 Replay mode: skipping MongoDB save');
+    } else if (products.length > 0) {
+      console.log(`\n💾 Saved ${run.productsWritten} products to MongoDB during this run`);
     } else {
       console.log('\n⚠️  No products found to save');
     }
     
+    if (run) {
+      await finishScrapeRun(run, checkpoint);
+    }
+    
+    // Store images of the products saved by this run
+    if (!isReplay && !process.argv.includes('--skip-images')) {
+      try {
+        await ingestImages({ since: runStartedAt });
+      } catch (error) {
+        console.error(`⚠️  Image ingestion failed: ${error.message}`);
+      }
+    }
+    
     // Save to JSON file (like Python example)
-    const outputFile = 'zara_products.json';
+    const outputFile = scraperOptions.region === DEFAULT_REGION
+      ? `${scraperOptions.site}_products.json`
+      : `${scraperOptions.site}_${scraperOptions.region}_products.json`;
     fs.writeFileSync(outputFile, JSON.stringify(products, null, 2), 'utf8');
     console.log(`✅ Saved ${products.length} products to ${outputFile}`);
     
+    // The run finished, so there is nothing left to resume
+    checkpoint.remove();
+    
     console.log('\n' + '='.repeat(60));
     console.log('✅ Scraping completed successfully!');
     console.log('='.repeat(60));
@@ -109,10 +182,15 @@ async function main() {
   } catch (error) {
     console.error('\n❌ Error during scraping:', error);
     console.error(error.stack);
-    process.exit(1);
+    if (run) {
+      await failScrapeRun(run, error, checkpoint).catch(() => {});
+    }
+    // Exit once the browser and the database connection are closed
+    process.exitCode = 1;
   } finally {
+    await closeSharedPool();
     await disconnect();
-    process.exit(0);
+    process.exit(process.exitCode || 0);
   }
 }
 
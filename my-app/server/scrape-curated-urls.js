@@ -1,61 +1,30 @@
 /**
- * Script to scrape specific curated Zara URLs
+ * Script to scrape the curated URLs (the `curated_urls` collection, managed through /api/curated/urls)
  * Filters for 100% cotton items and stores them in MongoDB
+ *
+ * Usage:
+ *   node server/scrape-curated-urls.js
+ *   node server/scrape-curated-urls.js --record[=fixtures/zara]   # save every fetched page
+ *   node server/scrape-curated-urls.js --replay[=fixtures/zara]   # run offline from the seed list, write curated_products.json
+ *   node server/scrape-curated-urls.js --site=zara                # only scrape URLs of one retailer
+ *   node server/scrape-curated-urls.js --region=us                # scrape the curated products in another region
  */
 
-const ZaraScraper = require('./scraper/zaraScraper');
-const { bulkUpsertProducts } = require('./db/repositories');
+const fs = require('fs');
+const { configureConfigOrExit } = require('./config');
+const { createAdapter, getAdapterClass, getSiteForUrl, isSupportedSite } = require('./scraper/adapterRegistry');
+const { listCuratedUrls, markCuratedUrlScraped, seedCuratedUrls } = require('./db/curatedUrls');
 const { connect, disconnect } = require('./db/mongoClient');
-
-// Curated URLs organized by category
-const CURATED_URLS = {
-  tops: [
-    'https://www.zara.com/ca/en/turtleneck-t-shirt-p02335643.html?v1=503419331',
-    'https://www.zara.com/ca/en/plaid-cotton-shirt-with-tie-zw-collection-p01063020.html?v1=501969918&v2=2420369',
-    'https://www.zara.com/ca/en/turtleneck-t-shirt-p02335643.html?v1=503418040',
-    'https://www.zara.com/ca/en/basic-cotton-t-shirt-p03253320.html?v1=506473367',
-    'https://www.zara.com/ca/en/supima--cotton-t-shirt-p00858613.html?v1=506773111',
-    'https://www.zara.com/ca/en/basic-cotton-t-shirt-p03253320.html?v1=503040858',
-    'https://www.zara.com/ca/en/striped-scarf-poplin-shirt-p02055226.html?v1=498757832',
-    'https://www.zara.com/ca/en/striped-poplin-shirt-with-scarf-detail-p02225456.html?v1=509541261',
-    'https://www.zara.com/ca/en/zw-collection-bow-shirt-p01063899.html?v1=502565742',
-    'https://www.zara.com/ca/en/100-mercerised-cotton-short-sleeve-t-shirt-p06201543.html?v1=502649622',
-  ],
-  pants: [
-    'https://www.zara.com/ca/en/soft-touch-palazzo-pants-p05039223.html?v1=503986848',
-    'https://www.zara.com/ca/en/zw-collection-high-waist-wide-leg-jeans-p09632253.html?v1=506929665',
-    'https://www.zara.com/ca/en/trf-high-waisted-cropped-flare-jeans-p04592217.html?v1=503416302',
-    'https://www.zara.com/ca/en/z-10-high-waisted-belted-culotte-jeans-p01889152.html?v1=511322231',
-    'https://www.zara.com/ca/en/sporty-interlock-joggers-p04729793.html?v1=468828239',
-    'https://www.zara.com/ca/en/high-waisted-faux-denim-pants-p05359212.html?v1=498354611',
-    'https://www.zara.com/ca/en/corduroy-pants-with-pockets-p01255573.html?v1=505070538',
-    'https://www.zara.com/ca/en/regular-denim-shorts-p04806510.html?v1=479512336',
-    'https://www.zara.com/ca/en/zw-collection-mid-rise-ankle-balloon-jeans-p09632045.html?v1=507995178',
-    'https://www.zara.com/ca/en/plain-bike-shorts-p02335616.html?v1=479160808',
-    'https://www.zara.com/ca/en/limited-edition-striped-flare-pants-p03778785.html?v1=460046229',
-    'https://www.zara.com/ca/en/z-03-high-waisted-straight-long-length-jeans-p08228224.html?v1=495680440',
-    'https://www.zara.com/ca/en/pocket-cargo-pants-p05575241.html?v1=470177109',
-  ],
-  skirts: [
-    'https://www.zara.com/ca/en/zw-collection-denim-midi-skirt-p09632286.html?v1=500020725',
-    'https://www.zara.com/ca/en/slim-jeans-p02005706.html?v1=458132048',
-    'https://www.zara.com/ca/en/pleated-midi-skirt-p01255564.html?v1=502971342',
-    'https://www.zara.com/ca/en/animal-print-fine-waled-corduroy-skirt-p09492754.html?v1=488164933',
-    'https://www.zara.com/ca/en/zw-collection-floral-pleated-skirt-p08603069.html?v1=471481622',
-    'https://www.zara.com/ca/en/printed-midi-skirt-zw-collection-p02183048.html?v1=459175337',
-    'https://www.zara.com/ca/en/midi-skirt-with-scarf-detail-p05274508.html?v1=496854029',
-    'https://www.zara.com/ca/en/asymmetric-midi-skirt-p06050350.html?v1=472163469',
-    'https://www.zara.com/ca/en/box-pleat-technical-fabric-midi-skirt-p05210506.html?v1=495411128',
-    'https://www.zara.com/ca/en/ripped-trf-denim-skirt-p04365090.html?v1=477870300',
-  ],
-  dresses: [
-    'https://www.zara.com/ca/en/plaid-short-dress-p04764302.html?v1=496086979',
-    'https://www.zara.com/ca/en/floral-print-dress-p06161094.html?v1=478915737',
-    'https://www.zara.com/ca/en/100-cotton-long-pleated-dress-p06682530.html?v1=463247369',
-    'https://www.zara.com/ca/en/contrast-pleated-long-dress-p06652530.html?v1=463278603',
-    'https://www.zara.com/ca/en/strapless-dress-p06929184.html?v1=452744408&v2=2580270',
-  ],
-};
+const { getScraperModeFromArgs } = require('./scraper/fixtureStore');
+const { DEFAULT_REGION, configureRegions, regionsFromConfig, isSupportedRegion, localizeUrl } = require('./scraper/regions');
+const { configureSharedPool, getSharedPool, closeSharedPool, poolOptionsFromConfig } = require('./scraper/browserPool');
+const { configureSharedCrawlPolicy, crawlPolicyOptionsFromConfig } = require('./scraper/crawlPolicy');
+const { SCRAPE_EVENT_TYPES, createEventReporter } = require('./scraper/scrapeEvents');
+const { configureImagePipeline, imagePipelineOptionsFromConfig, ingestImages } = require('./services/imagePipeline');
+const {
+  startScrapeRun, saveRunProduct, recordRunProgress, finishScrapeRun, failScrapeRun,
+} = require('./services/scrapeRunService');
+const curatedUrlsSeed = require('../config/curated-urls.json');
 
 /**
  * Extract color from product name or description
@@ -72,103 +41,174 @@ function extractColor(name, description) {
   return 'Various';
 }
 
+/**
+ * Scrape one curated URL
+ * @param {Object} entry - { category, url, site, entryId }
+ * @param {number} index - Position in the curated work queue (for logging)
+ * @param {number} total - Size of the work queue
+ * @param {Function} getAdapter - (site) => RetailerAdapter
+ * @param {Object} progress - Run progress; failures (pages that did not load, extraction errors)
+ *   are appended to progress.errors
+ * @param {Function} reportEvent - Scrape event reporter for the run
+ * @returns {Promise<Object|null>} Product, or null if the page shows no product or failed
+ */
+async function scrapeCuratedEntry({ category, url: cleanUrl, site }, index, total, getAdapter, progress, reportEvent) {
+  console.log(`\n[${index + 1}/${total}] Processing: ${cleanUrl}`);
+  const task = 'curated';
+  
+  try {
+    const product = await getAdapter(site).extractProductInfo(cleanUrl);
+    reportEvent(SCRAPE_EVENT_TYPES.URL_FETCHED, { task, url: cleanUrl, index, total });
+    
+    if (!product || !product.name || product.name === 'Unknown Product') {
+      console.log(`   ⚠️  Could not extract product information from ${cleanUrl}`);
+      reportEvent(SCRAPE_EVENT_TYPES.PRODUCT_SKIPPED, { task, url: cleanUrl, reason: 'no product data on page' });
+      return null;
+    }
+    
+    // Add color extraction (when the page did not name the variant's color)
+    product.color = product.color || extractColor(product.name, product.materials);
+    
+    // Normalize category based on product name and assigned category
+    // This ensures t-shirts, blouses, shirts all map to "tops"
+    const nameLower = product.name.toLowerCase();
+    let normalizedCategory = category;
+    
+    // Normalize based on product name patterns
+    if (nameLower.includes('t-shirt') || nameLower.includes('tshirt') || 
+        nameLower.includes('tee') || nameLower.includes('blouse') || 
+        nameLower.includes('shirt') || category === 'tops') {
+      normalizedCategory = 'tops';
+    } else if (nameLower.includes('pant') || nameLower.includes('jean') || 
+               nameLower.includes('trouser') || category === 'pants') {
+      normalizedCategory = 'pants';
+    } else if (nameLower.includes('skirt') || category === 'skirts') {
+      normalizedCategory = 'skirts';
+    } else if (nameLower.includes('dress') || category === 'dresses') {
+      normalizedCategory = 'dresses';
+    }
+    
+    product.category = normalizedCategory;
+    
+    // Mark as curated
+    product.isCurated = true;
+    
+    const cottonInfo = product.cottonPercentage >= 100 
+      ? `${product.cottonPercentage}% cotton ✅ (100%)` 
+      : product.cottonPercentage >= 90
+      ? `${product.cottonPercentage}% cotton ✅ (90%+)`
+      : `${product.cottonPercentage}% cotton ⚠️`;
+    
+    console.log(`   ✅ ${product.name}`);
+    console.log(`      Price: $${product.price} | ${cottonInfo}`);
+    reportEvent(SCRAPE_EVENT_TYPES.PRODUCT_EXTRACTED, {
+      task,
+      url: cleanUrl,
+      name: product.name,
+      price: product.price,
+      category: product.category,
+      cottonPercentage: product.cottonPercentage,
+    });
+    return product;
+    
+  } catch (error) {
+    console.error(`   ❌ Error scraping ${cleanUrl}:`, error.message);
+    progress.errors.push({ url: cleanUrl, message: error.message, code: error.code || null });
+    reportEvent(SCRAPE_EVENT_TYPES.PRODUCT_SKIPPED, { task, url: cleanUrl, reason: `error: ${error.message}` });
+    return null;
+  }
+}
+
 /**
  * Scrape all curated URLs
+ * Each URL is dispatched to the retailer adapter that handles its host.
+ * @param {Object} options - Scraper options (site: only scrape this retailer, mode: live/record/replay, fixturesDir)
+ * @param {string} options.region - Region whose storefront the curated URLs are scraped from (default: 'ca')
+ * @param {string[]} options.entryIds - Only scrape these curated entries (default: every entry)
+ * @param {Object[]} options.entries - Curated entries ({ category, url }) to scrape instead of reading
+ *   the `curated_urls` collection (replay runs use the seed list, as they have no database)
+ * @param {Function} options.onProduct - Optional async (product) => void called for each scraped product
+ * @param {Function} options.onProgress - Optional (progress) => void called after each URL,
+ *   with { tasksTotal, tasksDone, productsFound, errors: [{ url, message, code }] }
+ * @param {AbortSignal} options.signal - Optional signal; no new URLs are dispatched once it is aborted
+ * @param {string} options.jobId - Optional scrape job id, added to every scrape event of the run
  */
-async function scrapeCuratedUrls() {
+async function scrapeCuratedUrls(options = {}) {
   console.log('🚀 Starting curated URL scraping...\n');
   console.log('='.repeat(60));
   
-  const scraper = new ZaraScraper();
-  const allProducts = [];
+  const {
+    site: siteFilter,
+    region = DEFAULT_REGION,
+    entryIds = null,
+    entries: curatedEntries = null,
+    onProduct = null,
+    onProgress = null,
+    signal = null,
+    jobId,
+    ...adapterOptions
+  } = options;
+  const reportEvent = createEventReporter({ jobId, site: siteFilter, region, run: 'curated' });
+  const adapters = {};
+  const getAdapter = (site) => {
+    if (!adapters[site]) {
+      adapters[site] = createAdapter(site, { ...adapterOptions, region });
+    }
+    return adapters[site];
+  };
+  
+  // Curated entries become one work queue
+  console.log(`🌍 Region: ${region}`);
+  const curated = curatedEntries || await listCuratedUrls({ site: siteFilter, ids: entryIds });
+  const entries = [];
+  for (const { _id, category, url } of curated) {
+    const site = getSiteForUrl(url);
+    if (!site) {
+      console.log(`   ⚠️  No retailer adapter handles ${url}, skipping`);
+    } else if (!siteFilter || site === siteFilter) {
+      // Clean URL for consistent storage, keeping the color variant parameter
+      const cleanUrl = getAdapterClass(site).canonicalProductUrl(localizeUrl(url, region));
+      entries.push({ category, url: cleanUrl, site, entryId: _id || null });
+    }
+  }
+  const perCategory = {};
+  entries.forEach(entry => { perCategory[entry.category] = (perCategory[entry.category] || 0) + 1; });
+  Object.entries(perCategory).forEach(([category, count]) => console.log(`📦 ${category}: ${count} URLs`));
+  
+  const progress = { tasksTotal: entries.length, tasksDone: 0, productsFound: 0, errors: [] };
+  const reportProgress = () => {
+    if (onProgress) onProgress({ ...progress, errors: [...progress.errors] });
+  };
   
-  // Use a single browser instance for efficiency
-  let browser = null;
-  let page = null;
+  // The curated list is scraped as a single task
+  reportEvent(SCRAPE_EVENT_TYPES.RUN_STARTED, { tasksTotal: 1 });
+  reportEvent(SCRAPE_EVENT_TYPES.TASK_STARTED, { task: 'curated', count: entries.length });
   
-  try {
-    const puppeteer = require('puppeteer');
-    browser = await puppeteer.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    await page.setViewport({ width: 1920, height: 1080 });
-    
-    // Process each category
-    for (const [category, urls] of Object.entries(CURATED_URLS)) {
-      console.log(`\n${'='.repeat(60)}`);
-      console.log(`📦 Scraping ${urls.length} ${category}...`);
-      console.log(`${'='.repeat(60)}`);
-      
-      for (let i = 0; i < urls.length; i++) {
-        // Clean URL (remove query parameters for consistent storage)
-        const cleanUrl = urls[i].split('?')[0].split('#')[0];
-        console.log(`\n[${i + 1}/${urls.length}] Processing: ${cleanUrl}`);
-        
-        try {
-          const product = await scraper.extractProductInfo(cleanUrl, page);
-          
-          if (product && product.name && product.name !== 'Unknown Product') {
-            // Add color extraction
-            product.color = extractColor(product.name, product.materials);
-            
-            // Normalize category based on product name and assigned category
-            // This ensures t-shirts, blouses, shirts all map to "tops"
-            const nameLower = product.name.toLowerCase();
-            let normalizedCategory = category;
-            
-            // Normalize based on product name patterns
-            if (nameLower.includes('t-shirt') || nameLower.includes('tshirt') || 
-                nameLower.includes('tee') || nameLower.includes('blouse') || 
-                nameLower.includes('shirt') || category === 'tops') {
-              normalizedCategory = 'tops';
-            } else if (nameLower.includes('pant') || nameLower.includes('jean') || 
-                       nameLower.includes('trouser') || category === 'pants') {
-              normalizedCategory = 'pants';
-            } else if (nameLower.includes('skirt') || category === 'skirts') {
-              normalizedCategory = 'skirts';
-            } else if (nameLower.includes('dress') || category === 'dresses') {
-              normalizedCategory = 'dresses';
-            }
-            
-            product.category = normalizedCategory;
-            
-            // Mark as curated
-            product.isCurated = true;
-            
-            allProducts.push(product);
-            
-            const cottonInfo = product.cottonPercentage >= 100 
-              ? `${product.cottonPercentage}% cotton ✅ (100%)` 
-              : product.cottonPercentage >= 90
-              ? `${product.cottonPercentage}% cotton ✅ (90%+)`
-              : `${product.cottonPercentage}% cotton ⚠️`;
-            
-            console.log(`   ✅ ${product.name}`);
-            console.log(`      Price: $${product.price} | ${cottonInfo}`);
-          } else {
-            console.log(`   ⚠️  Could not extract product information`);
-          }
-          
-          // Delay between requests (2-4 seconds)
-          await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 2000));
-          
-        } catch (error) {
-          console.error(`   ❌ Error scraping ${url}:`, error.message);
-          continue;
-        }
-      }
+  // Scrape in parallel through the shared browser pool (politeness is enforced per host)
+  const results = await getSharedPool().map(entries, async (entry, i) => {
+    const product = await scrapeCuratedEntry(entry, i, entries.length, getAdapter, progress, reportEvent);
+    if (entry.entryId) {
+      await markCuratedUrlScraped(entry.entryId, product ? 'scraped' : 'failed')
+        .catch(error => console.error(`   ⚠️  Could not update curated entry ${entry.entryId}: ${error.message}`));
     }
-    
-  } catch (error) {
-    console.error('❌ Error during scraping:', error);
-  } finally {
-    if (browser) {
-      await browser.close();
+    progress.tasksDone++;
+    if (product) {
+      progress.productsFound++;
+      if (onProduct) await onProduct(product);
     }
+    reportProgress();
+    return product;
+  }, { shouldStop: () => Boolean(signal && signal.aborted) });
+  
+  if (signal && signal.aborted) {
+    console.log('\n⏹️  Scrape cancelled, remaining URLs were skipped');
   }
+
+  // Results keep curated list order so runs are reproducible
+  const allProducts = results.filter(Boolean);
+  const cancelled = Boolean(signal && signal.aborted);
+  reportEvent(SCRAPE_EVENT_TYPES.TASK_FINISHED, { task: 'curated', productsFound: allProducts.length });
+  reportEvent(SCRAPE_EVENT_TYPES.RUN_FINISHED, { productsFound: allProducts.length, cancelled });
   
   console.log('\n' + '='.repeat(60));
   console.log('📊 SCRAPING COMPLETED');
@@ -204,27 +244,83 @@ async function scrapeCuratedUrls() {
  * Main execution
  */
 async function main() {
+  const { scraping: scrapingConfig } = configureConfigOrExit();
+  const scraperOptions = getScraperModeFromArgs(process.argv);
+  const isReplay = scraperOptions.mode === 'replay';
+  
+  const siteArg = process.argv.find(arg => arg.startsWith('--site='));
+  if (siteArg) {
+    scraperOptions.site = siteArg.split('=')[1];
+    if (!isSupportedSite(scraperOptions.site)) {
+      console.error(`❌ Unknown site: ${scraperOptions.site}`);
+      process.exit(1);
+    }
+  }
+  
+  configureRegions(regionsFromConfig(scrapingConfig.regions));
+  const regionArg = process.argv.find(arg => arg.startsWith('--region='));
+  if (regionArg) {
+    scraperOptions.region = regionArg.split('=')[1];
+    if (!isSupportedRegion(scraperOptions.region)) {
+      console.error(`❌ Unknown region: ${scraperOptions.region}`);
+      process.exit(1);
+    }
+  }
+  
+  configureSharedPool(poolOptionsFromConfig(scrapingConfig.pool));
+  // Every live navigation goes through the crawl policy (replayed pages never hit the site)
+  configureSharedCrawlPolicy(crawlPolicyOptionsFromConfig(scrapingConfig.crawl_policy));
+  configureImagePipeline(imagePipelineOptionsFromConfig(scrapingConfig.images));
+  const startedAt = new Date();
+  let run = null;
+  
   try {
-    // Connect to MongoDB
-    await connect();
-    console.log('✅ Connected to MongoDB\n');
+    // Connect to MongoDB (replay runs are fully offline and skip the database)
+    if (!isReplay) {
+      await connect();
+      console.log('✅ Connected to MongoDB\n');
+      await seedCuratedUrls(curatedUrlsSeed.entries);
+      
+      // Record the run and save each product as soon as it is scraped
+      run = await startScrapeRun({
+        type: 'curated',
+        site: scraperOptions.site,
+        region: scraperOptions.region,
+        source: 'cli',
+        config: { mode: scraperOptions.mode },
+      });
+      scraperOptions.onProduct = (product) => saveRunProduct(run, product);
+      scraperOptions.onProgress = (progress) => recordRunProgress(run, progress);
+    } else {
+      scraperOptions.entries = curatedUrlsSeed.entries;
+    }
     
     // Scrape all curated URLs
-    const products = await scrapeCuratedUrls();
+    const products = await scrapeCuratedUrls(scraperOptions);
     
-    // Save all products to MongoDB
-    if (products.length > 0) {
-      console.log('\n💾 Saving products to MongoDB...');
-      await bulkUpsertProducts(products);
-      console.log(`✅ Saved ${products.length} products to MongoDB`);
+    // Replay output goes to a JSON file so runs can be diffed
+    if (isReplay) {
+      const outputFile = 'curated_products.json';
+      fs.writeFileSync(outputFile, JSON.stringify(products, null, 2), 'utf8');
+      console.log(`\n📼 Replay mode: saved ${products.length} products to ${outputFile}`);
+    } else {
+      await finishScrapeRun(run, null);
+      if (run.productsWritten > 0) {
+        await ingestImages({ since: startedAt });
+      }
     }
     
     console.log('\n🎉 Done!');
     
   } catch (error) {
     console.error('❌ Fatal error:', error);
-    process.exit(1);
+    if (run) {
+      await failScrapeRun(run, error).catch(() => {});
+    }
+    // Exit once the browser and the database connection are closed
+    process.exitCode = 1;
   } finally {
+    await closeSharedPool();
     await disconnect();
   }
 }
@@ -234,4 +330,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { scrapeCuratedUrls, CURATED_URLS };
\ No newline at end of file
+module.exports = { scrapeCuratedUrls };
\ No newline at end of file
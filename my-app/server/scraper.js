@@ -1,7 +1,11 @@
-const puppeteer = require('puppeteer');
 const NodeCache = require('node-cache');
 const { parseComposition, getCottonPercentage } = require('./scraper/compositionParser');
 const ZaraScraper = require('./scraper/zaraScraper');
+const { DEFAULT_SITE, createAdapter, getAdapterClass, getSiteForUrl } = require('./scraper/adapterRegistry');
+const RetailerAdapter = require('./scraper/retailerAdapter');
+const { DEFAULT_REGION, regionForUrl } = require('./scraper/regions');
+const { SCRAPE_EVENT_TYPES, createEventReporter } = require('./scraper/scrapeEvents');
+const { getConfig } = require('./config');
 
 // Cache results for 1 hour
 const cache = new NodeCache({ stdTTL: 3600 });
@@ -22,10 +26,10 @@ function extractColor(name, description) {
 }
 
 /**
- * Main search function - uses Zara scraper
+ * Main search function - dispatches to the retailer adapter for `site`
  */
-async function searchZara(query, limit = 10) {
-  const cacheKey = `zara_search_${query.toLowerCase()}_${limit}`;
+async function searchRetailer(query, limit = 10, site = DEFAULT_SITE) {
+  const cacheKey = `${site}_search_${query.toLowerCase()}_${limit}`;
   
   // Check cache first
   const cached = cache.get(cacheKey);
@@ -34,16 +38,17 @@ async function searchZara(query, limit = 10) {
     return cached;
   }
 
+  const scraper = createAdapter(site);
+
   try {
-    console.log(`\n🚀 Starting Zara scraper for: "${query}"`);
+    console.log(`\n🚀 Starting ${scraper.brand} scraper for: "${query}"`);
     
-    const scraper = new ZaraScraper();
     const products = await scraper.searchProducts(query, limit);
     
     // Add color extraction to products
     const productsWithColor = products.map(product => ({
       ...product,
-      color: extractColor(product.name, product.materials)
+      color: product.color || extractColor(product.name, product.materials)
     }));
     
     // Cache results
@@ -51,158 +56,299 @@ async function searchZara(query, limit = 10) {
       cache.set(cacheKey, productsWithColor);
     }
     
-    console.log(`✅ Found ${productsWithColor.length} products from Zara`);
+    console.log(`✅ Found ${productsWithColor.length} products from ${scraper.brand}`);
     return productsWithColor;
     
   } catch (error) {
-    console.error('❌ Zara search error:', error);
+    console.error(`❌ ${scraper.brand} search error:`, error);
     // Fallback to mock data if scraping fails
     console.log('⚠️  Falling back to mock data due to error');
     return getMockProducts(query);
   }
 }
 
+/**
+ * Search Zara (kept for compatibility)
+ */
+async function searchZara(query, limit = 10) {
+  return await searchRetailer(query, limit, 'zara');
+}
+
 /**
  * Scrape specific category and gender (matching Python example structure)
  * @param {string} category - Category name (shirts, pants, dresses, tshirts, etc.)
  * @param {string} gender - Gender (male or female)
  * @param {number} count - Number of products to scrape
+ * @param {Object} options - Scraper options (site, region, discovery, mode: live/record/replay, fixturesDir)
+ * @param {ScrapeCheckpoint} options.checkpoint - Optional checkpoint; URLs already processed are not fetched again
+ * @param {Function} options.onProduct - Optional async (product) => void called for each newly scraped product
+ * @param {Function} options.onError - Optional (url, error) => void called when a page fails
+ * @param {AbortSignal} options.signal - Optional signal; no new URLs are dispatched once it is aborted
+ * @param {Function} options.reportEvent - Optional scrape event reporter (default: a reporter for this category alone)
  * @returns {Array} Array of scraped products
  */
-async function scrapeZaraCategory(category, gender, count = 10) {
-  const scraper = new ZaraScraper();
+async function scrapeCategory(category, gender, count = 10, options = {}) {
+  const {
+    site = DEFAULT_SITE,
+    checkpoint = null,
+    onProduct = null,
+    onError = null,
+    signal = null,
+    reportEvent = createEventReporter({ site, region: options.region, run: 'category' }),
+    ...adapterOptions
+  } = options;
+  const scraper = createAdapter(site, adapterOptions);
+  const taskKey = `${gender}_${category}`;
+  
+  reportEvent(SCRAPE_EVENT_TYPES.TASK_STARTED, { task: taskKey, category, gender, count });
+  const finishTask = (products, extra = {}) => {
+    reportEvent(SCRAPE_EVENT_TYPES.TASK_FINISHED, { task: taskKey, productsFound: products.length, ...extra });
+    return products;
+  };
   
   try {
     // Get product URLs from category (get more URLs in case some fail, like Python example)
-    const productUrls = await scraper.getProductUrls(category, gender, count * 2);
+    let productUrls = checkpoint && checkpoint.getProductUrls(taskKey);
+    if (productUrls) {
+      console.log(`   ♻️  Resuming with ${productUrls.length} product URLs from checkpoint`);
+    } else {
+      const listingLimit = count * 2;
+      const listing = await scraper.getProductListing(category, gender, listingLimit);
+      productUrls = listing.urls;
+      if (checkpoint) {
+        checkpoint.setProductUrls(taskKey, productUrls, listing.complete);
+      }
+    }
     
     if (productUrls.length === 0) {
       console.log(`   ⚠️  No product URLs found for ${gender} ${category}`);
-      return [];
+      return finishTask([]);
     }
     
     console.log(`   📋 Found ${productUrls.length} product URLs, extracting details...`);
     
-    const products = [];
     let productsFound = 0;
     
-    // Scrape each product (like Python example)
-    for (const url of productUrls) {
-      if (productsFound >= count) {
-        break;
+    // Scrape products in parallel through the browser pool (politeness is enforced per host);
+    // stop dispatching once enough valid products have been found
+    const results = await scraper.pool.map(productUrls, async (url) => {
+      const saved = checkpoint && checkpoint.getUrl(taskKey, url);
+      if (saved) {
+        // Already extracted (or rejected) by an earlier run
+        if (saved.product) productsFound++;
+        return saved.product;
       }
       
       try {
         const product = await scraper.extractProductInfo(url);
+        reportEvent(SCRAPE_EVENT_TYPES.URL_FETCHED, { task: taskKey, url });
         
-        if (product) {
-          // Add color extraction
-          product.color = extractColor(product.name, product.materials);
-          
-          // Only add products with valid data (like Python example would validate)
-          if (product.name && product.name !== 'Unknown Product') {
-            products.push(product);
-            productsFound++;
-            
-            const cottonInfo = product.is_cotton_90 
-              ? `${product.cottonPercentage}% cotton ✅` 
-              : `${product.cottonPercentage}% cotton ⚠️`;
-            
-            console.log(`   ${productsFound}. ${product.name} - $${product.price} (${cottonInfo})`);
-          }
+        // Only keep products with valid data (like Python example would validate)
+        if (!product || !product.name || product.name === 'Unknown Product') {
+          if (checkpoint) checkpoint.markUrl(taskKey, url, null);
+          reportEvent(SCRAPE_EVENT_TYPES.PRODUCT_SKIPPED, { task: taskKey, url, reason: 'no product data on page' });
+          return null;
         }
         
-        // Add delay to be respectful (1-3 seconds, matching Python example)
-        await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
+        // Add color extraction (when the page did not name the variant's color)
+        product.color = product.color || extractColor(product.name, product.materials);
+        // The listing the product was found on; run diffs look for it there next time
+        product.listing_task = taskKey;
+        productsFound++;
+        
+        const cottonInfo = product.is_cotton_90 
+          ? `${product.cottonPercentage}% cotton ✅` 
+          : `${product.cottonPercentage}% cotton ⚠️`;
+        
+        console.log(`   ${productsFound}. ${product.name} - $${product.price} (${cottonInfo})`);
+        reportEvent(SCRAPE_EVENT_TYPES.PRODUCT_EXTRACTED, {
+          task: taskKey,
+          url,
+          name: product.name,
+          price: product.price,
+          cottonPercentage: product.cottonPercentage,
+        });
+        
+        if (checkpoint) checkpoint.markUrl(taskKey, url, product);
+        if (onProduct) await onProduct(product);
+        return product;
         
       } catch (error) {
+        // Not checkpointed, so a resumed run retries the URL
         console.error(`   ❌ Error scraping ${url}:`, error.message);
-        continue;
+        reportEvent(SCRAPE_EVENT_TYPES.PRODUCT_SKIPPED, { task: taskKey, url, reason: `error: ${error.message}` });
+        if (onError) onError(url, error);
+        return null;
       }
-    }
+    }, { shouldStop: () => productsFound >= count || Boolean(signal && signal.aborted) });
+    
+    // Keep URL order so runs are reproducible, trimming any overshoot from parallel workers
+    const products = results.filter(Boolean).slice(0, count);
     
     console.log(`   ✅ Scraped ${products.length} products from ${gender} ${category}`);
-    return products;
+    return finishTask(products);
     
   } catch (error) {
     console.error(`   ❌ Error scraping category ${category}:`, error.message);
-    return [];
+    if (onError) onError(null, error);
+    return finishTask([], { error: error.message });
   }
 }
 
+/**
+ * Scrape Zara category (kept for compatibility)
+ */
+async function scrapeZaraCategory(category, gender, count = 10, options = {}) {
+  return await scrapeCategory(category, gender, count, { ...options, site: 'zara' });
+}
+
+/**
+ * Target count of a category/gender task: its `<gender>_<category>` key, then the plain category key
+ * A task covering every gender of a category (UNKNOWN_GENDER, e.g. sitemap discovery) without a count
+ * of its own gets the sum of the category's gendered counts.
+ * @param {Object} counts - Target counts, e.g. { male_shirts: 5, female_shirts: 5, dresses: 10 }
+ * @returns {number|undefined}
+ */
+function taskTargetCount(counts, category, gender) {
+  const count = counts[`${gender}_${category}`] ?? counts[category];
+  if (count !== undefined || gender !== RetailerAdapter.UNKNOWN_GENDER) {
+    return count;
+  }
+  const gendered = Object.entries(counts).filter(([key]) => key.includes('_') && key.slice(key.indexOf('_') + 1) === category);
+  return gendered.length > 0 ? gendered.reduce((sum, [, value]) => sum + value, 0) : undefined;
+}
+
+/**
+ * Scraping tasks of a run: every category/gender of the adapter with a target count above 0
+ * (matching Python example structure)
+ * @param {RetailerAdapter} adapter - Adapter built with the run's options (region, discovery...)
+ * @param {Object} counts - Target counts (see taskTargetCount)
+ * @returns {Array<{ category: string, gender: string, count: number }>}
+ */
+function planScrapeTasks(adapter, counts) {
+  const scrapingTasks = [];
+  for (const [category, genders] of Object.entries(adapter.getCategories())) {
+    for (const gender of genders) {
+      scrapingTasks.push({ category, gender, count: taskTargetCount(counts, category, gender) });
+    }
+  }
+  
+  // Filter out tasks with count 0 or undefined
+  return scrapingTasks.filter(task => task.count && task.count > 0);
+}
+
 /**
  * Scrape products according to target counts (matching Python example structure)
  * @param {Object} targetCounts - Object with keys like 'male_shirts', 'female_shirts', etc.
+ *   A plain category key (e.g. 'dresses') applies to every gender without its own count.
+ * @param {Object} options - Scraper options passed to each category scrape (site, region, discovery, mode, fixturesDir)
+ * @param {ScrapeCheckpoint} options.checkpoint - Optional checkpoint; finished tasks are skipped on resume
+ * @param {Function} options.onProduct - Optional async (product) => void called for each new 90%+ cotton product
+ * @param {Function} options.onProgress - Optional (progress) => void called as tasks finish and errors occur,
+ *   with { tasksTotal, tasksDone, productsFound, errors: [{ task, url, message }] }
+ * @param {AbortSignal} options.signal - Optional signal; the run stops (keeping products found so far) once aborted
+ * @param {string} options.jobId - Optional scrape job id, added to every scrape event of the run
  * @returns {Array} Array of all scraped products
  */
-async function scrapeAllZaraProducts(targetCounts = {}) {
-  // Default target counts (matching Python example)
-  const defaultCounts = {
-    'male_shirts': 5,
-    'female_shirts': 5,
-    'male_pants': 5,
-    'female_pants': 5,
-    'male_tshirts': 5,
-    'female_tshirts': 5,
-    'dresses': 10,
-    'female_tops': 5,
-    'female_skirts': 5,
-    'male_jackets': 5,
-    'female_jackets': 5
-  };
-  
-  const counts = { ...defaultCounts, ...targetCounts };
+async function scrapeAllProducts(targetCounts = {}, options = {}) {
+  // Configured target counts (scraping-config.json over DEFAULT_TARGET_COUNTS), see config.js
+  const counts = { ...getConfig().scraping.target_counts, ...targetCounts };
   const allProducts = [];
+  const { checkpoint = null, onProduct = null, onProgress = null, signal = null, jobId, ...scraperOptions } = options;
+  // Planned with the same options as the task adapters: discovery decides the genders of each category
+  const adapter = createAdapter(options.site || DEFAULT_SITE, scraperOptions);
+  const reportEvent = createEventReporter({ jobId, site: adapter.site, region: adapter.region.key, run: 'scrape-all' });
   
-  console.log('\n🎯 Starting Zara product scraper...');
-  console.log('='.repeat(60));
+  // Filter for 90%+ cotton only (like Python example would filter)
+  const isCottonProduct = p => p.is_cotton_90 || p.cottonPercentage >= 90;
   
-  // Define scraping tasks (matching Python example structure)
-  const scrapingTasks = [
-    { category: 'shirts', gender: 'male', count: counts.male_shirts },
-    { category: 'shirts', gender: 'female', count: counts.female_shirts },
-    { category: 'pants', gender: 'male', count: counts.male_pants },
-    { category: 'pants', gender: 'female', count: counts.female_pants },
-    { category: 'tshirts', gender: 'male', count: counts.male_tshirts },
-    { category: 'tshirts', gender: 'female', count: counts.female_tshirts },
-    { category: 'dresses', gender: 'female', count: counts.dresses },
-    { category: 'tops', gender: 'female', count: counts.female_tops },
-    { category: 'skirts', gender: 'female', count: counts.female_skirts },
-    { category: 'jackets', gender: 'male', count: counts.male_jackets },
-    { category: 'jackets', gender: 'female', count: counts.female_jackets },
-  ];
+  console.log(`\n🎯 Starting ${adapter.brand} product scraper (${adapter.region.name})...`);
+  console.log('='.repeat(60));
   
-  // Filter out tasks with count 0 or undefined
-  const activeTasks = scrapingTasks.filter(task => task.count && task.count > 0);
+  const activeTasks = planScrapeTasks(adapter, counts);
   
   console.log(`📋 Configured ${activeTasks.length} scraping tasks\n`);
+  reportEvent(SCRAPE_EVENT_TYPES.RUN_STARTED, { tasksTotal: activeTasks.length });
+  
+  const progress = { tasksTotal: activeTasks.length, tasksDone: 0, productsFound: 0, errors: [] };
+  const reportProgress = () => {
+    if (onProgress) onProgress({ ...progress, errors: [...progress.errors] });
+  };
   
   for (const task of activeTasks) {
+    if (signal && signal.aborted) {
+      console.log('\n⏹️  Scrape cancelled, stopping before the remaining tasks');
+      break;
+    }
+    
     console.log(`\n${'='.repeat(60)}`);
     console.log(`📦 Scraping ${task.count} ${task.gender} ${task.category}`);
     console.log(`${'='.repeat(60)}`);
     
+    const taskKey = `${task.gender}_${task.category}`;
+    if (checkpoint && checkpoint.isTaskDone(taskKey)) {
+      const cottonProducts = checkpoint.getTaskProducts(taskKey);
+      allProducts.push(...cottonProducts);
+      console.log(`   ♻️  Already completed in checkpoint (${cottonProducts.length} products)`);
+      reportEvent(SCRAPE_EVENT_TYPES.TASK_FINISHED, { task: taskKey, productsFound: cottonProducts.length, fromCheckpoint: true });
+      progress.tasksDone++;
+      progress.productsFound = allProducts.length;
+      reportProgress();
+      continue;
+    }
+    
     try {
-      const products = await scrapeZaraCategory(task.category, task.gender, task.count);
+      const products = await scrapeCategory(task.category, task.gender, task.count, {
+        ...scraperOptions,
+        checkpoint,
+        signal,
+        reportEvent,
+        onProduct: onProduct && (async (product) => {
+          if (isCottonProduct(product)) {
+            await onProduct(product);
+          }
+        }),
+        onError: (url, error) => {
+          progress.errors.push({ task: taskKey, url, message: error.message, code: error.code || null });
+          reportProgress();
+        },
+      });
       
-      // Filter for 90%+ cotton only (like Python example would filter)
-      const cottonProducts = products.filter(p => 
-        p.is_cotton_90 || p.cottonPercentage >= 90
-      );
+      const cottonProducts = products.filter(isCottonProduct);
+      products
+        .filter(p => !isCottonProduct(p))
+        .forEach(p => reportEvent(SCRAPE_EVENT_TYPES.PRODUCT_SKIPPED, {
+          task: taskKey,
+          url: p.url,
+          reason: `below 90% cotton (${p.cottonPercentage}%)`,
+        }));
       
       allProducts.push(...cottonProducts);
+      // A cancelled task is left open so a resumed run finishes it
+      if (checkpoint && !(signal && signal.aborted)) {
+        checkpoint.completeTask(taskKey, cottonProducts);
+      }
       
       console.log(`   ✅ Found ${cottonProducts.length} products with 90%+ cotton (target: ${task.count})`);
       
     } catch (error) {
       console.error(`   ❌ Error scraping ${task.gender} ${task.category}:`, error.message);
+      progress.errors.push({ task: taskKey, url: null, message: error.message, code: error.code || null });
     }
+    
+    progress.tasksDone++;
+    progress.productsFound = allProducts.length;
+    reportProgress();
   }
   
   console.log('\n' + '='.repeat(60));
   console.log('📊 SCRAPING COMPLETED');
   console.log('='.repeat(60));
   console.log(`Total products with 90%+ cotton: ${allProducts.length}`);
+  reportEvent(SCRAPE_EVENT_TYPES.RUN_FINISHED, {
+    productsFound: allProducts.length,
+    cancelled: Boolean(signal && signal.aborted),
+  });
   
   // Breakdown by category (like Python example)
   const categoryBreakdown = {};
@@ -223,6 +369,37 @@ async function scrapeAllZaraProducts(targetCounts = {}) {
   return allProducts;
 }
 
+/**
+ * Scrape a single product page with the adapter that handles its host
+ * @param {string} url - Product URL
+ * @param {Object} options - Scraper options (region, mode, fixturesDir); the region defaults to the
+ *   one in the URL's locale path
+ * @returns {Promise<Object|null>} Product, or null if the page had no product data
+ * @throws {Error} if no retailer adapter handles the URL
+ */
+async function scrapeProductUrl(url, options = {}) {
+  const site = getSiteForUrl(url);
+  if (!site) {
+    throw new Error(`No retailer adapter handles "${url}"`);
+  }
+  const region = options.region || (regionForUrl(url) || {}).key || DEFAULT_REGION;
+  const adapter = createAdapter(site, { ...options, region });
+  const product = await adapter.extractProductInfo(getAdapterClass(site).canonicalProductUrl(url));
+  
+  if (!product || !product.name || product.name === 'Unknown Product') {
+    return null;
+  }
+  product.color = product.color || extractColor(product.name, product.materials);
+  return product;
+}
+
+/**
+ * Scrape all Zara categories (kept for compatibility)
+ */
+async function scrapeAllZaraProducts(targetCounts = {}, options = {}) {
+  return await scrapeAllProducts(targetCounts, { ...options, site: 'zara' });
+}
+
 /**
  * Mock product data as fallback
  */
@@ -284,9 +461,9 @@ function getMockProducts(query) {
 /**
  * Search and save to MongoDB
  */
-async function searchZaraAndSave(query) {
+async function searchAndSave(query, limit = 10, site = DEFAULT_SITE) {
   try {
-    const products = await searchZara(query);
+    const products = await searchRetailer(query, limit, site);
     
     // Save to MongoDB if products found
     if (products.length > 0) {
@@ -297,12 +474,19 @@ async function searchZaraAndSave(query) {
     
     return products;
   } catch (error) {
-    console.error('Error in searchZaraAndSave:', error);
+    console.error('Error in searchAndSave:', error);
     // Fallback to regular search without saving
-    return await searchZara(query);
+    return await searchRetailer(query, limit, site);
   }
 }
 
+/**
+ * Search Zara and save to MongoDB (kept for compatibility)
+ */
+async function searchZaraAndSave(query, limit = 10) {
+  return await searchAndSave(query, limit, 'zara');
+}
+
 /**
  * Legacy function name for compatibility
  */
@@ -327,7 +511,16 @@ function parseCottonPercentage(materialText) {
 }
 
 module.exports = {
-  // New Zara functions
+  // Retailer-agnostic functions (dispatch to the adapter registered for `site`)
+  searchRetailer,
+  searchAndSave,
+  scrapeCategory,
+  scrapeAllProducts,
+  taskTargetCount,
+  planScrapeTasks,
+  scrapeProductUrl,
+
+  // Zara functions
   searchZara,
   searchZaraAndSave,
   scrapeZaraCategory,
@@ -0,0 +1,102 @@
+const RetailerAdapter = require('./retailerAdapter');
+const ZaraScraper = require('./zaraScraper');
+const { isSupportedRegion, getRegion } = require('./regions');
+
+/**
+ * Retailer adapter registry
+ * Maps a `site` key (stored on every product) to the adapter class that scrapes it
+ */
+
+const DEFAULT_SITE = 'zara';
+
+const adapters = new Map();
+
+/**
+ * Register a retailer adapter class under its static `site` key
+ * @param {typeof RetailerAdapter} AdapterClass
+ */
+function registerAdapter(AdapterClass) {
+  if (!(AdapterClass.prototype instanceof RetailerAdapter)) {
+    throw new Error(`${AdapterClass.name} must extend RetailerAdapter`);
+  }
+  if (!AdapterClass.site) {
+    throw new Error(`${AdapterClass.name} must define a static site key`);
+  }
+  adapters.set(AdapterClass.site, AdapterClass);
+}
+
+/**
+ * Whether an adapter is registered for a site
+ */
+function isSupportedSite(site) {
+  return adapters.has(site);
+}
+
+/**
+ * List registered site keys
+ */
+function listSites() {
+  return Array.from(adapters.keys());
+}
+
+/**
+ * Get the adapter class for a site
+ * @param {string} site - Site key (default: 'zara')
+ */
+function getAdapterClass(site = DEFAULT_SITE) {
+  const AdapterClass = adapters.get(site);
+  if (!AdapterClass) {
+    throw new Error(`Unknown site "${site}" (registered: ${listSites().join(', ')})`);
+  }
+  return AdapterClass;
+}
+
+/**
+ * Create an adapter instance for a site
+ * @param {string} site - Site key (default: 'zara')
+ * @param {Object} options - Adapter options (mode, fixturesDir, ...)
+ */
+function createAdapter(site = DEFAULT_SITE, options = {}) {
+  const AdapterClass = getAdapterClass(site);
+  return new AdapterClass(options);
+}
+
+/**
+ * Find the site key for a product URL
+ * @returns {string|null}
+ */
+function getSiteForUrl(url) {
+  for (const [site, AdapterClass] of adapters) {
+    if (AdapterClass.handlesUrl(url)) {
+      return site;
+    }
+  }
+  return null;
+}
+
+/**
+ * Brand/currency defaults for a site, used when a product does not carry its own
+ * @param {string} site - Site key (default: 'zara')
+ * @param {string} region - Region key; its currency takes precedence over the adapter's
+ */
+function getSiteDefaults(site = DEFAULT_SITE, region = null) {
+  const AdapterClass = adapters.get(site) || adapters.get(DEFAULT_SITE);
+  return {
+    site: site || DEFAULT_SITE,
+    brand: AdapterClass.brand,
+    currency: region && isSupportedRegion(region) ? getRegion(region).currency : AdapterClass.currency,
+  };
+}
+
+registerAdapter(ZaraScraper);
+
+module.exports = {
+  DEFAULT_SITE,
+  registerAdapter,
+  isSupportedSite,
+  listSites,
+  getAdapterClass,
+  createAdapter,
+  getSiteForUrl,
+  getSiteDefaults,
+};
@@ -0,0 +1,275 @@
+const puppeteer = require('puppeteer');
+const { getConfig } = require('../config');
+
+/**
+ * Shared browser/page pool for scraping runs
+ * One Chromium instance with up to `size` pages, a limit on concurrent pages per host
+ * and queue-based dispatch of work items. Request spacing and robots.txt rules are
+ * enforced at navigation time by the crawl policy (see crawlPolicy.js).
+ */
+
+const DEFAULT_POOL_OPTIONS = {
+  size: 3,
+  perHostConcurrency: 2,
+  idleTimeoutMs: 60000,
+  viewport: { width: 1920, height: 1080 },
+  launchArgs: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-features=IsolateOrigins,site-per-process'
+  ],
+};
+
+/**
+ * Minimal counting semaphore with a FIFO wait queue
+ */
+class Semaphore {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.queue.push(resolve));
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+class BrowserPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.size - Maximum number of open pages
+   * @param {number} options.perHostConcurrency - Maximum pages loading the same host at once
+   * @param {number} options.idleTimeoutMs - Close the browser after this long without work (0 = never)
+   * @param {string} options.userAgent - User agent of every page (default: user_agent in settings.yaml)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_POOL_OPTIONS, userAgent: getConfig().scraper.userAgent, ...options };
+    this.size = this.options.size;
+    this.browser = null;
+    this.launching = null;
+    this.idlePages = [];
+    this.pageSlots = new Semaphore(this.size);
+    this.hosts = new Map();
+    this.inUse = 0;
+    this.idleTimer = null;
+  }
+
+  /**
+   * Launch the browser on first use
+   */
+  async getBrowser() {
+    if (this.browser) return this.browser;
+    if (!this.launching) {
+      this.launching = puppeteer.launch({ headless: true, args: this.options.launchArgs })
+        .then(browser => {
+          this.browser = browser;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+    return this.launching;
+  }
+
+  /**
+   * Create a page configured to look like a regular desktop browser
+   */
+  async createPage() {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    await page.setUserAgent(this.options.userAgent);
+    await page.setViewport(this.options.viewport);
+    await page.setExtraHTTPHeaders({
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+    });
+    return page;
+  }
+
+  /**
+   * Per-host concurrency state
+   */
+  getHost(url) {
+    let host = 'unknown';
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      // Non-URL keys share one bucket
+    }
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { slots: new Semaphore(this.options.perHostConcurrency) });
+    }
+    return this.hosts.get(host);
+  }
+
+  async acquirePage() {
+    await this.pageSlots.acquire();
+    clearTimeout(this.idleTimer);
+    this.inUse++;
+    try {
+      return this.idlePages.pop() || await this.createPage();
+    } catch (error) {
+      this.inUse--;
+      this.pageSlots.release();
+      throw error;
+    }
+  }
+
+  releasePage(page) {
+    this.inUse--;
+    if (page.isClosed()) {
+      // A crashed page is simply dropped; a new one is created on demand
+    } else {
+      this.idlePages.push(page);
+    }
+    this.pageSlots.release();
+
+    if (this.inUse === 0 && this.options.idleTimeoutMs > 0) {
+      this.idleTimer = setTimeout(() => this.close(), this.options.idleTimeoutMs);
+      this.idleTimer.unref?.();
+    }
+  }
+
+  /**
+   * Run `fn` with a pooled page once the URL's host has a free concurrency slot
+   * @param {string} url - URL that will be loaded (used for per-host limits)
+   * @param {Function} fn - async (page) => result
+   */
+  async withPage(url, fn) {
+    const host = this.getHost(url);
+    await host.slots.acquire();
+    try {
+      const page = await this.acquirePage();
+      try {
+        return await fn(page);
+      } finally {
+        this.releasePage(page);
+      }
+    } finally {
+      host.slots.release();
+    }
+  }
+
+  /**
+   * Queue-based dispatch: process items with up to `size` workers in parallel
+   * Results keep the order of `items`; items not dispatched because `shouldStop()`
+   * returned true are left undefined.
+   * @param {Array} items - Work items (e.g. product URLs)
+   * @param {Function} handler - async (item, index) => result
+   * @param {Object} options
+   * @param {Function} options.shouldStop - Checked before each dispatch
+   */
+  async map(items, handler, { shouldStop = () => false } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length && !shouldStop()) {
+        const index = next++;
+        results[index] = await handler(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.size, items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Close all pages and the browser
+   */
+  async close() {
+    clearTimeout(this.idleTimer);
+    const browser = this.browser || (this.launching && await this.launching);
+    this.browser = null;
+    this.idlePages = [];
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+/**
+ * Map the `pool` section of scraping-config.json to pool options
+ * @param {Object} poolConfig - e.g. { size: 3, per_host_concurrency: 2 }
+ */
+function poolOptionsFromConfig(poolConfig = {}) {
+  const keys = {
+    size: 'size',
+    per_host_concurrency: 'perHostConcurrency',
+    idle_timeout_ms: 'idleTimeoutMs',
+  };
+  const options = {};
+  for (const [configKey, optionKey] of Object.entries(keys)) {
+    if (poolConfig[configKey] !== undefined) {
+      options[optionKey] = poolConfig[configKey];
+    }
+  }
+  return options;
+}
+
+let sharedPool = null;
+
+/**
+ * Configure the shared pool used by every scraper entry point
+ * Must be called before the pool is first used; later calls replace an idle pool.
+ */
+function configureSharedPool(options = {}) {
+  if (sharedPool && sharedPool.inUse > 0) {
+    throw new Error('Cannot reconfigure the browser pool while it is in use');
+  }
+  const previous = sharedPool;
+  sharedPool = new BrowserPool(options);
+  if (previous) {
+    previous.close().catch(() => {});
+  }
+  return sharedPool;
+}
+
+/**
+ * Get the shared pool (created with default options on first use)
+ */
+function getSharedPool() {
+  if (!sharedPool) {
+    sharedPool = new BrowserPool();
+  }
+  return sharedPool;
+}
+
+/**
+ * Close the shared pool's browser (e.g. at the end of a CLI run)
+ */
+async function closeSharedPool() {
+  if (sharedPool) {
+    await sharedPool.close();
+  }
+}
+
+module.exports = {
+  BrowserPool,
+  DEFAULT_POOL_OPTIONS,
+  poolOptionsFromConfig,
+  configureSharedPool,
+  getSharedPool,
+  closeSharedPool,
+};
@@ -0,0 +1,191 @@
+/**
+ * Catalog diff between a scrape run and the stored catalog
+ * Compares the product documents a run extracted with the documents that were stored
+ * before the run started, and reports:
+ * - newProducts: catalog products (90%+ cotton) that were not stored before
+ * - removedProducts: stored products missing from a category listing the run read in full
+ * - delistedProducts: stored products whose page no longer shows a product
+ * - priceChanges: stored products scraped at a different price
+ * - compositionChanges: stored products scraped with a different composition
+ *   (`leftCottonFilter` when the product no longer reaches 90% cotton)
+ *
+ * Stored products are matched to a listing by the task that last found them (`listing_task`,
+ * e.g. 'female_shirts'). Products of tasks outside the run, of a listing cut at the listing
+ * limit or by a sitemap discovery that stopped early, or saved before listing tasks were
+ * recorded are not reported as removed: the run did not look for them. Pages that failed to
+ * load are not in the run's processed URLs, so their products are neither delisted nor,
+ * being listed, removed.
+ */
+
+/**
+ * Identity of a product document: product group + color variant, or the URL
+ */
+function documentKey(doc) {
+  return doc.productId && doc.variantId ? `${doc.productId}:${doc.variantId}` : doc.url;
+}
+
+/**
+ * Product page URL without the color parameter, as found on listing pages
+ */
+function baseUrl(url) {
+  return (url || '').split('?')[0].split('#')[0];
+}
+
+/**
+ * Fiber map as a stable string ("cotton:95,elastane:5"), so fiber order does not matter
+ */
+function fiberSignature(fibers) {
+  return Object.keys(fibers || {}).sort().map(fiber => `${fiber}:${fibers[fiber]}`).join(',');
+}
+
+/**
+ * Composition of every part as a stable string ("shell=cotton:100;lining=polyester:100")
+ */
+function compositionSignature(parts) {
+  return parts.map(part => `${part.role}=${fiberSignature(part.fibers)}`).join(';');
+}
+
+/**
+ * Whether a product's composition changed
+ * Documents stored before compositions were split into parts are compared on their
+ * materials text, as their fiber map was parsed differently.
+ */
+function isCompositionChange(stored, doc) {
+  const storedParts = stored.composition_parts || [];
+  const parts = doc.composition_parts || [];
+  if (storedParts.length > 0 && parts.length > 0) {
+    return compositionSignature(storedParts) !== compositionSignature(parts);
+  }
+  const normalize = value => String(value || '').trim().toLowerCase();
+  return normalize(stored.composition_raw) !== normalize(doc.composition_raw);
+}
+
+function isPriceDifferent(before, after) {
+  if (!before || !after) return false;
+  return Math.abs(before - after) >= 0.005;
+}
+
+/**
+ * Short description of a product document for the report
+ */
+function summarizeProduct(doc) {
+  return {
+    url: doc.url,
+    productId: doc.productId || null,
+    variantId: doc.variantId || null,
+    name: doc.name,
+    color: doc.color || null,
+    category: doc.category || null,
+    gender: doc.gender || null,
+    price: doc.price || null,
+    currency: doc.currency || null,
+    cottonPercentage: doc.cottonPercentage || 0,
+  };
+}
+
+/**
+ * Compare a run with the stored catalog
+ * @param {Object[]} storedDocs - Product documents stored before the run (for the run's site)
+ * @param {Object} run
+ * @param {Object[]} run.tasks - [{ taskKey, listedUrls, listingComplete, documents, emptyUrls }]
+ *   where documents are the product documents extracted by the task (cotton or not) and
+ *   emptyUrls the pages that were fetched but showed no product
+ * @returns {{ summary: Object, newProducts: Object[], removedProducts: Object[], delistedProducts: Object[],
+ *   priceChanges: Object[], compositionChanges: Object[] }}
+ */
+function diffCatalog(storedDocs, run) {
+  const storedByKey = new Map(storedDocs.map(doc => [documentKey(doc), doc]));
+  const seenKeys = new Set();
+  const seenBaseUrls = new Set();
+
+  const newProducts = [];
+  const priceChanges = [];
+  const compositionChanges = [];
+  const delistedProducts = [];
+  const removedProducts = [];
+  let scrapedCount = 0;
+
+  for (const task of run.tasks) {
+    for (const doc of task.documents) {
+      const key = documentKey(doc);
+      // Several tasks can list the same product
+      if (seenKeys.has(key)) continue;
+      seenKeys.add(key);
+      seenBaseUrls.add(baseUrl(doc.url));
+      scrapedCount++;
+
+      const stored = storedByKey.get(key);
+      if (!stored) {
+        // Products below 90% cotton are not added to the catalog
+        if (doc.is_cotton_90) newProducts.push(summarizeProduct(doc));
+        continue;
+      }
+
+      if (isPriceDifferent(stored.price, doc.price)) {
+        const amount = Math.round((doc.price - stored.price) * 100) / 100;
+        priceChanges.push({
+          ...summarizeProduct(doc),
+          from: stored.price,
+          to: doc.price,
+          amount,
+          percent: Math.round((amount / stored.price) * 100),
+        });
+      }
+
+      if (isCompositionChange(stored, doc)) {
+        compositionChanges.push({
+          ...summarizeProduct(doc),
+          from: { materials: stored.composition_raw || '', cottonPercentage: stored.cottonPercentage || 0 },
+          to: { materials: doc.composition_raw || '', cottonPercentage: doc.cottonPercentage || 0 },
+          leftCottonFilter: Boolean(stored.is_cotton_90) && !doc.is_cotton_90,
+        });
+      }
+    }
+  }
+
+  // Pages that were fetched but no longer show a product
+  const emptyUrls = new Set(run.tasks.flatMap(task => (task.emptyUrls || []).map(baseUrl)));
+  for (const stored of storedDocs) {
+    const url = baseUrl(stored.url);
+    if (emptyUrls.has(url) && !seenBaseUrls.has(url)) {
+      delistedProducts.push(summarizeProduct(stored));
+    }
+  }
+
+  // Stored products of a fully read listing that the listing no longer links to
+  const delistedKeys = new Set(delistedProducts.map(documentKey));
+  for (const task of run.tasks) {
+    if (!task.listingComplete) continue;
+    const listed = new Set((task.listedUrls || []).map(baseUrl));
+
+    for (const stored of storedDocs) {
+      if (stored.listing_task !== task.taskKey) continue;
+      const url = baseUrl(stored.url);
+      if (listed.has(url) || seenBaseUrls.has(url) || delistedKeys.has(documentKey(stored))) continue;
+      removedProducts.push({ ...summarizeProduct(stored), task: task.taskKey });
+    }
+  }
+
+  return {
+    summary: {
+      storedCount: storedDocs.length,
+      scrapedCount,
+      newCount: newProducts.length,
+      removedCount: removedProducts.length,
+      delistedCount: delistedProducts.length,
+      priceChangeCount: priceChanges.length,
+      compositionChangeCount: compositionChanges.length,
+      leftCottonFilterCount: compositionChanges.filter(change => change.leftCottonFilter).length,
+      tasksWithCompleteListing: run.tasks.filter(task => task.listingComplete).map(task => task.taskKey),
+    },
+    newProducts,
+    removedProducts,
+    delistedProducts,
+    priceChanges,
+    compositionChanges,
+  };
+}
+
+module.exports = {
+  diffCatalog,
+};
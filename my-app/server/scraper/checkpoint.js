@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_REGION } = require('./regions');
+
+/**
+ * Scrape run checkpoint
+ * Persists progress of a scrapeAllProducts() run so a crashed run can be resumed:
+ * per task (e.g. 'male_shirts') the product URLs found on the listing page, and per URL
+ * whether it was extracted (with the product) or rejected. Written after every change.
+ *
+ * Layout:
+ *   { site, region, startedAt, updatedAt,
+ *     tasks: { male_shirts: { status: 'running' | 'done', productUrls: [...], listingComplete,
+ *                             urls: { <url>: { status: 'done' | 'skipped', product } } } } }
+ *
+ * The catalog the run is diffed against (read before its first upsert) is kept beside it in
+ * <file>.baseline.json as { startedAt, documents }, written once, so a resumed run still
+ * compares with the catalog as it was before the first attempt.
+ */
+
+const DEFAULT_CHECKPOINT_PATH = '.scrape-checkpoint.json';
+
+class ScrapeCheckpoint {
+  /**
+   * @param {string} filePath - Checkpoint file (default: .scrape-checkpoint.json in the working directory)
+   * @param {Object} state - Existing state (from load())
+   */
+  constructor(filePath = DEFAULT_CHECKPOINT_PATH, state = null) {
+    this.filePath = path.resolve(filePath);
+    this.state = state;
+  }
+
+  /**
+   * Load a checkpoint from disk
+   * @returns {ScrapeCheckpoint|null} null when no checkpoint file exists
+   */
+  static load(filePath = DEFAULT_CHECKPOINT_PATH) {
+    const checkpoint = new ScrapeCheckpoint(filePath);
+    if (!fs.existsSync(checkpoint.filePath)) {
+      return null;
+    }
+    try {
+      checkpoint.state = JSON.parse(fs.readFileSync(checkpoint.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Checkpoint file ${filePath} is not valid JSON: ${error.message}`);
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Start a new, empty checkpoint (replacing any file at the same path on first save)
+   */
+  static create(filePath = DEFAULT_CHECKPOINT_PATH, site, region = DEFAULT_REGION) {
+    const now = new Date().toISOString();
+    return new ScrapeCheckpoint(filePath, { site, region, startedAt: now, updatedAt: now, tasks: {} });
+  }
+
+  get site() {
+    return this.state.site;
+  }
+
+  /**
+   * Region of the run (checkpoints written before regions existed are for the default region)
+   */
+  get region() {
+    return this.state.region || DEFAULT_REGION;
+  }
+
+  /**
+   * Write the checkpoint atomically (temp file + rename) so a crash never leaves it half-written
+   */
+  save() {
+    this.state.updatedAt = new Date().toISOString();
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2), 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Delete the checkpoint file and its baseline (after a successful run)
+   */
+  remove() {
+    for (const filePath of [this.filePath, this.baselinePath]) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+
+  get baselinePath() {
+    return `${this.filePath}.baseline.json`;
+  }
+
+  /**
+   * Store the catalog the run is compared with (product documents stored before the run)
+   */
+  saveBaseline(documents) {
+    const tmpPath = `${this.baselinePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ startedAt: this.state.startedAt, documents }), 'utf8');
+    fs.renameSync(tmpPath, this.baselinePath);
+  }
+
+  /**
+   * Catalog stored by saveBaseline() for this run
+   * @returns {Object[]|null} null when there is none, or it belongs to an earlier run at the same path
+   */
+  loadBaseline() {
+    if (!fs.existsSync(this.baselinePath)) {
+      return null;
+    }
+    try {
+      const baseline = JSON.parse(fs.readFileSync(this.baselinePath, 'utf8'));
+      return baseline.startedAt === this.state.startedAt ? baseline.documents : null;
+    } catch (error) {
+      console.log(`   ⚠️  Ignoring unreadable checkpoint baseline ${this.baselinePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  getTask(taskKey) {
+    if (!this.state.tasks[taskKey]) {
+      this.state.tasks[taskKey] = { status: 'running', productUrls: null, urls: {} };
+    }
+    return this.state.tasks[taskKey];
+  }
+
+  isTaskDone(taskKey) {
+    return this.state.tasks[taskKey]?.status === 'done';
+  }
+
+  /**
+   * Product URLs recorded for a task, or null if the listing page has not been scraped yet
+   */
+  getProductUrls(taskKey) {
+    return this.state.tasks[taskKey]?.productUrls || null;
+  }
+
+  /**
+   * Record the product URLs found on a task's listing page
+   * @param {boolean} listingComplete - Whether every product of the listing was kept
+   *   (false when the list was cut at the listing limit or discovery stopped early)
+   */
+  setProductUrls(taskKey, productUrls, listingComplete = false) {
+    const task = this.getTask(taskKey);
+    task.productUrls = productUrls;
+    task.listingComplete = listingComplete;
+    this.save();
+  }
+
+  /**
+   * Checkpoint entry for a URL, or undefined if it has not been processed
+   * @returns {{ status: string, product: Object|null } | undefined}
+   */
+  getUrl(taskKey, url) {
+    return this.state.tasks[taskKey]?.urls[url];
+  }
+
+  /**
+   * Record a processed URL
+   * @param {Object|null} product - Extracted product, or null when the page was rejected
+   */
+  markUrl(taskKey, url, product) {
+    this.getTask(taskKey).urls[url] = product
+      ? { status: 'done', product }
+      : { status: 'skipped', product: null };
+    this.save();
+  }
+
+  /**
+   * Mark a task finished, keeping the products it returned
+   */
+  completeTask(taskKey, products) {
+    const task = this.getTask(taskKey);
+    task.status = 'done';
+    task.products = products;
+    this.save();
+  }
+
+  /**
+   * Products returned by a finished task
+   */
+  getTaskProducts(taskKey) {
+    return this.state.tasks[taskKey]?.products || [];
+  }
+
+  /**
+   * Every task of the run with its listing and processed URLs
+   * @returns {Array<{ taskKey: string, status: string, productUrls: string[]|null, listingComplete: boolean,
+   *   urls: Object, products: Object[] }>} products are the ones a finished task returned
+   */
+  getTasks() {
+    return Object.entries(this.state.tasks).map(([taskKey, task]) => ({
+      taskKey,
+      status: task.status,
+      productUrls: task.productUrls,
+      listingComplete: Boolean(task.listingComplete),
+      urls: task.urls,
+      products: task.products || [],
+    }));
+  }
+}
+
+module.exports = {
+  ScrapeCheckpoint,
+  DEFAULT_CHECKPOINT_PATH,
+};
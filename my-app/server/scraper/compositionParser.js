@@ -1,75 +1,258 @@
 /**
  * Parse composition text into structured data
- * Example: "Shell: 95% Cotton, 5% Elastane" -> { cotton: 95, elastane: 5, is_cotton_90: true }
+ * Example: "Outer shell: 95% Cotton, 5% Elastane. Lining: 100% Polyester" ->
+ *   parts [{ label: 'Outer shell', role: 'shell', fibers: { cotton: 95, elastane: 5 }, main: true },
+ *          { label: 'Lining', role: 'lining', fibers: { polyester: 100 }, main: false }]
+ * The main part is the garment's own fabric; cotton filters can look at it alone or at every part.
+ * Fiber names in English, French, Spanish, German and Italian map to canonical fiber ids
+ * (see fiberLexicon.js), written either "95% coton" or "coton 95%".
  */
 
+const { normalizeFiberText, canonicalFiber, mentionsFiber } = require('./fiberLexicon');
+const { fiberClassTotals } = require('./fiberTaxonomy');
+
 /**
- * Parse composition from raw materials text
- * @param {string} text - Raw materials string, e.g. 'Shell: 95% Cotton, 5% Elastane.'
- * @returns {{ composition: Object, isCotton90: boolean }} - Map of fiber -> percentage and cotton 90+ flag
+ * Part roles and the labels that name them (lowercase, without accents)
  */
-function parseComposition(text) {
+const PART_ROLES = {
+  shell: [
+    'outer shell', 'shell', 'main fabric', 'main', 'fabric', 'outer', 'body', 'exterior', 'outside',
+    'tissu principal', 'exterieur', 'dessus', 'tejido principal', 'aussenstoff', 'oberstoff', 'oberteil', 'esterno', 'tessuto principale',
+  ],
+  lining: [
+    'lining', 'sleeve lining', 'body lining', 'inner', 'inside',
+    'doublure', 'interieur', 'forro', 'futter', 'innenfutter', 'fodera', 'interno',
+  ],
+  pocketing: [
+    'pocketing', 'pocket lining', 'pocket bag', 'pockets', 'pocket',
+    'fond de poche', 'poches', 'poche', 'forro bolsillo', 'bolsillos', 'bolsillo', 'taschenfutter', 'taschen', 'fodera tasche', 'tasche',
+  ],
+  trim: [
+    'trim', 'trims', 'rib', 'ribbing', 'ribbed trim', 'contrast', 'contrast fabric', 'embroidery', 'lace', 'details', 'applique',
+    'bord-cote', 'bords-cotes', 'garniture', 'broderie', 'dentelle', 'ribete', 'punos', 'bordado', 'encaje',
+    'bundchen', 'besatz', 'stickerei', 'spitze', 'bordi', 'polsini', 'ricamo', 'pizzo',
+  ],
+  filling: [
+    'filling', 'padding', 'wadding', 'interlining',
+    'rembourrage', 'ouatine', 'garnissage', 'relleno', 'guata', 'fullung', 'wattierung', 'imbottitura', 'ovatta',
+  ],
+};
+const OTHER_ROLE = 'other';
+
+// Parts whose fabric is not the garment's own; never the main part when another part exists
+const SECONDARY_ROLES = ['lining', 'pocketing', 'trim', 'filling'];
+
+const ROLE_BY_LABEL = new Map(Object.entries(PART_ROLES)
+  .flatMap(([role, labels]) => labels.map(label => [label, role])));
+
+// Known labels may appear without a colon ("OUTER SHELL 100% cotton"), longest first
+const KNOWN_LABEL_SOURCE = Array.from(ROLE_BY_LABEL.keys())
+  .sort((a, b) => b.length - a.length)
+  .map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'))
+  .join('|');
+
+// A percentage: "95%", "95 %", "2,5%"
+const PERCENT_SOURCE = '\\d{1,3}(?:[.,]\\d+)?\\s*%';
+const PERCENT_PATTERN = /(\d{1,3}(?:[.,]\d+)?)\s*%/g;
+
+// "Label: 100% ..." / "Label: coton 100%" (any label) or "<known label> 100% ..."
+const PART_LABEL_PATTERN = new RegExp(
+  `([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\\s/&'-]{0,40}?)\\s*:\\s*(?=[^:]*?${PERCENT_SOURCE})|\\b(${KNOWN_LABEL_SOURCE})\\s+(?=${PERCENT_SOURCE})`,
+  'gi'
+);
+
+// Breakdowns of the fiber before them ("100% cotton which contains at least: 100% organic cotton",
+// "100% coton dont au moins : 100% coton biologique") describe the same fabric, not another part
+const BREAKDOWN_CLAUSE = new RegExp(
+  '\\s*,?\\s*\\b(?:which\\s+|that\\s+|qui\\s+|que\\s+|che\\s+)?' +
+  '(?:contains?(?:\\s+at\\s+least)?|of\\s+which|including|contient(?:\\s+au\\s+moins)?|dont(?:\\s+au\\s+moins)?|' +
+  'contiene(?:\\s+al\\s+menos|\\s+almeno)?|enth(?:ä|ae)lt(?:\\s+mindestens)?|davon|di\\s+cui)\\s*:?\\s*' +
+  `(?:${PERCENT_SOURCE}\\s*[A-Za-zÀ-ÿ ]+,?\\s*)+`,
+  'gi'
+);
+
+// Headings that are not a part of the garment
+const HEADING_LABEL = /^(?:composition|materials?|matieres?|composicion|materiales|zusammensetzung|material|composizione|materiali)$/i;
+
+/**
+ * Role of a part label ('shell', 'lining', 'pocketing', 'trim', 'filling' or 'other')
+ */
+function partRole(label) {
+  if (!label) return OTHER_ROLE;
+  const normalized = normalizeFiberText(label).replace(/\s+/g, ' ').trim();
+  return ROLE_BY_LABEL.get(normalized) ||
+    ROLE_BY_LABEL.get(normalized.replace(/s$/, '')) ||
+    OTHER_ROLE;
+}
+
+/**
+ * Fiber phrase next to a percentage, cut at the nearest separator
+ * @param {string} text - Text between two percentages
+ * @param {boolean} before - Whether the phrase precedes its percentage ("coton 95%")
+ */
+function fiberPhrase(text, before) {
+  const pieces = text.split(/[,;.:/\n()]|\s-\s|\s+(?:and|et|y|und|e)\s+/i);
+  const phrase = before ? pieces[pieces.length - 1] : pieces[0];
+  return phrase.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Fiber percentages in a piece of composition text
+ * Handles "95% cotton, 5% elastane" and "coton 95%, élasthanne 5%"; the order is taken from
+ * whether a fiber name precedes the first percentage.
+ * @returns {Object} Map of canonical fiber id (or the raw name, for unknown fibers) -> percentage
+ */
+function parseFibers(text) {
+  const percents = Array.from(text.matchAll(PERCENT_PATTERN));
+  if (percents.length === 0) {
+    return {};
+  }
+
+  const between = (i) => text.slice(
+    i === 0 ? 0 : percents[i - 1].index + percents[i - 1][0].length,
+    percents[i].index
+  );
+  const after = (i) => text.slice(
+    percents[i].index + percents[i][0].length,
+    i + 1 < percents.length ? percents[i + 1].index : text.length
+  );
+  const fiberFirst = mentionsFiber(fiberPhrase(between(0), true)) && !mentionsFiber(fiberPhrase(after(0), false));
+
+  const fibers = {};
+  percents.forEach((match, i) => {
+    const percent = parseFloat(match[1].replace(',', '.'));
+    const phrase = fiberFirst ? fiberPhrase(between(i), true) : fiberPhrase(after(i), false);
+    if (!/[a-zà-ÿ]/i.test(phrase)) return;
+    const fiber = canonicalFiber(phrase) || phrase.toLowerCase();
+    fibers[fiber] = (fibers[fiber] || 0) + percent;
+  });
+  return fibers;
+}
+
+/**
+ * Split composition text into named parts, each with its own fiber map
+ * Text before the first label (or text without labels) is an unlabeled part.
+ * @param {string} text - Raw materials string
+ * @returns {Array<{ label: string|null, role: string, fibers: Object, main: boolean }>}
+ */
+function parseCompositionParts(text) {
   if (!text || typeof text !== 'string') {
-    return { composition: {}, isCotton90: false };
+    return [];
   }
 
-  const textLower = text.toLowerCase();
-  // Match patterns like "95% cotton", "5% elastane", etc.
-  const pattern = /(\d{1,3})%\s*([a-zA-Z\s]+)/g;
-  const matches = Array.from(textLower.matchAll(pattern));
-
-  const composition = {};
-  const cottonPercents = [];
-
-  for (const match of matches) {
-    try {
-      const percent = parseFloat(match[1]);
-      const fiber = match[2].trim().toLowerCase();
-      
-      // Clean up fiber name
-      const fiberClean = fiber.split(/\s+/).join(' ');
-      composition[fiberClean] = percent;
-      
-      // Track cotton percentages
-      if (fiber.includes('cotton')) {
-        cottonPercents.push(percent);
-      }
-    } catch (error) {
-      // Skip invalid matches
-      continue;
-    }
+  const source = text.replace(BREAKDOWN_CLAUSE, ' ');
+  const labels = Array.from(source.matchAll(PART_LABEL_PATTERN))
+    .map(match => ({ label: (match[1] || match[2]).replace(/\s+/g, ' ').trim(), start: match.index, end: match.index + match[0].length }))
+    .filter(({ label }) => !HEADING_LABEL.test(normalizeFiberText(label)));
+
+  const segments = [{ label: null, start: 0, end: 0 }, ...labels].map((segment, i, all) => ({
+    label: segment.label,
+    text: source.slice(segment.end, i + 1 < all.length ? all[i + 1].start : source.length),
+  }));
+
+  const parts = segments
+    .map(({ label, text: partText }) => ({ label, role: label ? partRole(label) : OTHER_ROLE, fibers: parseFibers(partText), main: false }))
+    .filter(part => Object.keys(part.fibers).length > 0);
+
+  const main = parts.find(part => part.role === 'shell') ||
+    parts.find(part => !part.label) ||
+    parts.find(part => !SECONDARY_ROLES.includes(part.role)) ||
+    parts[0];
+  if (main) {
+    main.main = true;
   }
+  return parts;
+}
 
-  // Check if any cotton percentage is >= 90%
-  const isCotton90 = cottonPercents.some(p => p >= 90.0);
+/**
+ * Cotton share of a fiber map
+ */
+function cottonShare(fibers) {
+  return fibers.cotton || 0;
+}
+
+/**
+ * Parse composition from raw materials text
+ * @param {string} text - Raw materials string, e.g. 'Shell: 95% Cotton, 5% Elastane.'
+ * @returns {{ composition: Object, parts: Object[], isCotton90: boolean }} - Fiber map of the main
+ *   part, every part (see parseCompositionParts) and whether the main part is 90%+ cotton
+ */
+function parseComposition(text) {
+  const parts = parseCompositionParts(text);
+  const main = parts.find(part => part.main);
+  const composition = main ? main.fibers : {};
 
   return {
     composition,
-    isCotton90,
+    parts,
+    isCotton90: cottonShare(composition) >= 90.0,
   };
 }
 
 /**
  * Extract cotton percentage from composition text
  * @param {string} text - Raw materials string
+ * @param {Object} options
+ * @param {string} options.scope - 'main' for the main part (default) or 'all' for the lowest
+ *   cotton share of any part
  * @returns {number} - Cotton percentage (0-100) or 0 if not found
  */
-function getCottonPercentage(text) {
-  if (!text || typeof text !== 'string') {
+function getCottonPercentage(text, { scope = 'main' } = {}) {
+  return partsCottonPercentage(parseCompositionParts(text), scope);
+}
+
+/**
+ * Cotton percentage of parsed parts (see getCottonPercentage)
+ */
+function partsCottonPercentage(parts, scope) {
+  if (parts.length === 0) {
     return 0;
   }
+  if (scope === 'all') {
+    return Math.min(...parts.map(part => cottonShare(part.fibers)));
+  }
+  return cottonShare(parts.find(part => part.main).fibers);
+}
 
-  const textLower = text.toLowerCase();
-  const cottonMatch = textLower.match(/(\d{1,3})%\s*cotton/i);
-  
-  if (cottonMatch) {
-    return parseInt(cottonMatch[1], 10);
+/**
+ * Synthetic-fiber score of parsed parts: the highest synthetic share (0-100) of any part, so
+ * polyester pocketing or an elastane trim counts against an otherwise cotton garment
+ * @returns {number|null} null when there are no parts (composition unknown)
+ */
+function partsSyntheticScore(parts) {
+  if (parts.length === 0) {
+    return null;
   }
-  
-  return 0;
+  return Math.max(...parts.map(part => fiberClassTotals(part.fibers).syntheticPct));
+}
+
+/**
+ * Composition fields stored on a product, derived from its materials text
+ * Used when a product is scraped and when stored products are re-derived (`nopoly reindex`).
+ * @param {string} text - Raw materials string
+ * @returns {{ cottonPercentage: number, cottonPercentageAllParts: number, composition_parsed: Object,
+ *   composition_parts: Object[], is_cotton_90: boolean, naturalPct: number, regeneratedPct: number,
+ *   syntheticPct: number, syntheticScore: number }} cottonPercentage, composition_parsed and the
+ *   fiber class totals (see fiberTaxonomy.js) describe the main part; cottonPercentageAllParts and
+ *   syntheticScore look at every part (lowest cotton share, highest synthetic share)
+ */
+function compositionFields(text) {
+  const { composition, parts, isCotton90 } = parseComposition(text);
+  return {
+    cottonPercentage: partsCottonPercentage(parts, 'main'),
+    cottonPercentageAllParts: partsCottonPercentage(parts, 'all'),
+    composition_parsed: composition,
+    composition_parts: parts,
+    is_cotton_90: isCotton90,
+    ...fiberClassTotals(composition),
+    syntheticScore: partsSyntheticScore(parts),
+  };
 }
 
 module.exports = {
+  PART_ROLES,
+  parseCompositionParts,
   parseComposition,
   getCottonPercentage,
+  compositionFields,
 };
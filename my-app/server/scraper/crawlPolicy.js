@@ -0,0 +1,310 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Crawl policy: the single gate every scraper navigation passes through
+ * - Fetches, parses and caches robots.txt per host and refuses disallowed URLs
+ * - Spaces requests to a host by max(minimum interval, robots.txt Crawl-delay)
+ * - Logs every skipped URL with its reason (console + JSON lines file) so we can
+ *   show how the catalog was collected
+ *
+ * robots.txt handling follows RFC 9309: the group for our user-agent token (or `*`)
+ * applies, the longest matching rule wins (Allow on ties), `*` and `$` wildcards are
+ * supported, a missing robots.txt (4xx) allows everything and an unreachable one
+ * (5xx / network error) disallows everything until it can be fetched.
+ */
+
+const DEFAULT_CRAWL_POLICY_OPTIONS = {
+  respectRobotsTxt: true,
+  userAgentToken: 'NoPoly',
+  minHostIntervalMs: 2000,
+  robotsCacheTtlMs: 24 * 60 * 60 * 1000,
+  skipLogFile: 'logs/crawl-skips.log',
+};
+
+const CRAWL_DISALLOWED = 'CRAWL_DISALLOWED';
+
+/**
+ * Parse robots.txt into user-agent groups
+ * @param {string} text - robots.txt body
+ * @returns {{ groups: Array<{ agents: string[], rules: Array<{ allow: boolean, path: string }>, crawlDelay: number|null }>, sitemaps: string[] }}
+ */
+function parseRobotsTxt(text = '') {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (!current) {
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Pick the group that applies to a user-agent token (falls back to `*`)
+ */
+function selectGroup(robots, userAgentToken) {
+  const token = userAgentToken.toLowerCase();
+  return robots.groups.find(group => group.agents.some(agent => agent !== '*' && token.includes(agent)))
+    || robots.groups.find(group => group.agents.includes('*'))
+    || null;
+}
+
+/**
+ * Whether a robots.txt path pattern matches a URL path (with `*` and `$` wildcards)
+ */
+function matchesRule(pattern, urlPath) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+/**
+ * Find the rule deciding a path: the longest matching pattern wins, Allow wins ties
+ * @returns {{ allow: boolean, path: string } | null} null when no rule matches (allowed)
+ */
+function findMatchingRule(group, urlPath) {
+  let best = null;
+  for (const rule of group ? group.rules : []) {
+    if (!matchesRule(rule.path, urlPath)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+class CrawlPolicy {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.respectRobotsTxt - Check robots.txt before every navigation
+   * @param {string} options.userAgentToken - Token matched against robots.txt user-agent groups
+   * @param {number} options.minHostIntervalMs - Minimum time between requests to the same host
+   * @param {number} options.robotsCacheTtlMs - How long a fetched robots.txt is reused
+   * @param {string} options.skipLogFile - JSON lines log of skipped URLs (null to log to the console only)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CRAWL_POLICY_OPTIONS, ...options };
+    this.robotsCache = new Map();
+    this.hosts = new Map();
+  }
+
+  /**
+   * Fetch and parse robots.txt for an origin (cached per origin)
+   * @returns {Promise<{ groups: Array, sitemaps: string[], unreachable?: boolean }>}
+   */
+  async getRobots(origin) {
+    const cached = this.robotsCache.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < this.options.robotsCacheTtlMs) {
+      return cached.robots;
+    }
+
+    const entry = {
+      fetchedAt: Date.now(),
+      robots: this.fetchRobots(origin),
+    };
+    this.robotsCache.set(origin, entry);
+
+    const robots = await entry.robots;
+    // Do not keep an unreachable robots.txt for the whole TTL; retry on the next request
+    if (robots.unreachable) {
+      this.robotsCache.delete(origin);
+    }
+    return robots;
+  }
+
+  async fetchRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const response = await axios.get(robotsUrl, {
+        timeout: 15000,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: { 'User-Agent': this.options.userAgentToken },
+      });
+
+      if (response.status >= 400 && response.status < 500) {
+        console.log(`   🤖 No robots.txt at ${origin} (HTTP ${response.status}), all paths allowed`);
+        return { groups: [], sitemaps: [] };
+      }
+      if (response.status >= 500) {
+        console.log(`   🤖 robots.txt at ${origin} returned HTTP ${response.status}, treating host as disallowed`);
+        return { groups: [], sitemaps: [], unreachable: true };
+      }
+
+      const robots = parseRobotsTxt(String(response.data));
+      console.log(`   🤖 Loaded robots.txt for ${origin} (${robots.groups.length} groups)`);
+      return robots;
+    } catch (error) {
+      console.log(`   🤖 Could not fetch ${robotsUrl} (${error.message}), treating host as disallowed`);
+      return { groups: [], sitemaps: [], unreachable: true };
+    }
+  }
+
+  /**
+   * Check a URL against robots.txt
+   * @returns {Promise<{ allowed: boolean, reason: string|null, crawlDelayMs: number }>}
+   */
+  async check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { allowed: false, reason: 'invalid URL', crawlDelayMs: 0 };
+    }
+
+    if (!this.options.respectRobotsTxt) {
+      return { allowed: true, reason: null, crawlDelayMs: 0 };
+    }
+
+    const robots = await this.getRobots(parsed.origin);
+    if (robots.unreachable) {
+      return { allowed: false, reason: 'robots.txt unreachable', crawlDelayMs: 0 };
+    }
+
+    const group = selectGroup(robots, this.options.userAgentToken);
+    const crawlDelayMs = group && group.crawlDelay !== null ? group.crawlDelay * 1000 : 0;
+    const rule = findMatchingRule(group, `${parsed.pathname}${parsed.search}`);
+
+    if (rule && !rule.allow) {
+      return { allowed: false, reason: `robots.txt Disallow: ${rule.path}`, crawlDelayMs };
+    }
+    return { allowed: true, reason: null, crawlDelayMs };
+  }
+
+  /**
+   * Wait until the host's request interval allows another request
+   */
+  async waitForHost(host, intervalMs) {
+    const now = Date.now();
+    const nextStartAt = this.hosts.get(host) || 0;
+    const startAt = Math.max(now, nextStartAt);
+    this.hosts.set(host, startAt + intervalMs);
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  /**
+   * Gate a navigation: resolves when the URL may be fetched, throws if it must be skipped
+   * @param {string} url - URL about to be loaded
+   * @throws {Error} with code CRAWL_DISALLOWED when the policy refuses the URL
+   */
+  async gate(url) {
+    const { allowed, reason, crawlDelayMs } = await this.check(url);
+    if (!allowed) {
+      this.logSkip(url, reason);
+      const error = new Error(`Skipped by crawl policy (${reason})`);
+      error.code = CRAWL_DISALLOWED;
+      throw error;
+    }
+
+    await this.waitForHost(new URL(url).host, Math.max(this.options.minHostIntervalMs, crawlDelayMs));
+  }
+
+  /**
+   * Record a skipped URL with its reason
+   */
+  logSkip(url, reason) {
+    console.log(`   🚫 Skipping ${url}: ${reason}`);
+    if (!this.options.skipLogFile) return;
+
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(this.options.skipLogFile)), { recursive: true });
+      fs.appendFileSync(
+        this.options.skipLogFile,
+        JSON.stringify({ timestamp: new Date().toISOString(), url, reason }) + '\n',
+        'utf8'
+      );
+    } catch (error) {
+      console.error(`   ⚠️  Could not write crawl skip log: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Map the `crawl_policy` section of scraping-config.json to policy options
+ * @param {Object} policyConfig - e.g. { respect_robots_txt: true, min_host_interval_ms: 2000 }
+ */
+function crawlPolicyOptionsFromConfig(policyConfig = {}) {
+  const keys = {
+    respect_robots_txt: 'respectRobotsTxt',
+    user_agent_token: 'userAgentToken',
+    min_host_interval_ms: 'minHostIntervalMs',
+    robots_cache_ttl_ms: 'robotsCacheTtlMs',
+    skip_log_file: 'skipLogFile',
+  };
+  const options = {};
+  for (const [configKey, optionKey] of Object.entries(keys)) {
+    if (policyConfig[configKey] !== undefined) {
+      options[optionKey] = policyConfig[configKey];
+    }
+  }
+  return options;
+}
+
+let sharedPolicy = null;
+
+/**
+ * Configure the crawl policy used by every scraper entry point
+ */
+function configureSharedCrawlPolicy(options = {}) {
+  sharedPolicy = new CrawlPolicy(options);
+  return sharedPolicy;
+}
+
+/**
+ * Get the shared crawl policy (created with default options on first use)
+ */
+function getSharedCrawlPolicy() {
+  if (!sharedPolicy) {
+    sharedPolicy = new CrawlPolicy();
+  }
+  return sharedPolicy;
+}
+
+module.exports = {
+  CrawlPolicy,
+  CRAWL_DISALLOWED,
+  DEFAULT_CRAWL_POLICY_OPTIONS,
+  parseRobotsTxt,
+  crawlPolicyOptionsFromConfig,
+  configureSharedCrawlPolicy,
+  getSharedCrawlPolicy,
+};
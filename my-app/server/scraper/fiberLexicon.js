@@ -0,0 +1,79 @@
+/**
+ * Fiber names in the languages of the storefronts we scrape
+ * Maps English, French, Spanish, German and Italian fiber names to a canonical fiber id,
+ * e.g. "coton", "algodón", "Baumwolle" and "cotone" -> 'cotton'.
+ * Names are stored lowercase and without accents; text is normalized the same way before lookup.
+ * Canonical ids and their aliases (trade names like "spandex" or "tencel") come from fiberTaxonomy.js.
+ */
+
+const { FIBER_TAXONOMY } = require('./fiberTaxonomy');
+
+const FIBER_LEXICON = {
+  // Natural
+  cotton: ['cotton', 'coton', 'algodon', 'baumwolle', 'cotone'],
+  linen: ['linen', 'flax', 'lin', 'lino', 'leinen'],
+  wool: ['wool', 'laine', 'lana', 'wolle'],
+  silk: ['silk', 'soie', 'seda', 'seide', 'seta'],
+  cashmere: ['cashmere', 'cachemire', 'cachemira', 'kaschmir'],
+  alpaca: ['alpaca', 'alpaga', 'alpaka'],
+  mohair: ['mohair'],
+  hemp: ['hemp', 'chanvre', 'canamo', 'hanf', 'canapa'],
+  // Regenerated cellulose
+  viscose: ['viscose', 'viscosa', 'viskose'],
+  modal: ['modal'],
+  lyocell: ['lyocell'],
+  acetate: ['acetate', 'acetato', 'acetat'],
+  cupro: ['cupro', 'cupra'],
+  // Synthetic
+  polyester: ['polyester', 'poliester', 'poliestere'],
+  polyamide: ['polyamide', 'poliamida', 'polyamid', 'poliammide'],
+  acrylic: ['acrylic', 'acrylique', 'acrilico', 'acryl'],
+  elastane: ['elastane', 'elasthanne', 'elastano', 'elasthan', 'elastan'],
+  polypropylene: ['polypropylene', 'polipropileno', 'polypropylen', 'polipropilene'],
+  polyurethane: ['polyurethane', 'poliuretano', 'polyurethan'],
+  metallic: ['metallic', 'metallised', 'metallized', 'metallisee', 'metalizada', 'metallizzata', 'metallfaser', 'metalica', 'metallica'],
+};
+
+// Every name with its fiber id (translations, canonical ids and aliases), longest first so
+// "polyester" wins over shorter names it contains
+const FIBER_NAMES = [
+  ...Object.entries(FIBER_LEXICON).flatMap(([fiber, names]) => names.map(name => [name, fiber])),
+  ...Object.entries(FIBER_TAXONOMY).flatMap(([fiber, { aliases }]) => [fiber, ...aliases].map(name => [name, fiber])),
+]
+  .map(([name, fiber]) => ({ name, fiber, pattern: new RegExp(`\\b${name}\\b`) }))
+  .sort((a, b) => b.name.length - a.name.length);
+
+/**
+ * Lowercase text without accents ("Élasthanne" -> "elasthanne", "Außenstoff" -> "aussenstoff")
+ */
+function normalizeFiberText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ß/g, 'ss');
+}
+
+/**
+ * Canonical fiber id of a fiber name or phrase ("coton biologique" -> 'cotton')
+ * @returns {string|null} null when no known fiber name appears in the text
+ */
+function canonicalFiber(text) {
+  const normalized = normalizeFiberText(text);
+  const match = FIBER_NAMES.find(({ pattern }) => pattern.test(normalized));
+  return match ? match.fiber : null;
+}
+
+/**
+ * Whether the text names a known fiber
+ */
+function mentionsFiber(text) {
+  return canonicalFiber(text) !== null;
+}
+
+module.exports = {
+  FIBER_LEXICON,
+  normalizeFiberText,
+  canonicalFiber,
+  mentionsFiber,
+};
@@ -0,0 +1,85 @@
+/**
+ * Canonical fibers and their classification
+ * Every fiber the composition parser recognizes has a canonical id here, with the aliases
+ * (English synonyms and trade names) that mean the same fiber and its class:
+ *   natural      - plant and animal fibers (cotton, linen, wool...)
+ *   regenerated  - regenerated cellulosic fibers made from wood pulp (viscose, modal, lyocell...)
+ *   synthetic    - synthetic plastic fibers made from petrochemicals (polyester, elastane...)
+ * Names in other languages live in fiberLexicon.js.
+ */
+
+const FIBER_CLASSES = {
+  NATURAL: 'natural',
+  REGENERATED: 'regenerated',
+  SYNTHETIC: 'synthetic',
+};
+
+const FIBER_TAXONOMY = {
+  // Natural
+  cotton: { class: FIBER_CLASSES.NATURAL, aliases: ['supima', 'pima cotton', 'egyptian cotton'] },
+  linen: { class: FIBER_CLASSES.NATURAL, aliases: [] },
+  hemp: { class: FIBER_CLASSES.NATURAL, aliases: [] },
+  ramie: { class: FIBER_CLASSES.NATURAL, aliases: [] },
+  jute: { class: FIBER_CLASSES.NATURAL, aliases: [] },
+  wool: { class: FIBER_CLASSES.NATURAL, aliases: ['merino', 'lambswool', 'virgin wool'] },
+  silk: { class: FIBER_CLASSES.NATURAL, aliases: ['mulberry silk'] },
+  cashmere: { class: FIBER_CLASSES.NATURAL, aliases: [] },
+  alpaca: { class: FIBER_CLASSES.NATURAL, aliases: [] },
+  mohair: { class: FIBER_CLASSES.NATURAL, aliases: [] },
+  angora: { class: FIBER_CLASSES.NATURAL, aliases: [] },
+  camel: { class: FIBER_CLASSES.NATURAL, aliases: ['camel hair'] },
+  yak: { class: FIBER_CLASSES.NATURAL, aliases: [] },
+  // Regenerated cellulose
+  viscose: { class: FIBER_CLASSES.REGENERATED, aliases: ['rayon', 'ecovero', 'bamboo viscose', 'bamboo'] },
+  modal: { class: FIBER_CLASSES.REGENERATED, aliases: ['micromodal'] },
+  lyocell: { class: FIBER_CLASSES.REGENERATED, aliases: ['tencel'] },
+  acetate: { class: FIBER_CLASSES.REGENERATED, aliases: ['triacetate'] },
+  cupro: { class: FIBER_CLASSES.REGENERATED, aliases: ['bemberg'] },
+  // Synthetic
+  polyester: { class: FIBER_CLASSES.SYNTHETIC, aliases: ['pet', 'repreve'] },
+  polyamide: { class: FIBER_CLASSES.SYNTHETIC, aliases: ['nylon', 'econyl'] },
+  acrylic: { class: FIBER_CLASSES.SYNTHETIC, aliases: ['polyacrylic', 'modacrylic'] },
+  elastane: { class: FIBER_CLASSES.SYNTHETIC, aliases: ['spandex', 'lycra', 'elastomultiester', 'elastodiene'] },
+  polypropylene: { class: FIBER_CLASSES.SYNTHETIC, aliases: ['olefin'] },
+  polyurethane: { class: FIBER_CLASSES.SYNTHETIC, aliases: ['pu'] },
+  polyethylene: { class: FIBER_CLASSES.SYNTHETIC, aliases: [] },
+  // Metallised fibers are plastic film with a metal coating
+  metallic: { class: FIBER_CLASSES.SYNTHETIC, aliases: ['lurex', 'metal', 'metallised fibre', 'metallized fiber'] },
+};
+
+/**
+ * Class of a canonical fiber id
+ * @returns {string|null} 'natural', 'regenerated' or 'synthetic'; null for fibers the taxonomy does not know
+ */
+function fiberClass(fiber) {
+  const entry = FIBER_TAXONOMY[fiber];
+  return entry ? entry.class : null;
+}
+
+/**
+ * Percentage of each fiber class in a fiber map (fiber id -> percentage)
+ * Unknown fibers count toward no class, so the totals can add up to less than 100.
+ * @returns {{ naturalPct: number|null, regeneratedPct: number|null, syntheticPct: number|null }}
+ *   null totals when there are no fibers (composition unknown), so filters do not match them
+ */
+function fiberClassTotals(fibers) {
+  const entries = Object.entries(fibers || {});
+  if (entries.length === 0) {
+    return { naturalPct: null, regeneratedPct: null, syntheticPct: null };
+  }
+  const totals = { naturalPct: 0, regeneratedPct: 0, syntheticPct: 0 };
+  for (const [fiber, percent] of entries) {
+    const cls = fiberClass(fiber);
+    if (cls) {
+      totals[`${cls}Pct`] += percent;
+    }
+  }
+  return totals;
+}
+
+module.exports = {
+  FIBER_CLASSES,
+  FIBER_TAXONOMY,
+  fiberClass,
+  fiberClassTotals,
+};
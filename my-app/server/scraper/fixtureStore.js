@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('../config');
+
+/**
+ * Fixture store for record-and-replay scraping
+ * Saves fetched pages (HTML plus the URL) to disk so the extraction code can be
+ * re-run offline against exactly the same markup.
+ *
+ * Layout: <dir>/<kind>/<sha1(url)>.json where kind is 'category', 'search', 'product' or 'sitemap'
+ * (sitemap fixtures hold the XML, or the robots.txt Sitemap list, in `html`)
+ */
+
+const SCRAPER_MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = 'fixtures/zara';
+
+class FixtureStore {
+  constructor(dir = DEFAULT_FIXTURES_DIR) {
+    this.dir = path.resolve(dir);
+  }
+
+  /**
+   * Build the fixture file path for a page
+   */
+  fixturePath(kind, url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.dir, kind, `${hash}.json`);
+  }
+
+  /**
+   * Save a fetched page
+   * @param {string} kind - Page kind ('category', 'search', 'product', 'sitemap')
+   * @param {string} url - URL that was fetched
+   * @param {string} html - Rendered HTML of the page
+   */
+  save(kind, url, html) {
+    const filePath = this.fixturePath(kind, url);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ kind, url, recordedAt: new Date().toISOString(), html }, null, 2), 'utf8');
+    console.log(`   💾 Recorded ${kind} fixture: ${path.relative(process.cwd(), filePath)}`);
+  }
+
+  /**
+   * Load a previously recorded page
+   * @returns {{ kind: string, url: string, recordedAt: string, html: string } | null}
+   */
+  load(kind, url) {
+    const filePath = this.fixturePath(kind, url);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+}
+
+/**
+ * Read scraper mode options from CLI arguments
+ * Supports --record[=dir] and --replay[=dir]; falls back to the configured mode and fixtures directory
+ * (SCRAPER_MODE / SCRAPER_FIXTURES_DIR, see server/config.js)
+ * @param {string[]} argv - Process arguments
+ * @returns {{ mode: string, fixturesDir: string }}
+ */
+function getScraperModeFromArgs(argv = process.argv) {
+  const { scraper } = getConfig();
+  let mode = scraper.mode;
+  let fixturesDir = scraper.fixturesDir || DEFAULT_FIXTURES_DIR;
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split('=');
+    if (flag === '--record' || flag === '--replay') {
+      mode = flag.slice(2);
+      if (value) fixturesDir = value;
+    }
+  }
+
+  if (!SCRAPER_MODES.includes(mode)) {
+    throw new Error(`Unknown scraper mode "${mode}" (expected one of: ${SCRAPER_MODES.join(', ')})`);
+  }
+
+  return { mode, fixturesDir };
+}
+
+module.exports = {
+  FixtureStore,
+  getScraperModeFromArgs,
+  SCRAPER_MODES,
+  DEFAULT_FIXTURES_DIR,
+};
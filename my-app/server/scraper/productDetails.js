@@ -0,0 +1,144 @@
+/**
+ * Parse the descriptive parts of a product page into structured data
+ * Example: ["Machine wash at max. 30ºC/86ºF", "Do not use bleach"]
+ *   -> { instructions: [...], machineWash: true, maxWashTemperatureC: 30, bleach: false, ... }
+ */
+
+/**
+ * Fabric certifications and sourcing programs recognized in certification labels,
+ * descriptions and composition text
+ */
+const CERTIFICATIONS = [
+  { id: 'gots', name: 'Global Organic Textile Standard (GOTS)', pattern: /\bgots\b|global organic textile standard/i },
+  { id: 'ocs', name: 'Organic Content Standard (OCS)', pattern: /\bocs\b|organic content standard/i },
+  { id: 'organic_cotton', name: 'Organic cotton', pattern: /organic(?:ally grown)? cotton|cotton[^.]{0,40}\borganic/i },
+  { id: 'recycled_cotton', name: 'Recycled cotton', pattern: /recycled cotton/i },
+  { id: 'better_cotton', name: 'Better Cotton', pattern: /better cotton|\bbci\b/i },
+  { id: 'fairtrade', name: 'Fairtrade', pattern: /fair ?trade/i },
+  { id: 'cotton_made_in_africa', name: 'Cotton made in Africa', pattern: /cotton made in africa|\bcmia\b/i },
+  { id: 'oeko_tex', name: 'OEKO-TEX Standard 100', pattern: /oeko[- ]?tex/i },
+  { id: 'grs', name: 'Global Recycled Standard (GRS)', pattern: /\bgrs\b|global recycled standard/i },
+  { id: 'rcs', name: 'Recycled Claim Standard (RCS)', pattern: /\brcs\b|recycled claim standard/i },
+  { id: 'join_life', name: 'Join Life', pattern: /join ?life/i },
+];
+
+/**
+ * Normalize a list of text items (strings, or objects with a description/text/name)
+ * @returns {string[]} Trimmed, non-empty, de-duplicated items
+ */
+function toTextList(value) {
+  const items = Array.isArray(value) ? value : [value];
+  const texts = items
+    .map(item => (item && typeof item === 'object' ? item.description || item.text || item.name : item))
+    .filter(text => typeof text === 'string')
+    .map(text => text.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return [...new Set(texts)];
+}
+
+/**
+ * Whether the instructions allow (true), forbid (false) or do not mention (null) something
+ * @param {string} text - Lowercased instructions
+ * @param {string} term - Regex source for the treatment, e.g. 'tumble dry'
+ */
+function instructionFlag(text, term) {
+  if (new RegExp(`\\b(?:do not|don't|no|never)\\s+(?:use\\s+)?${term}`).test(text)) return false;
+  if (new RegExp(`\\b${term}`).test(text)) return true;
+  return null;
+}
+
+/**
+ * Parse care instructions
+ * @param {string[]|string} value - Instruction list, or one block of text
+ * @returns {Object|null} { instructions, machineWash, handWash, maxWashTemperatureC, bleach,
+ *   tumbleDry, iron, dryClean } - flags are null when the instructions do not mention them;
+ *   null when there are no instructions
+ */
+function parseCareInstructions(value) {
+  const instructions = toTextList(value)
+    .flatMap(text => (Array.isArray(value) ? [text] : text.split(/\s*(?:\n|\.\s+|;\s*)\s*/)))
+    .map(text => text.replace(/\.$/, '').trim())
+    .filter(Boolean);
+  if (instructions.length === 0) {
+    return null;
+  }
+
+  const text = instructions.join('. ').toLowerCase();
+  // Ironing temperatures are not washing temperatures
+  const washText = instructions.filter(instruction => /wash/i.test(instruction)).join(' ').toLowerCase();
+  const temperatures = Array.from(washText.matchAll(/\b(\d{2,3})\s*[º°]?\s*c\b/g), match => parseInt(match[1], 10));
+  const handWashOnly = /hand wash only/.test(text);
+
+  return {
+    instructions,
+    machineWash: handWashOnly ? false : instructionFlag(text, 'machine wash'),
+    handWash: instructionFlag(text, 'hand wash'),
+    maxWashTemperatureC: temperatures.length > 0 ? Math.min(...temperatures) : null,
+    bleach: instructionFlag(text, 'bleach'),
+    tumbleDry: instructionFlag(text, 'tumble dry'),
+    iron: instructionFlag(text, 'iron'),
+    dryClean: instructionFlag(text, 'dry clean'),
+  };
+}
+
+/**
+ * Parse the country of manufacture
+ * @param {string} value - e.g. "Made in Portugal", "Country of origin: Morocco" or "Portugal"
+ * @returns {{ country: string, text: string }|null}
+ */
+function parseOrigin(value) {
+  const [text] = toTextList(value);
+  if (!text) {
+    return null;
+  }
+
+  const match = text.match(/(?:made in|country of (?:origin|manufacture)[:\s]*|origin[:\s]+)\s*([A-Za-z][A-Za-z .'-]{1,40}?)\s*(?:[.,;(]|$)/i);
+  const country = match ? match[1].trim() : (text.length <= 40 && !/\d/.test(text) ? text : null);
+  if (!country) {
+    return null;
+  }
+  return { country: country.replace(/\b\w/g, c => c.toUpperCase()), text };
+}
+
+/**
+ * Certifications named in certification labels or in the product's description and composition
+ * @param {string[]} labels - Certification labels shown on the page
+ * @param {string[]} texts - Other text to scan (description, composition)
+ * @returns {Array<{ id: string, name: string, label: string|null }>} label is the page's own
+ *   label for the certification, when it had one
+ */
+function detectCertifications(labels = [], texts = []) {
+  const labelList = toTextList(labels);
+  const text = toTextList(texts).join(' ');
+
+  return CERTIFICATIONS
+    .map(({ id, name, pattern }) => {
+      const label = labelList.find(item => pattern.test(item)) || null;
+      return label || pattern.test(text) ? { id, name, label } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Description, care, origin and certification fields stored on a product
+ * @param {Object} data - Extracted { description, care, origin, certifications }
+ * @param {string} compositionText - Raw materials text (also scanned for certifications)
+ * @returns {{ description: string|null, care: Object|null, origin: Object|null, certifications: Object[] }}
+ */
+function productDetailFields(data, compositionText = '') {
+  const [description = null] = toTextList(data.description);
+  return {
+    description,
+    care: parseCareInstructions(data.care || []),
+    origin: parseOrigin(data.origin),
+    certifications: detectCertifications(data.certifications || [], [description, compositionText]),
+  };
+}
+
+module.exports = {
+  CERTIFICATIONS,
+  parseCareInstructions,
+  parseOrigin,
+  detectCertifications,
+  productDetailFields,
+};
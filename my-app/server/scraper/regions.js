@@ -0,0 +1,111 @@
+/**
+ * Catalog regions
+ * A region is a storefront of a retailer: its locale path in URLs, the currency its prices are
+ * in and the size system its size labels use. Products are stored per region (`region` on every
+ * product document); the same product group scraped from two storefronts is two sets of documents.
+ *
+ * Regions come from the `regions` section of scraping-config.json (see regionsFromConfig),
+ * falling back to DEFAULT_REGIONS.
+ */
+
+const DEFAULT_REGION = 'ca';
+
+const DEFAULT_REGIONS = {
+  ca: { key: 'ca', name: 'Canada', localePath: '/ca/en', currency: 'CAD', currencySymbol: '$', sizeSystem: 'CA' },
+  us: { key: 'us', name: 'United States', localePath: '/us/en', currency: 'USD', currencySymbol: '$', sizeSystem: 'US' },
+  uk: { key: 'uk', name: 'United Kingdom', localePath: '/uk/en', currency: 'GBP', currencySymbol: '£', sizeSystem: 'UK' },
+};
+
+let regions = DEFAULT_REGIONS;
+
+/**
+ * Map the `regions` section of scraping-config.json to region definitions
+ * @param {Object} regionsConfig - e.g. { us: { name: 'United States', locale_path: '/us/en', currency: 'USD',
+ *   currency_symbol: '$', size_system: 'US' } }
+ */
+function regionsFromConfig(regionsConfig = {}) {
+  const configured = {};
+  for (const [key, config] of Object.entries(regionsConfig)) {
+    const defaults = DEFAULT_REGIONS[key] || {};
+    configured[key] = {
+      key,
+      name: config.name ?? defaults.name ?? key.toUpperCase(),
+      localePath: config.locale_path ?? defaults.localePath,
+      currency: config.currency ?? defaults.currency,
+      currencySymbol: config.currency_symbol ?? defaults.currencySymbol ?? '',
+      sizeSystem: config.size_system ?? defaults.sizeSystem ?? null,
+    };
+    if (!configured[key].localePath || !configured[key].currency) {
+      throw new Error(`Region "${key}" needs a locale_path and a currency`);
+    }
+  }
+  return Object.keys(configured).length > 0 ? configured : DEFAULT_REGIONS;
+}
+
+/**
+ * Configure the regions every scraper and API route uses
+ */
+function configureRegions(definitions) {
+  if (!definitions[DEFAULT_REGION]) {
+    throw new Error(`The default region "${DEFAULT_REGION}" must be configured`);
+  }
+  regions = definitions;
+  return regions;
+}
+
+function isSupportedRegion(key) {
+  return Object.prototype.hasOwnProperty.call(regions, key);
+}
+
+function listRegions() {
+  return Object.values(regions);
+}
+
+/**
+ * Get a region definition
+ * @param {string} key - Region key (default: 'ca')
+ */
+function getRegion(key = DEFAULT_REGION) {
+  if (!isSupportedRegion(key)) {
+    throw new Error(`Unknown region "${key}" (configured: ${Object.keys(regions).join(', ')})`);
+  }
+  return regions[key];
+}
+
+/**
+ * Region of a storefront URL, from its locale path (e.g. https://www.zara.com/us/en/... -> us)
+ * @returns {Object|null}
+ */
+function regionForUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    return null;
+  }
+  return listRegions().find(region => pathname === region.localePath || pathname.startsWith(`${region.localePath}/`)) || null;
+}
+
+/**
+ * The same storefront URL in another region (e.g. a /ca/en/ product page as /uk/en/)
+ * URLs without a known locale path are returned unchanged.
+ */
+function localizeUrl(url, regionKey) {
+  const from = regionForUrl(url);
+  if (!from) return url;
+  const parsed = new URL(url);
+  parsed.pathname = getRegion(regionKey).localePath + parsed.pathname.slice(from.localePath.length);
+  return parsed.toString();
+}
+
+module.exports = {
+  DEFAULT_REGION,
+  DEFAULT_REGIONS,
+  regionsFromConfig,
+  configureRegions,
+  isSupportedRegion,
+  listRegions,
+  getRegion,
+  regionForUrl,
+  localizeUrl,
+};
@@ -0,0 +1,176 @@
+const { getSharedPool } = require('./browserPool');
+const { getSharedCrawlPolicy } = require('./crawlPolicy');
+const { DEFAULT_REGION, getRegion } = require('./regions');
+
+/**
+ * Retailer Adapter contract
+ * Every retailer scraper extends this class and is registered by its `site` key
+ * (see adapterRegistry.js). Catalog code only talks to adapters through these methods.
+ */
+class RetailerAdapter {
+  /** Registry key stored on every product document (e.g. 'zara') */
+  static site = null;
+
+  /** Brand name used when a product does not carry its own */
+  static brand = null;
+
+  /** Default currency for prices scraped from this retailer (overridden by the adapter's region) */
+  static currency = null;
+
+  /** Hostnames served by this retailer, used to pick an adapter for a product URL */
+  static hosts = [];
+
+  /**
+   * Gender of a task or product whose store section is not known, e.g. a category discovered
+   * from sitemaps, which is scraped once for every gender
+   */
+  static UNKNOWN_GENDER = 'unknown';
+
+  /**
+   * Error code of a page that could not be loaded (navigation timeout, browser crash, missing
+   * fixture...): a failure to retry, unlike a loaded page without a product (null)
+   */
+  static PAGE_LOAD_FAILED = 'PAGE_LOAD_FAILED';
+
+  /**
+   * @param {Object} options - Adapter options
+   * @param {BrowserPool} options.pool - Browser pool used for page work (default: shared pool)
+   * @param {CrawlPolicy} options.crawlPolicy - Gate every navigation passes through (default: shared policy)
+   * @param {string} options.region - Storefront region key (default: 'ca', see regions.js)
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Browser pool for page work, resolved on use so a reconfigured shared pool is picked up
+   */
+  get pool() {
+    return this.options.pool || getSharedPool();
+  }
+
+  /**
+   * Crawl policy checked before every navigation (robots.txt, request spacing)
+   */
+  get crawlPolicy() {
+    return this.options.crawlPolicy || getSharedCrawlPolicy();
+  }
+
+  get site() {
+    return this.constructor.site;
+  }
+
+  get brand() {
+    return this.constructor.brand;
+  }
+
+  /**
+   * Storefront region the adapter scrapes (locale path, currency, size system)
+   */
+  get region() {
+    return getRegion(this.options.region || DEFAULT_REGION);
+  }
+
+  get currency() {
+    return this.region.currency || this.constructor.currency;
+  }
+
+  /**
+   * Category discovery
+   * @returns {Object} Map of category -> array of supported genders, e.g. { shirts: ['male', 'female'] }
+   *   (UNKNOWN_GENDER when the adapter cannot tell the genders' products apart before scraping them)
+   */
+  getCategories() {
+    throw new Error(`${this.constructor.name} does not implement getCategories()`);
+  }
+
+  /**
+   * Get product URLs for a category/gender
+   * @param {string} category - Category key from getCategories()
+   * @param {string} gender - 'male', 'female' or UNKNOWN_GENDER
+   * @param {number} limit - Maximum number of URLs
+   * @param {Page} page - Optional Puppeteer page to reuse
+   * @returns {Promise<string[]>}
+   */
+  async getProductUrls(category, gender, limit, page) {
+    throw new Error(`${this.constructor.name} does not implement getProductUrls()`);
+  }
+
+  /**
+   * Product URLs of a category listing, and whether the listing was read in full
+   * Run diffs report stored products missing from a complete listing as removed, so adapters
+   * whose discovery can stop early (e.g. at a sitemap limit) override this.
+   * @returns {Promise<{ urls: string[], complete: boolean }>} By default a listing is complete when
+   *   it was not cut at `limit`; an empty listing usually means the page failed to load, so it never is
+   */
+  async getProductListing(category, gender, limit) {
+    const urls = await this.getProductUrls(category, gender, limit);
+    return { urls, complete: urls.length > 0 && urls.length < limit };
+  }
+
+  /**
+   * Extract product information from a product page
+   * @param {string} url - Product URL
+   * @param {Page} page - Optional Puppeteer page to reuse
+   * @returns {Promise<Object|null>} Product, or null if the page loaded but shows no product
+   * @throws {Error} With code PAGE_LOAD_FAILED when the page could not be loaded; other errors
+   *   (crawl-policy skips, browser failures) are thrown as they are
+   */
+  async extractProductInfo(url, page) {
+    throw new Error(`${this.constructor.name} does not implement extractProductInfo()`);
+  }
+
+  /**
+   * Search the retailer for products matching a free-text query
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of products
+   * @returns {Promise<Object[]>}
+   */
+  async searchProducts(query, limit) {
+    throw new Error(`${this.constructor.name} does not implement searchProducts()`);
+  }
+
+  /**
+   * Wait for the given time between requests (skipped in replay mode, where there is nothing to wait for)
+   */
+  async delay(ms) {
+    if (this.options.mode === 'replay') return;
+    await new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Identify the product group and color variant a product URL points to
+   * @returns {{ productId: string|null, variantId: string|null }}
+   */
+  static parseProductUrl(url) {
+    return { productId: null, variantId: null };
+  }
+
+  /**
+   * Canonical form of a product URL used for storage (query string and fragment removed)
+   * Adapters whose variants are selected by query parameters keep those parameters.
+   */
+  static canonicalProductUrl(url) {
+    return url.split('?')[0].split('#')[0];
+  }
+
+  /**
+   * URL of another color variant of the same product
+   */
+  static variantUrl(url, variantId) {
+    return this.canonicalProductUrl(url);
+  }
+
+  /**
+   * Whether a URL belongs to this retailer
+   */
+  static handlesUrl(url) {
+    try {
+      return this.hosts.includes(new URL(url).hostname.toLowerCase());
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = RetailerAdapter;
@@ -0,0 +1,46 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Structured scrape progress events
+ * The scraper publishes what it is doing on one process-wide emitter so API clients
+ * (see routes/scrapeStream.js) can follow a run live.
+ *
+ * Every event is emitted as 'event' with { type, timestamp, ...context, ...data }, where
+ * context identifies the run ({ jobId, site, run }) and type is one of SCRAPE_EVENT_TYPES.
+ */
+
+const SCRAPE_EVENT_TYPES = {
+  RUN_STARTED: 'run:started',
+  TASK_STARTED: 'task:started',
+  URL_FETCHED: 'url:fetched',
+  PRODUCT_EXTRACTED: 'product:extracted',
+  PRODUCT_SKIPPED: 'product:skipped',
+  TASK_FINISHED: 'task:finished',
+  RUN_FINISHED: 'run:finished',
+};
+
+const scrapeEvents = new EventEmitter();
+// Every open SSE connection adds a listener
+scrapeEvents.setMaxListeners(0);
+
+/**
+ * Create an emit function bound to a run
+ * @param {Object} context - Fields added to every event (e.g. { jobId, site, run: 'scrape-all' })
+ * @returns {Function} (type, data) => void
+ */
+function createEventReporter(context = {}) {
+  const base = {};
+  for (const [key, value] of Object.entries(context)) {
+    if (value !== undefined && value !== null) base[key] = value;
+  }
+
+  return (type, data = {}) => {
+    scrapeEvents.emit('event', { type, timestamp: new Date().toISOString(), ...base, ...data });
+  };
+}
+
+module.exports = {
+  SCRAPE_EVENT_TYPES,
+  scrapeEvents,
+  createEventReporter,
+};
@@ -0,0 +1,116 @@
+/**
+ * Scraper health: field-level extraction statistics per run
+ * When the retailer changes its markup, extraction rarely fails outright; products come back
+ * with `price: 0`, empty materials or no images. A run's health is the share of product pages
+ * that yielded a product and, for those products, the share with each field filled in.
+ * A run is unhealthy when any share is below its threshold.
+ */
+
+// Fields whose coverage is tracked, with the check applied to each extracted product
+const HEALTH_FIELDS = {
+  price: product => Number(product.price) > 0,
+  materials: product => Boolean(String(product.materials || '').trim()),
+  images: product => Array.isArray(product.images) && product.images.length > 0,
+  sizes: product => (product.sizes_available || []).length > 0 || (product.size_availability || []).length > 0,
+};
+
+// Minimum percentages for a healthy run
+const DEFAULT_HEALTH_THRESHOLDS = {
+  minProductPageRate: 80,
+  minFieldCoverage: {
+    price: 95,
+    materials: 80,
+    images: 90,
+    sizes: 70,
+  },
+  // Runs with fewer product pages than this are reported but never marked unhealthy
+  minSampleSize: 5,
+};
+
+function percent(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : null;
+}
+
+/**
+ * Compute the health of a run
+ * @param {Object[]} products - Every product extracted by the run (cotton or not)
+ * @param {number} emptyPageCount - Product pages that were loaded but yielded no product
+ * @param {Object} thresholds - See DEFAULT_HEALTH_THRESHOLDS
+ * @returns {{ healthy: boolean, issues: string[], pagesFetched: number, productsExtracted: number,
+ *   productPageRate: number|null, fieldCoverage: Object, sources: Object }}
+ */
+function computeRunHealth(products, emptyPageCount = 0, thresholds = DEFAULT_HEALTH_THRESHOLDS) {
+  const pagesFetched = products.length + emptyPageCount;
+  const productPageRate = percent(products.length, pagesFetched);
+
+  const fieldCoverage = {};
+  for (const [field, isPresent] of Object.entries(HEALTH_FIELDS)) {
+    fieldCoverage[field] = percent(products.filter(isPresent).length, products.length);
+  }
+
+  // Which extraction strategy supplied each field, e.g. { price: { 'json-ld': 40, dom: 2 } }
+  const sources = {};
+  for (const product of products) {
+    for (const [field, source] of Object.entries(product.extraction_sources || {})) {
+      sources[field] = sources[field] || {};
+      sources[field][source] = (sources[field][source] || 0) + 1;
+    }
+  }
+
+  const issues = [];
+  if (pagesFetched >= thresholds.minSampleSize) {
+    if (productPageRate < thresholds.minProductPageRate) {
+      issues.push(`only ${productPageRate}% of product pages yielded a product (minimum ${thresholds.minProductPageRate}%)`);
+    }
+    for (const [field, minimum] of Object.entries(thresholds.minFieldCoverage)) {
+      if (fieldCoverage[field] !== null && fieldCoverage[field] < minimum) {
+        issues.push(`${field} found on ${fieldCoverage[field]}% of products (minimum ${minimum}%)`);
+      }
+    }
+  }
+
+  return {
+    healthy: issues.length === 0,
+    issues,
+    pagesFetched,
+    productsExtracted: products.length,
+    productPageRate,
+    fieldCoverage,
+    sources,
+  };
+}
+
+/**
+ * Map the `scraper_health` section of scraping-config.json to thresholds
+ * @param {Object} healthConfig - e.g. { min_product_page_rate: 80, min_field_coverage: { price: 95 } }
+ */
+function healthThresholdsFromConfig(healthConfig = {}) {
+  return {
+    minProductPageRate: healthConfig.min_product_page_rate ?? DEFAULT_HEALTH_THRESHOLDS.minProductPageRate,
+    minFieldCoverage: { ...DEFAULT_HEALTH_THRESHOLDS.minFieldCoverage, ...healthConfig.min_field_coverage },
+    minSampleSize: healthConfig.min_sample_size ?? DEFAULT_HEALTH_THRESHOLDS.minSampleSize,
+  };
+}
+
+let sharedThresholds = DEFAULT_HEALTH_THRESHOLDS;
+
+/**
+ * Configure the thresholds every run is checked against
+ */
+function configureHealthThresholds(thresholds) {
+  sharedThresholds = thresholds;
+  return sharedThresholds;
+}
+
+function getHealthThresholds() {
+  return sharedThresholds;
+}
+
+module.exports = {
+  HEALTH_FIELDS,
+  DEFAULT_HEALTH_THRESHOLDS,
+  computeRunHealth,
+  healthThresholdsFromConfig,
+  configureHealthThresholds,
+  getHealthThresholds,
+};
@@ -0,0 +1,231 @@
+const cheerio = require('cheerio');
+
+/**
+ * Sitemap-based product discovery
+ * Instead of scrolling category listings, product URLs are read from the site's XML sitemaps:
+ * the sitemaps named in robots.txt (usually a sitemap index) are followed down to the URL sets,
+ * keeping only sitemaps for the region being scraped, and every product URL found is assigned
+ * to a category by the keywords in its slug.
+ *
+ * Discovery options come from the `discovery` section of scraping-config.json (see
+ * discoveryOptionsFromConfig) and are shared by every adapter, like the crawl policy.
+ */
+
+const DISCOVERY_MODES = ['listing', 'sitemap'];
+
+// Checked in order, so more specific categories come first ("t-shirt" before "shirt")
+const DEFAULT_CATEGORY_KEYWORDS = {
+  dresses: ['dress'],
+  tshirts: ['t-shirt', 'tshirt', 'tee'],
+  shirts: ['shirt', 'blouse', 'overshirt'],
+  pants: ['trousers', 'pants', 'jeans', 'joggers', 'culottes', 'leggings'],
+  skirts: ['skirt', 'skort'],
+  jackets: ['jacket', 'blazer', 'bomber', 'parka'],
+  tops: ['top', 'bodysuit', 'corset'],
+};
+
+const DEFAULT_DISCOVERY_OPTIONS = {
+  // 'listing' scrolls category pages, 'sitemap' reads the XML sitemaps
+  mode: 'listing',
+  categoryKeywords: DEFAULT_CATEGORY_KEYWORDS,
+  // Upper bound on sitemap files fetched per discovery (an index can list hundreds)
+  maxSitemaps: 50,
+  // Discovered URLs are reused by every category task of a run
+  cacheTtlMs: 60 * 60 * 1000,
+};
+
+let sharedOptions = DEFAULT_DISCOVERY_OPTIONS;
+const discoveryCache = new Map();
+
+/**
+ * Configure product discovery for every adapter
+ */
+function configureDiscovery(options = {}) {
+  if (options.mode && !DISCOVERY_MODES.includes(options.mode)) {
+    throw new Error(`Unknown discovery mode "${options.mode}" (expected one of: ${DISCOVERY_MODES.join(', ')})`);
+  }
+  sharedOptions = { ...DEFAULT_DISCOVERY_OPTIONS, ...options };
+  discoveryCache.clear();
+  return sharedOptions;
+}
+
+function getDiscoveryOptions() {
+  return sharedOptions;
+}
+
+/**
+ * Map the `discovery` section of scraping-config.json to discovery options
+ * @param {Object} discoveryConfig - e.g. { mode: 'sitemap', max_sitemaps: 50, category_keywords: { skirts: ['skirt'] } }
+ */
+function discoveryOptionsFromConfig(discoveryConfig = {}) {
+  const keys = {
+    mode: 'mode',
+    category_keywords: 'categoryKeywords',
+    max_sitemaps: 'maxSitemaps',
+    cache_ttl_ms: 'cacheTtlMs',
+  };
+  const options = {};
+  for (const [configKey, optionKey] of Object.entries(keys)) {
+    if (discoveryConfig[configKey] !== undefined) {
+      options[optionKey] = discoveryConfig[configKey];
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {{ sitemaps: Array<{ loc: string, lastmod: string|null }>, urls: Array<{ loc: string, lastmod: string|null }> }}
+ */
+function parseSitemap(xml = '') {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const entries = (selector) => $(selector).map((i, el) => ({
+    loc: $(el).children('loc').first().text().trim(),
+    lastmod: $(el).children('lastmod').first().text().trim() || null,
+  })).get().filter(entry => entry.loc);
+
+  return {
+    sitemaps: entries('sitemapindex > sitemap'),
+    urls: entries('urlset > url'),
+  };
+}
+
+/**
+ * Whether a sitemap URL may hold the region's pages
+ * Sitemaps that name another locale (e.g. sitemap-us-en-1.xml or /us/en/sitemap.xml) are skipped;
+ * sitemaps that name no locale at all are followed.
+ * @param {string} url - Sitemap URL
+ * @param {Object} region - Region definition (see regions.js)
+ * @param {Object[]} regions - Every configured region
+ */
+function sitemapMatchesRegion(url, region, regions) {
+  const locales = (r) => {
+    const [country, language] = r.localePath.split('/').filter(Boolean);
+    return [`/${country}/${language}/`, `${country}-${language}`, `${country}_${language}`];
+  };
+  const lower = url.toLowerCase();
+  if (locales(region).some(locale => lower.includes(locale))) return true;
+  return !regions.some(other => other.key !== region.key && locales(other).some(locale => lower.includes(locale)));
+}
+
+/**
+ * Category of a product URL from the words of its slug
+ * e.g. .../basic-cotton-t-shirt-p03253320.html -> 'tshirts'
+ * @param {string} url - Product URL
+ * @param {Object} categoryKeywords - category -> keywords, checked in order
+ * @returns {string|null}
+ */
+function categoryForProductUrl(url, categoryKeywords = DEFAULT_CATEGORY_KEYWORDS) {
+  let slug;
+  try {
+    slug = new URL(url).pathname.split('/').pop().toLowerCase();
+  } catch (error) {
+    return null;
+  }
+  const words = `-${slug.replace(/\.html$/, '')}-`;
+  for (const [category, keywords] of Object.entries(categoryKeywords)) {
+    if (keywords.some(keyword => words.includes(`-${keyword.toLowerCase()}-`))) {
+      return category;
+    }
+  }
+  return null;
+}
+
+/**
+ * Follow sitemaps down to their product URLs
+ * @param {Object} options
+ * @param {string[]} options.rootSitemaps - Sitemaps to start from (robots.txt Sitemap entries)
+ * @param {Function} options.loadSitemap - async (url) => XML string
+ * @param {Function} options.isProductUrl - (url) => boolean, e.g. the region's product URL pattern
+ * @param {Function} options.followSitemap - (url) => boolean, whether a child sitemap may hold matching URLs
+ * @param {number} options.maxSitemaps - Maximum number of sitemap files to load
+ * @returns {Promise<{ urls: string[], sitemapsRead: number, sitemapsFailed: number, truncated: boolean }>}
+ *   truncated when maxSitemaps was reached with sitemaps left to read
+ */
+async function collectSitemapUrls({ rootSitemaps, loadSitemap, isProductUrl, followSitemap = () => true, maxSitemaps }) {
+  const queue = [...rootSitemaps];
+  const seen = new Set(queue);
+  const urls = new Set();
+  let sitemapsRead = 0;
+  let sitemapsFailed = 0;
+
+  while (queue.length > 0 && sitemapsRead < maxSitemaps) {
+    const sitemapUrl = queue.shift();
+    let parsed;
+    try {
+      parsed = parseSitemap(await loadSitemap(sitemapUrl));
+      sitemapsRead++;
+    } catch (error) {
+      console.log(`   ⚠️  Could not read sitemap ${sitemapUrl}: ${error.message}`);
+      sitemapsFailed++;
+      continue;
+    }
+
+    // Indexes often split product sitemaps from category, store and image ones
+    const children = parsed.sitemaps.map(entry => entry.loc).filter(loc => !seen.has(loc) && followSitemap(loc));
+    const productChildren = children.filter(loc => /product/i.test(loc));
+    for (const loc of productChildren.length > 0 ? productChildren : children) {
+      seen.add(loc);
+      queue.push(loc);
+    }
+
+    for (const { loc } of parsed.urls) {
+      if (isProductUrl(loc)) urls.add(loc);
+    }
+  }
+
+  return { urls: Array.from(urls), sitemapsRead, sitemapsFailed, truncated: queue.length > 0 };
+}
+
+/**
+ * Product URLs from the sitemaps, grouped by category (cached per key for cacheTtlMs)
+ * @param {string} cacheKey - e.g. 'zara:ca'
+ * @param {Function} discover - async () => { urls, complete } called on a cache miss, where
+ *   complete is false when some sitemaps were not read (maxSitemaps reached, unreadable sitemaps)
+ * @returns {Promise<{ byCategory: Object, complete: boolean }>} byCategory maps a category to its
+ *   product URLs (URLs matching no category are dropped)
+ */
+async function getSitemapProductUrlsByCategory(cacheKey, discover) {
+  const cached = discoveryCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < sharedOptions.cacheTtlMs) {
+    return cached.discovery;
+  }
+
+  const entry = {
+    fetchedAt: Date.now(),
+    discovery: discover().then(({ urls, complete }) => {
+      const byCategory = {};
+      for (const url of urls) {
+        const category = categoryForProductUrl(url, sharedOptions.categoryKeywords);
+        if (category) {
+          (byCategory[category] = byCategory[category] || []).push(url);
+        }
+      }
+      return { byCategory, complete };
+    }),
+  };
+  discoveryCache.set(cacheKey, entry);
+
+  try {
+    return await entry.discovery;
+  } catch (error) {
+    // A failed discovery is retried by the next task instead of being cached
+    discoveryCache.delete(cacheKey);
+    throw error;
+  }
+}
+
+module.exports = {
+  DISCOVERY_MODES,
+  DEFAULT_CATEGORY_KEYWORDS,
+  DEFAULT_DISCOVERY_OPTIONS,
+  configureDiscovery,
+  getDiscoveryOptions,
+  discoveryOptionsFromConfig,
+  parseSitemap,
+  sitemapMatchesRegion,
+  categoryForProductUrl,
+  collectSitemapUrls,
+  getSitemapProductUrlsByCategory,
+};
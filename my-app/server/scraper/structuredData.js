@@ -0,0 +1,404 @@
+const cheerio = require('cheerio');
+
+/**
+ * Structured data extraction for product pages
+ * Reads embedded machine-readable data from raw HTML before falling back to DOM selectors:
+ *   1. JSON-LD `Product` blocks (schema.org)
+ *   2. The app-state JSON Zara ships inline (`window.zara.viewPayload = {...}`)
+ *   3. Open Graph / product meta tags
+ * Every field records the strategy that produced it.
+ */
+
+const EXTRACTION_SOURCES = {
+  JSON_LD: 'json-ld',
+  APP_STATE: 'app-state',
+  OPEN_GRAPH: 'og',
+  DOM: 'dom',
+};
+
+const PRODUCT_FIELDS = [
+  'name', 'price', 'currency', 'materials', 'images', 'sizes', 'sizeAvailability', 'color', 'variantId', 'variants',
+  'description', 'care', 'origin', 'certifications', 'gender',
+];
+
+// Fields that differ between color variants of the same product
+const VARIANT_FIELDS = ['price', 'images', 'sizes', 'sizeAvailability', 'color'];
+
+/**
+ * Normalized per-size stock states
+ */
+const SIZE_STATES = {
+  IN_STOCK: 'in_stock',
+  LOW_STOCK: 'low_stock',
+  OUT_OF_STOCK: 'out_of_stock',
+  COMING_SOON: 'coming_soon',
+  UNKNOWN: 'unknown',
+};
+
+// Zara app-state `availability` values
+const ZARA_SIZE_STATES = {
+  in_stock: SIZE_STATES.IN_STOCK,
+  low_on_stock: SIZE_STATES.LOW_STOCK,
+  out_of_stock: SIZE_STATES.OUT_OF_STOCK,
+  coming_soon: SIZE_STATES.COMING_SOON,
+  back_soon: SIZE_STATES.COMING_SOON,
+};
+
+// Store sections (Zara app-state `sectionName`, schema.org `suggestedGender`) -> product gender
+const SECTION_GENDERS = {
+  woman: 'female',
+  women: 'female',
+  female: 'female',
+  man: 'male',
+  men: 'male',
+  male: 'male',
+};
+
+/**
+ * Gender of the store section a product is listed in
+ * @returns {string|undefined} 'female' or 'male'; undefined for other sections (kids, home...)
+ */
+function sectionGender(section) {
+  return typeof section === 'string' ? SECTION_GENDERS[section.trim().toLowerCase()] : undefined;
+}
+
+/**
+ * Build a size availability entry from a normalized state
+ * @returns {{ size: string, available: boolean|null, state: string }}
+ */
+function sizeAvailabilityEntry(size, state = SIZE_STATES.UNKNOWN) {
+  const available = state === SIZE_STATES.UNKNOWN
+    ? null
+    : state === SIZE_STATES.IN_STOCK || state === SIZE_STATES.LOW_STOCK;
+  return { size, available, state };
+}
+
+/**
+ * Product size fields from extracted sizes
+ * @param {string[]} sizes - Size labels
+ * @param {Object[]} sizeAvailability - Per-size availability, when the page exposed stock state
+ * @returns {{ size_availability: Object[], sizes_available: string[] }} sizes_available lists
+ *   the sizes that are not known to be sold out
+ */
+function buildSizeFields(sizes = [], sizeAvailability = []) {
+  const availability = sizeAvailability && sizeAvailability.length > 0
+    ? sizeAvailability
+    : (sizes || []).map(size => sizeAvailabilityEntry(size));
+  return {
+    size_availability: availability,
+    sizes_available: availability.filter(entry => entry.available !== false).map(entry => entry.size),
+  };
+}
+
+/**
+ * Whether an extracted value carries information
+ */
+function hasValue(value) {
+  if (value === null || value === undefined) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'number') return value > 0;
+  if (typeof value === 'string') return value.trim().length > 0 && value !== 'Unknown Product';
+  return true;
+}
+
+/**
+ * Parse a price that may be a number or a localized string ("35.90", "35,90")
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(',', '.').match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Normalize image references (string, array, or schema.org ImageObject) to absolute URLs
+ */
+function toImageList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map(item => (item && typeof item === 'object' ? item.url || item.contentUrl : item))
+    .filter(src => typeof src === 'string' && src.length > 0)
+    .map(src => (src.startsWith('//') ? `https:${src}` : src));
+}
+
+/**
+ * Find the first schema.org Product in the page's JSON-LD blocks
+ */
+function readJsonLd($) {
+  const candidates = [];
+
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const items = Array.isArray(data) ? data : [data];
+      for (const item of items) {
+        candidates.push(item, ...(Array.isArray(item?.['@graph']) ? item['@graph'] : []));
+      }
+    } catch (error) {
+      // Ignore malformed JSON-LD blocks
+    }
+  });
+
+  const product = candidates.find(item => {
+    const type = item?.['@type'];
+    return type === 'Product' || (Array.isArray(type) && type.includes('Product'));
+  });
+  if (!product) return {};
+
+  const offers = Array.isArray(product.offers) ? product.offers[0] : product.offers;
+  const origin = product.countryOfOrigin;
+
+  return {
+    name: product.name,
+    price: parsePrice(offers?.price ?? offers?.lowPrice),
+    currency: offers?.priceCurrency,
+    images: product.image ? toImageList(product.image) : [],
+    color: typeof product.color === 'string' ? product.color : undefined,
+    description: typeof product.description === 'string' ? product.description : undefined,
+    origin: origin && typeof origin === 'object' ? origin.name : origin,
+    gender: sectionGender(product.audience?.suggestedGender),
+  };
+}
+
+/**
+ * Extract the JSON object literal assigned to `marker` in an inline script
+ * Walks braces (ignoring those inside strings) so nested objects are captured whole.
+ */
+function extractAssignedObject(source, marker) {
+  const markerIndex = source.indexOf(marker);
+  if (markerIndex === -1) return null;
+
+  const start = source.indexOf('{', markerIndex);
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(source.slice(start, i + 1));
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build an image URL from a Zara xmedia entry
+ */
+function zaraMediaUrl(media) {
+  if (media.url) {
+    return media.url.replace('{width}', '1920');
+  }
+  if (media.path && media.name) {
+    return `https://static.zara.net/photos//${media.path}/w/1920/${media.name}.jpg${media.timestamp ? `?ts=${media.timestamp}` : ''}`;
+  }
+  return null;
+}
+
+/**
+ * Format Zara's detailed composition into text the composition parser understands
+ * e.g. "OUTER SHELL: 100% cotton. LINING: 100% polyester"
+ */
+function formatZaraComposition(detailedComposition) {
+  const parts = detailedComposition?.parts || [];
+  return parts
+    .map(part => {
+      const components = (part.components || [])
+        .map(c => `${String(c.percentage).replace('%', '')}% ${c.material}`)
+        .join(', ');
+      if (!components) return '';
+      return part.description ? `${part.description}: ${components}` : components;
+    })
+    .filter(Boolean)
+    .join('. ');
+}
+
+/**
+ * Text of Zara payload entries that are a string, an object with a description/name, or a list of them
+ */
+function zaraTexts(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .map(item => (item && typeof item === 'object' ? item.description || item.text || item.name : item))
+    .filter(text => typeof text === 'string' && text.trim().length > 0)
+    .map(text => text.trim());
+}
+
+/**
+ * Care instructions, country of manufacture and certification labels from Zara's product detail
+ * (the selected color's entry wins over the product-level one)
+ */
+function readZaraProductDetails(detail, color) {
+  const pick = (...candidates) => candidates.map(zaraTexts).find(texts => texts.length > 0) || [];
+  const care = color.care || detail.care || {};
+  const certified = color.certifiedMaterials || detail.certifiedMaterials || {};
+
+  return {
+    description: pick(color.description, detail.description)[0],
+    care: pick(care.instructions, care.description, detail.careInstructions),
+    origin: pick(color.origin, detail.origin, detail.madeIn, detail.traceability?.madeIn)[0],
+    certifications: pick(certified.materials, certified.labels, certified, detail.sustainabilityLabels),
+  };
+}
+
+/**
+ * Convert one entry of Zara's `detail.colors` to a variant
+ */
+function zaraColorVariant(color) {
+  const sizes = (color.sizes || []).filter(size => size.name);
+  return {
+    variantId: color.productId !== undefined ? String(color.productId) : undefined,
+    color: color.name,
+    price: typeof color.price === 'number' ? color.price / 100 : null,
+    images: (color.xmedia || []).map(zaraMediaUrl).filter(Boolean),
+    sizes: sizes.map(size => size.name),
+    sizeAvailability: sizes.map(size => sizeAvailabilityEntry(
+      size.name,
+      ZARA_SIZE_STATES[String(size.availability || '').toLowerCase()] || SIZE_STATES.UNKNOWN
+    )),
+  };
+}
+
+/**
+ * Read the product from Zara's inline app-state payload
+ * @param {string} variantId - Color variant to select (the `v1` URL parameter); defaults to the first color
+ */
+function readZaraAppState($, variantId) {
+  let payload = null;
+  $('script:not([src])').each((_, el) => {
+    if (payload) return;
+    const source = $(el).contents().text();
+    if (source.includes('viewPayload')) {
+      payload = extractAssignedObject(source, 'viewPayload');
+    }
+  });
+
+  const product = payload?.product;
+  if (!product) return {};
+
+  const detail = product.detail || {};
+  const colors = detail.colors || [];
+  const color = colors.find(c => variantId && String(c.productId) === String(variantId)) || colors[0] || {};
+  const selected = zaraColorVariant(color);
+
+  return {
+    name: product.name,
+    price: selected.price,
+    materials: formatZaraComposition(detail.detailedComposition || color.detailedComposition),
+    images: selected.images,
+    sizes: selected.sizes,
+    sizeAvailability: selected.sizeAvailability,
+    color: selected.color,
+    variantId: selected.variantId,
+    variants: colors.map(zaraColorVariant).filter(variant => variant.variantId),
+    gender: sectionGender(product.sectionName || product.section),
+    ...readZaraProductDetails(detail, color),
+  };
+}
+
+/**
+ * Read Open Graph and product meta tags
+ */
+function readOpenGraph($) {
+  const meta = (property) => $(`meta[property="${property}"]`).attr('content');
+  const title = meta('og:title');
+
+  return {
+    // Titles often carry a " | ZARA Canada" style suffix
+    name: title ? title.replace(/\s*[|–-]\s*ZARA.*$/i, '').trim() : undefined,
+    price: parsePrice(meta('product:price:amount') || meta('og:price:amount')),
+    currency: meta('product:price:currency') || meta('og:price:currency'),
+    images: $('meta[property="og:image"]').map((_, el) => $(el).attr('content')).get().filter(Boolean),
+    description: meta('og:description') || $('meta[name="description"]').attr('content'),
+  };
+}
+
+/**
+ * Extract product fields from embedded structured data
+ * @param {string} html - Raw page HTML
+ * @param {Object} options
+ * @param {string} options.variantId - Color variant requested by the URL (Zara `v1`)
+ * @returns {Object} Map of field -> { value, source } for every field found
+ */
+function extractStructuredData(html, { variantId } = {}) {
+  if (!html || typeof html !== 'string') {
+    return {};
+  }
+
+  const $ = cheerio.load(html);
+  const appState = readZaraAppState($, variantId);
+  const strategies = [
+    [EXTRACTION_SOURCES.JSON_LD, readJsonLd($)],
+    [EXTRACTION_SOURCES.APP_STATE, appState],
+    [EXTRACTION_SOURCES.OPEN_GRAPH, readOpenGraph($)],
+  ];
+  // JSON-LD and og: tags describe the default color; when the app state holds the
+  // requested variant, it is the better source for variant-specific fields
+  const variantStrategies = variantId && appState.variantId === String(variantId)
+    ? [strategies[1], strategies[0], strategies[2]]
+    : strategies;
+
+  const fields = {};
+  for (const field of PRODUCT_FIELDS) {
+    for (const [source, data] of VARIANT_FIELDS.includes(field) ? variantStrategies : strategies) {
+      if (hasValue(data[field])) {
+        fields[field] = { value: data[field], source };
+        break;
+      }
+    }
+  }
+  return fields;
+}
+
+/**
+ * Merge structured-data fields with DOM-extracted data
+ * Structured values win; DOM values fill whatever is still missing.
+ * @param {Object} structured - Result of extractStructuredData()
+ * @param {Object} domData - Plain field -> value map from DOM selectors
+ * @returns {{ data: Object, sources: Object }} Merged values and the strategy used for each field
+ */
+function mergeExtractedFields(structured, domData) {
+  const data = {};
+  const sources = {};
+
+  for (const field of new Set([...PRODUCT_FIELDS, ...Object.keys(domData)])) {
+    if (structured[field]) {
+      data[field] = structured[field].value;
+      sources[field] = structured[field].source;
+    } else if (hasValue(domData[field])) {
+      data[field] = domData[field];
+      sources[field] = EXTRACTION_SOURCES.DOM;
+    } else {
+      data[field] = domData[field];
+    }
+  }
+
+  return { data, sources };
+}
+
+module.exports = {
+  EXTRACTION_SOURCES,
+  SIZE_STATES,
+  sizeAvailabilityEntry,
+  buildSizeFields,
+  extractStructuredData,
+  mergeExtractedFields,
+};
@@ -1,42 +1,267 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
-const puppeteer = require('puppeteer');
-const { parseComposition, getCottonPercentage } = require('./compositionParser');
+const zlib = require('zlib');
+const { compositionFields } = require('./compositionParser');
+const { productDetailFields } = require('./productDetails');
+const { FixtureStore, SCRAPER_MODES } = require('./fixtureStore');
+const RetailerAdapter = require('./retailerAdapter');
+const { extractStructuredData, mergeExtractedFields, sizeAvailabilityEntry, buildSizeFields } = require('./structuredData');
+const { CRAWL_DISALLOWED } = require('./crawlPolicy');
+const { regionForUrl, listRegions } = require('./regions');
+const { getConfig } = require('../config');
+const {
+  DISCOVERY_MODES,
+  getDiscoveryOptions,
+  sitemapMatchesRegion,
+  collectSitemapUrls,
+  getSitemapProductUrlsByCategory,
+} = require('./sitemaps');
+
+// Category listing paths, relative to a region's locale path (e.g. /ca/en); used when
+// settings.yaml has no `categories` section.
+// The v1 / regionGroupId filters were taken from the Canadian storefront and are only sent there.
+const CATEGORY_PATHS = {
+  'shirts': {
+    'male': 'man-shirts-l737.html?v1=2431994&regionGroupId=124',
+    'female': 'woman-shirts-l1217.html?v1=2420369&regionGroupId=124'
+  },
+  'pants': {
+    'male': 'man-trousers-l838.html?v1=2432096&regionGroupId=124',
+    'female': 'woman-trousers-l1335.html?v1=2420795&regionGroupId=124'
+  },
+  'dresses': {
+    'female': 'woman-dresses-l1066.html?v1=2420896&regionGroupId=124'
+  },
+  'tshirts': {
+    'male': 'man/t-shirts-l835.html?v1=2432058',
+    'female': 'woman/t-shirts-l1063.html?v1=2420542'
+  },
+  'tops': {
+    'female': 'woman-tops-l1141.html'
+  },
+  'skirts': {
+    'female': 'woman-skirts-l1200.html'
+  },
+  'jackets': {
+    'male': 'man-jackets-l828.html',
+    'female': 'woman-jackets-l1058.html'
+  }
+};
+const CATEGORY_FILTER_REGION = 'ca';
 
 /**
  * Zara Product Scraper
- * Scrapes Zara website to extract product information for all clothing categories
+ * Scrapes Zara website to extract product information for all clothing categories.
+ * Registered as the 'zara' retailer adapter.
+ *
+ * @param {Object} options
+ * @param {string} options.mode - 'live' (default), 'record' (save every fetched page) or 'replay' (serve saved pages)
+ * @param {string} options.fixturesDir - Directory used for recorded pages
+ * @param {BrowserPool} options.pool - Browser pool for methods called without a page (default: shared pool)
+ * @param {string} options.region - Storefront region key (default: 'ca'), see regions.js
+ * @param {string} options.discovery - Product discovery: 'listing' (scroll category pages) or 'sitemap'
+ *   (read the XML sitemaps); default from the shared discovery options, see sitemaps.js
+ * @param {Object} options.categoryPaths - category -> gender -> listing path relative to the locale path
+ *   (default: `categories` in settings.yaml, then CATEGORY_PATHS)
  */
-class ZaraScraper {
-  constructor() {
-    this.baseUrl = 'https://www.zara.com';
-    this.categoryMappings = {
-      'shirts': {
-        'male': 'https://www.zara.com/ca/en/man-shirts-l737.html?v1=2431994&regionGroupId=124',
-        'female': 'https://www.zara.com/ca/en/woman-shirts-l1217.html?v1=2420369&regionGroupId=124'
-      },
-      'pants': {
-        'male': 'https://www.zara.com/ca/en/man-trousers-l838.html?v1=2432096&regionGroupId=124',
-        'female': 'https://www.zara.com/ca/en/woman-trousers-l1335.html?v1=2420795&regionGroupId=124'
-      },
-      'dresses': {
-        'female': 'https://www.zara.com/ca/en/woman-dresses-l1066.html?v1=2420896&regionGroupId=124'
-      },
-      'tshirts': {
-        'male': 'https://www.zara.com/ca/en/man/t-shirts-l835.html?v1=2432058',
-        'female': 'https://www.zara.com/ca/en/woman/t-shirts-l1063.html?v1=2420542'
-      },
-      'tops': {
-        'female': 'https://www.zara.com/ca/en/woman-tops-l1141.html'
-      },
-      'skirts': {
-        'female': 'https://www.zara.com/ca/en/woman-skirts-l1200.html'
-      },
-      'jackets': {
-        'male': 'https://www.zara.com/ca/en/man-jackets-l828.html',
-        'female': 'https://www.zara.com/ca/en/woman-jackets-l1058.html'
+class ZaraScraper extends RetailerAdapter {
+  static site = 'zara';
+  static brand = 'Zara';
+  static currency = 'CAD';
+  static hosts = ['www.zara.com', 'zara.com'];
+
+  constructor(options = {}) {
+    super(options);
+    this.mode = options.mode || 'live';
+    if (!SCRAPER_MODES.includes(this.mode)) {
+      throw new Error(`Unknown scraper mode "${this.mode}" (expected one of: ${SCRAPER_MODES.join(', ')})`);
+    }
+    this.fixtures = this.mode === 'live' ? null : new FixtureStore(options.fixturesDir);
+    const { scraper } = getConfig();
+    this.baseUrl = scraper.baseUrl;
+    this.userAgent = scraper.userAgent;
+    this.categoryPaths = options.categoryPaths || scraper.categoryPaths || CATEGORY_PATHS;
+    this.categoryMappings = this.buildCategoryMappings();
+    this.discovery = options.discovery || getDiscoveryOptions().mode;
+    if (!DISCOVERY_MODES.includes(this.discovery)) {
+      throw new Error(`Unknown discovery mode "${this.discovery}" (expected one of: ${DISCOVERY_MODES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Category listing URLs for the adapter's region
+   * @returns {Object} category -> gender -> URL
+   */
+  buildCategoryMappings() {
+    const { key, localePath } = this.region;
+    return Object.fromEntries(Object.entries(this.categoryPaths).map(([category, genders]) => [
+      category,
+      Object.fromEntries(Object.entries(genders).map(([gender, categoryPath]) => [
+        gender,
+        `${this.baseUrl}${localePath}/${key === CATEGORY_FILTER_REGION ? categoryPath : categoryPath.split('?')[0]}`,
+      ])),
+    ]));
+  }
+
+  /**
+   * Product group id (the `p\d+` part of the path) and color variant (the `v1` parameter)
+   * e.g. .../turtleneck-t-shirt-p02335643.html?v1=503419331 -> { productId: '02335643', variantId: '503419331' }
+   */
+  static parseProductUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return {
+        productId: parsed.pathname.match(/-p(\d+)\.html$/)?.[1] || null,
+        variantId: parsed.searchParams.get('v1') || null,
+      };
+    } catch (error) {
+      return { productId: null, variantId: null };
+    }
+  }
+
+  /**
+   * Product URL without tracking parameters, keeping the `v1` color variant
+   */
+  static canonicalProductUrl(url) {
+    const { variantId } = this.parseProductUrl(url);
+    const base = url.split('?')[0].split('#')[0];
+    return variantId ? `${base}?v1=${variantId}` : base;
+  }
+
+  static variantUrl(url, variantId) {
+    const base = url.split('?')[0].split('#')[0];
+    return variantId ? `${base}?v1=${variantId}` : base;
+  }
+
+  /**
+   * Category discovery: categories and the genders each one is available for
+   * Sitemap URLs do not say which section a product is in, so with sitemap discovery every
+   * category is a single UNKNOWN_GENDER task; products take their gender from the page.
+   */
+  getCategories() {
+    return Object.fromEntries(
+      Object.entries(this.categoryMappings).map(([category, genders]) => [
+        category,
+        this.discovery === 'sitemap' ? [ZaraScraper.UNKNOWN_GENDER] : Object.keys(genders),
+      ])
+    );
+  }
+
+  /**
+   * Navigate to a URL, trying progressively less strict wait conditions
+   * The crawl policy is consulted once first; it throws if the URL must be skipped.
+   */
+  async navigate(page, url) {
+    await this.crawlPolicy.gate(url);
+    try {
+      // Strategy 1: Try with load event (less strict than networkidle)
+      await page.goto(url, { 
+        waitUntil: 'load', 
+        timeout: 90000  // Increased to 90 seconds
+      });
+      console.log('   ✅ Page loaded (using load event)');
+    } catch (error) {
+      console.log('   ⚠️  Load event timeout, trying domcontentloaded...');
+      try {
+        // Strategy 2: Try with domcontentloaded (even less strict)
+        await page.goto(url, { 
+          waitUntil: 'domcontentloaded', 
+          timeout: 90000 
+        });
+        console.log('   ✅ Page loaded (using domcontentloaded)');
+      } catch (error2) {
+        console.log('   ⚠️  domcontentloaded timeout, using basic navigation...');
+        // Strategy 3: Just navigate and wait manually
+        await page.goto(url, { 
+          waitUntil: 'commit', 
+          timeout: 90000 
+        });
+        console.log('   ✅ Page navigated (using commit)');
       }
-    };
+    }
+  }
+
+  /**
+   * Load a page into the browser tab according to the scraper mode
+   * - live: navigate and let `settle` wait for dynamic content
+   * - record: same as live, then save the rendered HTML as a fixture
+   * - replay: load the saved HTML (scripts disabled) instead of hitting the site
+   * @param {Page} page - Puppeteer page
+   * @param {string} url - URL to load
+   * @param {string} kind - Fixture kind ('category', 'search', 'product')
+   * @param {Function} settle - Optional async callback run after navigation in live/record mode
+   */
+  async loadPage(page, url, kind, settle = null) {
+    if (this.mode === 'replay') {
+      const fixture = this.fixtures.load(kind, url);
+      if (!fixture) {
+        throw new Error(`No recorded ${kind} fixture for ${url}`);
+      }
+      await page.setJavaScriptEnabled(false);
+      await page.setContent(fixture.html, { waitUntil: 'domcontentloaded' });
+      console.log(`   📼 Replaying recorded ${kind} page`);
+      return;
+    }
+
+    await this.navigate(page, url);
+    if (settle) {
+      await settle();
+    }
+
+    if (this.mode === 'record') {
+      this.fixtures.save(kind, url, await page.content());
+    }
+  }
+
+  /**
+   * Wait for a product listing (category or search results) to render and scroll to load lazy content
+   */
+  async settleListingPage(page, maxScroll) {
+    // Wait for dynamic content (Zara loads products dynamically)
+    console.log('   ⏳ Waiting for products to load (10 seconds)...');
+    await this.delay(10000);
+    
+    // Try to wait for product elements to appear
+    console.log('   🔍 Checking for product elements...');
+    try {
+      // Wait for any product links or product cards to appear
+      await page.waitForSelector('a[href*="/p"]', { timeout: 15000 }).catch(() => {
+        console.log('   ⚠️  Product links selector not found, continuing anyway...');
+      });
+    } catch (selectorError) {
+      console.log('   ℹ️  No specific product selector found, will extract all links...');
+    }
+
+    // Scroll to load lazy content
+    console.log('   📜 Scrolling to load all products...');
+    await page.evaluate(async (maxScroll) => {
+      await new Promise((resolve) => {
+        let totalHeight = 0;
+        const distance = 300;
+        const timer = setInterval(() => {
+          const scrollHeight = document.body.scrollHeight;
+          window.scrollBy(0, distance);
+          totalHeight += distance;
+          if (totalHeight >= scrollHeight || totalHeight >= maxScroll) {
+            clearInterval(timer);
+            resolve();
+          }
+        }, 200);
+      });
+    }, maxScroll);
+
+    await this.delay(5000);
+  }
+
+  /**
+   * Product URLs of a category listing, and whether the listing was read in full
+   * Sitemap listings are incomplete when discovery did not read every sitemap, whatever their size.
+   */
+  async getProductListing(category, gender, limit) {
+    if (this.discovery !== 'sitemap' || !(this.getCategories()[category] || []).includes(gender)) {
+      return super.getProductListing(category, gender, limit);
+    }
+    return this.getSitemapProductUrls(category, limit);
   }
 
   /**
@@ -50,119 +275,34 @@ class ZaraScraper {
       return urls;
     }
 
-    if (!this.categoryMappings[category][gender]) {
+    if (!this.getCategories()[category].includes(gender)) {
       console.error(`Gender ${gender} not available for category ${category}`);
       return urls;
     }
 
+    if (this.discovery === 'sitemap') {
+      return (await this.getSitemapProductUrls(category, limit)).urls;
+    }
+
     const categoryUrl = this.categoryMappings[category][gender];
-    let shouldCloseBrowser = false;
-    let browser = null;
+
+    // Without a page, borrow one from the browser pool
+    if (!page) {
+      return this.pool.withPage(categoryUrl, pooledPage => this.getProductUrls(category, gender, limit, pooledPage));
+    }
 
     try {
       console.log(`📂 Fetching products from: ${categoryUrl}`);
       
-      // Use provided page or create new browser
-      if (!page) {
-        browser = await puppeteer.launch({
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-blink-features=AutomationControlled',
-            '--disable-features=IsolateOrigins,site-per-process'
-          ]
-        });
-        page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setViewport({ width: 1920, height: 1080 });
-        
-        // Set extra headers to appear more like a real browser
-        await page.setExtraHTTPHeaders({
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-        });
-        shouldCloseBrowser = true;
-      }
-
-      // Try multiple navigation strategies
       console.log('   🌐 Navigating to category page...');
-      let navigationSuccess = false;
-      
-      try {
-        // Strategy 1: Try with load event (less strict than networkidle)
-        await page.goto(categoryUrl, { 
-          waitUntil: 'load', 
-          timeout: 90000  // Increased to 90 seconds
-        });
-        navigationSuccess = true;
-        console.log('   ✅ Page loaded (using load event)');
-      } catch (error) {
-        console.log('   ⚠️  Load event timeout, trying domcontentloaded...');
-        try {
-          // Strategy 2: Try with domcontentloaded (even less strict)
-          await page.goto(categoryUrl, { 
-            waitUntil: 'domcontentloaded', 
-            timeout: 90000 
-          });
-          navigationSuccess = true;
-          console.log('   ✅ Page loaded (using domcontentloaded)');
-        } catch (error2) {
-          console.log('   ⚠️  domcontentloaded timeout, using basic navigation...');
-          // Strategy 3: Just navigate and wait manually
-          await page.goto(categoryUrl, { 
-            waitUntil: 'commit', 
-            timeout: 90000 
-          });
-          navigationSuccess = true;
-          console.log('   ✅ Page navigated (using commit)');
-        }
-      }
-      
-      // Wait for dynamic content (Zara loads products dynamically)
-      console.log('   ⏳ Waiting for products to load (10 seconds)...');
-      await new Promise(resolve => setTimeout(resolve, 10000));
-      
-      // Try to wait for product elements to appear
-      console.log('   🔍 Checking for product elements...');
-      try {
-        // Wait for any product links or product cards to appear
-        await page.waitForSelector('a[href*="/p"]', { timeout: 15000 }).catch(() => {
-          console.log('   ⚠️  Product links selector not found, continuing anyway...');
-        });
-      } catch (selectorError) {
-        console.log('   ℹ️  No specific product selector found, will extract all links...');
-      }
-
-      // Scroll to load lazy content
-      console.log('   📜 Scrolling to load all products...');
-      await page.evaluate(async () => {
-        await new Promise((resolve) => {
-          let totalHeight = 0;
-          const distance = 300;
-          const maxScroll = 6000;
-          const timer = setInterval(() => {
-            const scrollHeight = document.body.scrollHeight;
-            window.scrollBy(0, distance);
-            totalHeight += distance;
-            if (totalHeight >= scrollHeight || totalHeight >= maxScroll) {
-              clearInterval(timer);
-              resolve();
-            }
-          }, 200);
-        });
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 5000));
+      await this.loadPage(page, categoryUrl, 'category', () => this.settleListingPage(page, 6000));
 
       // Extract product URLs using multiple patterns (like Python example)
       const baseUrl = this.baseUrl;
-      const productUrls = await page.evaluate((baseUrl) => {
+      const localePath = this.region.localePath;
+      const productUrls = await page.evaluate((baseUrl, localePath) => {
         const links = new Set();
+        const fullPathPattern = new RegExp(`${localePath.replace(/\//g, '\\/')}\\/[^/]+\\/[^/]+\\/p\\d+\\.html`, 'i');
 
         // Pattern 1: Look for product links in various Zara formats
         // Zara product URLs can be: /ca/en/woman/product/p123456.html
@@ -182,9 +322,9 @@ class ZaraScraper {
               href.match(/\/p\d+\.html/i) ||           // /p123456.html
               href.match(/p\d+\.html/i) ||             // p123456.html (relative)
               (href.includes('/p') && href.includes('.html')) ||  // Contains /p and .html
-              href.match(/\/ca\/en\/[^/]+\/[^/]+\/p\d+\.html/i) || // Full path: /ca/en/gender/category/p123.html
+              href.match(fullPathPattern) || // Full path: /ca/en/gender/category/p123.html
               href.match(/\/product\/[^/]+\/p\d+\.html/i) ||       // Product path: /product/name/p123.html
-              (href.includes('/ca/en/') && href.includes('/p') && href.match(/\d+\.html/)); // Generic: has /ca/en/ and /p[digits].html
+              (href.includes(`${localePath}/`) && href.includes('/p') && href.match(/\d+\.html/)); // Generic: has /ca/en/ and /p[digits].html
             
             if (isProductUrl) {
               let fullUrl = href;
@@ -250,7 +390,7 @@ class ZaraScraper {
         });
 
         // Pattern 4: Links with product IDs in path (more specific)
-        const productIdLinks = document.querySelectorAll('a[href*="/ca/en/woman"], a[href*="/ca/en/man"]');
+        const productIdLinks = document.querySelectorAll(`a[href*="${localePath}/woman"], a[href*="${localePath}/man"]`);
         console.log(`Gender-specific links found: ${productIdLinks.length}`);
         productIdLinks.forEach(link => {
           const href = link.getAttribute('href');
@@ -270,16 +410,20 @@ class ZaraScraper {
           console.log('Sample URLs:', sampleUrls);
         }
         return Array.from(links);
-      }, baseUrl);
+      }, baseUrl, localePath);
 
       console.log(`   ✅ Found ${productUrls.length} product URLs for ${gender} ${category}`);
       return productUrls.slice(0, limit);
     } catch (error) {
+      // The crawl policy already logged why the listing page was skipped
+      if (error.code === CRAWL_DISALLOWED) {
+        return [];
+      }
       console.error(`   ❌ Error fetching product URLs: ${error.message}`);
       console.error(`   Error details:`, error);
       
-      // Try to get screenshot for debugging if page exists
-      if (page && browser) {
+      // Try to get screenshot for debugging (there is no live page to capture in replay mode)
+      if (this.mode !== 'replay') {
         try {
           await page.screenshot({ path: `zara-error-${Date.now()}.png` });
           console.log('   📸 Screenshot saved for debugging');
@@ -289,10 +433,109 @@ class ZaraScraper {
       }
       
       return urls;
-    } finally {
-      if (shouldCloseBrowser && browser) {
-        await browser.close();
+    }
+  }
+
+  /**
+   * Load a sitemap file according to the scraper mode (gzipped sitemaps are decompressed)
+   * Sitemaps are plain XML, so they are fetched without a browser page.
+   * @returns {Promise<string>} Sitemap XML
+   */
+  async loadSitemap(url) {
+    if (this.mode === 'replay') {
+      const fixture = this.fixtures.load('sitemap', url);
+      if (!fixture) {
+        throw new Error(`No recorded sitemap fixture for ${url}`);
       }
+      return fixture.html;
+    }
+
+    await this.crawlPolicy.gate(url);
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 60000,
+      headers: { 'User-Agent': this.userAgent },
+    });
+    const data = response.data;
+    const xml = (data[0] === 0x1f && data[1] === 0x8b ? zlib.gunzipSync(data) : data).toString('utf8');
+
+    if (this.mode === 'record') {
+      this.fixtures.save('sitemap', url, xml);
+    }
+    return xml;
+  }
+
+  /**
+   * Sitemaps to start discovery from: the robots.txt Sitemap entries, or /sitemap.xml
+   * The list is recorded like a page so replay runs start from the same sitemaps.
+   */
+  async getRootSitemaps() {
+    const robotsUrl = `${this.baseUrl}/robots.txt`;
+    if (this.mode === 'replay') {
+      const fixture = this.fixtures.load('sitemap', robotsUrl);
+      if (!fixture) {
+        throw new Error(`No recorded sitemap list for ${robotsUrl}`);
+      }
+      return fixture.html.split('\n').filter(Boolean);
+    }
+
+    const robots = await this.crawlPolicy.getRobots(this.baseUrl);
+    const sitemaps = robots.sitemaps.length > 0 ? robots.sitemaps : [`${this.baseUrl}/sitemap.xml`];
+    if (this.mode === 'record') {
+      this.fixtures.save('sitemap', robotsUrl, sitemaps.join('\n'));
+    }
+    return sitemaps;
+  }
+
+  /**
+   * Every product URL of the adapter's region listed in the sitemaps
+   * @returns {Promise<{ urls: string[], complete: boolean }>} complete unless some sitemaps were not read
+   */
+  async discoverSitemapProductUrls() {
+    const region = this.region;
+    const productPath = new RegExp(`^${region.localePath}/[^/]+-p\\d+\\.html$`, 'i');
+    const rootSitemaps = await this.getRootSitemaps();
+    console.log(`🗺️  Reading ${region.name} product URLs from ${rootSitemaps.length} sitemap(s)...`);
+
+    const { urls, sitemapsRead, sitemapsFailed, truncated } = await collectSitemapUrls({
+      rootSitemaps,
+      loadSitemap: url => this.loadSitemap(url),
+      isProductUrl: url => {
+        try {
+          return productPath.test(new URL(url).pathname);
+        } catch (error) {
+          return false;
+        }
+      },
+      followSitemap: url => sitemapMatchesRegion(url, region, listRegions()),
+      maxSitemaps: getDiscoveryOptions().maxSitemaps,
+    });
+
+    console.log(`   ✅ ${urls.length} product URLs in ${sitemapsRead} sitemaps${truncated ? ' (sitemap limit reached)' : ''}`);
+    return {
+      urls: urls.map(url => ZaraScraper.canonicalProductUrl(url)),
+      complete: !truncated && sitemapsFailed === 0,
+    };
+  }
+
+  /**
+   * Product URLs for a category from the sitemaps (every gender's products)
+   * @returns {Promise<{ urls: string[], complete: boolean }>} complete when discovery read every
+   *   sitemap and the category's URLs were not cut at `limit`
+   */
+  async getSitemapProductUrls(category, limit) {
+    try {
+      const { byCategory, complete } = await getSitemapProductUrlsByCategory(
+        `${this.site}:${this.region.key}:${this.mode}`,
+        () => this.discoverSitemapProductUrls()
+      );
+      const urls = byCategory[category] || [];
+
+      console.log(`   ✅ Found ${urls.length} sitemap product URLs for ${category}${complete ? '' : ' (sitemaps not fully read)'}`);
+      return { urls: urls.slice(0, limit), complete: complete && urls.length > 0 && urls.length < limit };
+    } catch (error) {
+      console.error(`   ❌ Error reading sitemaps: ${error.message}`);
+      return { urls: [], complete: false };
     }
   }
 
@@ -300,46 +543,29 @@ class ZaraScraper {
    * Extract product information from a product page (can use existing browser/page)
    */
   async extractProductInfo(url, page = null) {
-    let shouldCloseBrowser = false;
-    let browser = null;
+    // Without a page, borrow one from the browser pool
+    if (!page) {
+      return this.pool.withPage(url, pooledPage => this.extractProductInfo(url, pooledPage));
+    }
 
     try {
       console.log(`   🔍 Scraping product: ${url}`);
 
-      // Use provided page or create new browser
-      if (!page) {
-        browser = await puppeteer.launch({
-          headless: true,
-          args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setViewport({ width: 1920, height: 1080 });
-        shouldCloseBrowser = true;
-      }
-        
-      // Try multiple navigation strategies for product page
       try {
-        await page.goto(url, { 
-          waitUntil: 'load', 
-          timeout: 90000 
-        });
+        await this.loadPage(page, url, 'product', () => this.delay(5000));
       } catch (error) {
-        try {
-          await page.goto(url, { 
-            waitUntil: 'domcontentloaded', 
-            timeout: 90000 
-          });
-        } catch (error2) {
-          await page.goto(url, { 
-            waitUntil: 'commit', 
-            timeout: 90000 
-          });
-        }
+        if (error.code !== CRAWL_DISALLOWED) error.code = ZaraScraper.PAGE_LOAD_FAILED;
+        throw error;
       }
-      await new Promise(resolve => setTimeout(resolve, 5000));
 
-      const productData = await page.evaluate(() => {
+      // First pass: embedded structured data (JSON-LD, app-state JSON, og: tags)
+      const { productId, variantId: requestedVariantId } = ZaraScraper.parseProductUrl(url);
+      const structured = extractStructuredData(await page.content(), { variantId: requestedVariantId });
+      // Product pages can be from another storefront than the adapter's (e.g. curated URLs)
+      const region = regionForUrl(url) || this.region;
+
+      // Fallback: DOM selectors and text heuristics for anything structured data did not provide
+      const domData = await page.evaluate((currency, currencySymbol) => {
           // Extract product name
           const getName = () => {
             const selectors = [
@@ -372,10 +598,11 @@ class ZaraScraper {
             
             // Also search in all text
             const bodyText = document.body.textContent || '';
+            const symbol = currencySymbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
             const pricePatterns = [
-              /\$(\d+(?:\.\d{2})?)/,
-              /CAD\s*\$?(\d+(?:\.\d{2})?)/,
-              /(\d+(?:\.\d{2})?)\s*CAD/,
+              new RegExp(`${symbol}(\\d+(?:\\.\\d{2})?)`),
+              new RegExp(`${currency}\\s*${symbol}?(\\d+(?:\\.\\d{2})?)`),
+              new RegExp(`(\\d+(?:\\.\\d{2})?)\\s*${currency}`),
             ];
 
             for (const selector of selectors) {
@@ -493,82 +720,204 @@ class ZaraScraper {
             return images;
           };
 
-          // Extract sizes
-          const getSizes = () => {
+          // Extract sizes with their stock state from the size selector
+          const getSizeAvailability = () => {
             const sizes = [];
             const selectors = [
-              'button.product-detail-size-selector__size-list-item',
-              '.product-detail-size-selector__size-list-item',
-              '[data-qa-action="product-detail-size"]',
-              '.product-detail-info__size-selector button',
-              '.product-detail-card-info__size-selector button',
-              'button[class*="size"]'
+              '.size-selector-sizes__size',
+              '.size-selector-list__item',
+              'li.product-detail-size-selector__size-list-item',
+              '[data-qa-action^="size-"]',
+              '.product-detail-info__size-selector li'
+            ];
+            const labelSelectors = [
+              '.size-selector-sizes-size__label',
+              '[data-qa-qualifier="size-selector-sizes-size-label"]',
+              '.product-size-info__main-label',
+              '.product-detail-size-info__main-label'
             ];
 
+            const getState = (el) => {
+              const markers = [
+                el.className,
+                el.getAttribute('data-qa-action') || '',
+                ...Array.from(el.querySelectorAll('[class], [data-qa-action]')).map(child =>
+                  `${child.className} ${child.getAttribute('data-qa-action') || ''}`
+                )
+              ].join(' ').toLowerCase();
+              const text = (el.textContent || '').toLowerCase();
+              const button = el.matches('button') ? el : el.querySelector('button');
+
+              if (text.includes('coming soon') || markers.includes('coming-soon') || markers.includes('back-soon')) return 'coming_soon';
+              if (markers.includes('out-of-stock') || markers.includes('disabled') || markers.includes('unavailable') ||
+                  el.getAttribute('aria-disabled') === 'true' || button?.disabled || button?.getAttribute('aria-disabled') === 'true') {
+                return 'out_of_stock';
+              }
+              if (text.includes('few items left') || text.includes('low stock') || markers.includes('low-on-stock')) return 'low_stock';
+              if (markers.includes('in-stock') || button) return 'in_stock';
+              return 'unknown';
+            };
+
             for (const selector of selectors) {
-              const elements = document.querySelectorAll(selector);
-              for (const el of elements) {
-                const text = el.textContent?.trim() || '';
-                if (text && text.length <= 5 && /^(XS|S|M|L|XL|XXL|\d+)$/i.test(text)) {
-                  if (!sizes.includes(text)) {
-                    sizes.push(text);
-                  }
-                }
+              for (const el of document.querySelectorAll(selector)) {
+                const labelEl = labelSelectors.map(s => el.querySelector(s)).find(Boolean);
+                const label = (labelEl?.textContent || el.textContent || '').trim().split('\n')[0].trim();
+                if (!label || label.length > 8 || sizes.some(s => s.size === label)) continue;
+                sizes.push({ size: label, state: getState(el) });
               }
               if (sizes.length > 0) break;
             }
             return sizes;
           };
+          const sizeStates = getSizeAvailability();
+
+          // Extract selected color name (e.g. "Black | 0858/613")
+          const getColor = () => {
+            const selectors = [
+              '.product-color-extended-name',
+              '[data-qa-qualifier="product-detail-color"]',
+              '.product-detail-color-selector__selected-color-name',
+              '.product-detail-info__color'
+            ];
+
+            for (const selector of selectors) {
+              const text = document.querySelector(selector)?.textContent?.trim();
+              if (text) {
+                return text.split('|')[0].trim();
+              }
+            }
+            return null;
+          };
+
+          // Extract the product description (the first text block that is not the composition)
+          const getDescription = () => {
+            const selectors = [
+              '.product-detail-description .expandable-text__inner-content',
+              '.expandable-text__inner-content',
+              '[data-qa-qualifier="product-detail-info-description"]',
+              '.product-detail-info__description p',
+              '.product-detail-card-info__description p'
+            ];
+            for (const selector of selectors) {
+              for (const el of document.querySelectorAll(selector)) {
+                const text = el.textContent?.trim() || '';
+                if (text.length > 0 && !text.match(/\d+%\s*\w+/)) return text;
+              }
+            }
+            return '';
+          };
+
+          // Extract care instructions (one entry per instruction)
+          const getCare = () => {
+            const selectors = [
+              '.product-detail-care li',
+              '[class*="care-instructions"] li',
+              '[data-qa-qualifier="product-detail-care"] li',
+              '[class*="care"] li'
+            ];
+            for (const selector of selectors) {
+              const items = Array.from(document.querySelectorAll(selector))
+                .map(el => el.textContent?.trim() || '')
+                .filter(text => text.length > 0 && text.length < 120);
+              if (items.length > 0) return items;
+            }
+            const allText = document.body.textContent || '';
+            return allText.match(/(?:machine|hand) wash[^.\n]{0,80}/gi) || [];
+          };
+
+          // Extract the country of manufacture
+          const getOrigin = () => {
+            const allText = document.body.textContent || '';
+            const match = allText.match(/Made in [A-Z][a-zA-Z]+(?: [A-Z][a-zA-Z]+)?/);
+            return match ? match[0] : '';
+          };
+
+          // Extract certification labels (organic cotton programs, OEKO-TEX...)
+          const getCertifications = () => {
+            const labels = [];
+            for (const el of document.querySelectorAll('[class*="certif"], [class*="sustainab"], [class*="join-life"]')) {
+              const text = el.textContent?.trim() || '';
+              if (text.length > 0 && text.length < 120) labels.push(text);
+              el.querySelectorAll('img[alt]').forEach(img => labels.push(img.getAttribute('alt')));
+            }
+            return labels.filter(Boolean);
+          };
 
           return {
             name: getName(),
             price: getPrice(),
             materials: getMaterials(),
             images: getImages(),
-            sizes: getSizes()
+            sizes: sizeStates.map(s => s.size),
+            sizeStates: sizeStates,
+            color: getColor(),
+            description: getDescription(),
+            care: getCare(),
+            origin: getOrigin(),
+            certifications: getCertifications()
           };
-      });
+      }, region.currency, region.currencySymbol);
 
-      // Determine category and gender from URL
+      const { sizeStates, ...domFields } = domData;
+      domFields.sizeAvailability = sizeStates.map(s => sizeAvailabilityEntry(s.size, s.state));
+      const { data: productData, sources: extractionSources } = mergeExtractedFields(structured, domFields);
+
+      // Category from URL and name; gender from the page's store section, then the URL
       const category = this.determineCategory(url, productData.name, productData.materials);
-      const gender = this.determineGender(url);
+      const gender = productData.gender || this.determineGender(url);
 
       // Parse composition
       const compositionText = productData.materials || '';
-      const cottonPercentage = getCottonPercentage(compositionText);
-      const { composition: compositionParsed, isCotton90 } = parseComposition(compositionText);
 
       if (!productData.name || productData.name === 'Unknown Product') {
         console.log(`   ⚠️  Skipping ${url} - couldn't extract product name`);
         return null;
       }
 
+      // Color variants: the page's app state lists every color of the product
+      const variantId = productData.variantId || requestedVariantId;
+      const variants = (productData.variants || []).map(variant => ({
+        variantId: variant.variantId,
+        color: variant.color,
+        price: variant.price,
+        images: variant.images,
+        image: variant.images[0] || '',
+        ...buildSizeFields(variant.sizes, variant.sizeAvailability),
+        url: ZaraScraper.variantUrl(url, variant.variantId),
+      }));
+
       return {
-        id: url.match(/p(\d+)/)?.[1] || Math.random().toString(36).substr(2, 9),
+        id: productId ? [productId, variantId].filter(Boolean).join('-') : Math.random().toString(36).substr(2, 9),
+        productId: productId,
+        variantId: variantId || null,
+        color: productData.color || undefined,
+        variants: variants,
         name: productData.name,
-        site: 'zara',
-        brand: 'Zara',
+        site: this.site,
+        region: region.key,
+        brand: this.brand,
         price: productData.price,
-        currency: 'CAD',
-        cottonPercentage: cottonPercentage,
+        currency: productData.currency || region.currency,
         materials: compositionText || 'Material information not available',
-        composition_parsed: compositionParsed,
-        is_cotton_90: isCotton90,
+        ...compositionFields(compositionText),
+        ...productDetailFields(productData, compositionText),
         images: productData.images || [],
         image: productData.images[0] || '',
-        sizes_available: productData.sizes || [],
+        ...buildSizeFields(productData.sizes, productData.sizeAvailability),
+        size_system: region.sizeSystem,
         category: category,
         gender: gender,
-        url: url,
+        url: ZaraScraper.variantUrl(url, variantId),
+        extraction_sources: extractionSources,
       };
 
     } catch (error) {
-      console.error(`   ❌ Error extracting product info from ${url}: ${error.message}`);
-      return null;
-    } finally {
-      if (shouldCloseBrowser && browser) {
-        await browser.close();
+      // Failures are thrown so callers report them and retry the URL; null only means the
+      // page loaded without a product (crawl-policy skips are reported with their own reason)
+      if (error.code !== CRAWL_DISALLOWED) {
+        console.error(`   ❌ Error extracting product info from ${url}: ${error.message}`);
       }
+      throw error;
     }
   }
 
@@ -608,97 +957,32 @@ class ZaraScraper {
     const urlLower = (url || '').toLowerCase();
     if (urlLower.includes('/man') || urlLower.includes('/men')) return 'male';
     if (urlLower.includes('/woman') || urlLower.includes('/women')) return 'female';
-    return 'unknown';
+    return ZaraScraper.UNKNOWN_GENDER;
   }
 
   /**
    * Search products using Zara search URL format
-   * Example: https://www.zara.com/ca/en/search?searchTerm=cotton&section=WOMAN
+   * Example: https://www.zara.com/ca/en/search?searchTerm=cotton&section=WOMAN (in the adapter's region)
    */
   async searchZaraProducts(searchTerm, section = 'WOMAN', limit = 20, page = null) {
-    const searchUrl = `${this.baseUrl}/ca/en/search?searchTerm=${encodeURIComponent(searchTerm)}&section=${section}`;
-    let shouldCloseBrowser = false;
-    let browser = null;
+    const searchUrl = `${this.baseUrl}${this.region.localePath}/search?searchTerm=${encodeURIComponent(searchTerm)}&section=${section}`;
+
+    // Without a page, borrow one from the browser pool
+    if (!page) {
+      return this.pool.withPage(searchUrl, pooledPage => this.searchZaraProducts(searchTerm, section, limit, pooledPage));
+    }
 
     try {
       console.log(`🔍 Searching Zara: "${searchTerm}" for ${section}`);
       console.log(`   URL: ${searchUrl}`);
 
-      // Use provided page or create new browser
-      if (!page) {
-        browser = await puppeteer.launch({
-          headless: true,
-          args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setViewport({ width: 1920, height: 1080 });
-        shouldCloseBrowser = true;
-      }
-
-      // Try multiple navigation strategies for search page
       console.log('   🌐 Navigating to search page...');
-      try {
-        await page.goto(searchUrl, { 
-          waitUntil: 'load', 
-          timeout: 90000  // Increased to 90 seconds
-        });
-        console.log('   ✅ Search page loaded (using load event)');
-      } catch (error) {
-        console.log('   ⚠️  Load event timeout, trying domcontentloaded...');
-        try {
-          await page.goto(searchUrl, { 
-            waitUntil: 'domcontentloaded', 
-            timeout: 90000 
-          });
-          console.log('   ✅ Search page loaded (using domcontentloaded)');
-        } catch (error2) {
-          console.log('   ⚠️  domcontentloaded timeout, using basic navigation...');
-          await page.goto(searchUrl, { 
-            waitUntil: 'commit', 
-            timeout: 90000 
-          });
-          console.log('   ✅ Search page navigated (using commit)');
-        }
-      }
-      
-      // Wait for dynamic content (Zara search results load dynamically)
-      console.log('   ⏳ Waiting for search results to load (10 seconds)...');
-      await new Promise(resolve => setTimeout(resolve, 10000));
-      
-      // Try to wait for product elements
-      try {
-        await page.waitForSelector('a[href*="/p"]', { timeout: 15000 }).catch(() => {
-          console.log('   ⚠️  Product links selector not found, continuing anyway...');
-        });
-      } catch (selectorError) {
-        console.log('   ℹ️  No specific product selector found, will extract all links...');
-      }
-
-      // Scroll to load lazy content
-      console.log('   📜 Scrolling to load all products...');
-      await page.evaluate(async () => {
-        await new Promise((resolve) => {
-          let totalHeight = 0;
-          const distance = 300;
-          const maxScroll = 8000;
-          const timer = setInterval(() => {
-            const scrollHeight = document.body.scrollHeight;
-            window.scrollBy(0, distance);
-            totalHeight += distance;
-            if (totalHeight >= scrollHeight || totalHeight >= maxScroll) {
-              clearInterval(timer);
-              resolve();
-            }
-          }, 200);
-        });
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 5000));
+      await this.loadPage(page, searchUrl, 'search', () => this.settleListingPage(page, 8000));
 
       // Extract product URLs from search results
       const baseUrl = this.baseUrl;
-      const productUrls = await page.evaluate((baseUrl) => {
+      const localePath = this.region.localePath;
+      const productUrls = await page.evaluate((baseUrl, localePath) => {
         const links = new Set();
 
         // Pattern 1: Direct product links with p[number].html format
@@ -744,7 +1028,7 @@ class ZaraScraper {
         });
 
         // Pattern 3: Links with product IDs in path
-        const productIdLinks = document.querySelectorAll('a[href*="/ca/en/"][href*="/p"]');
+        const productIdLinks = document.querySelectorAll(`a[href*="${localePath}/"][href*="/p"]`);
         productIdLinks.forEach(link => {
           const href = link.getAttribute('href');
           if (href && href.match(/p\d+\.html/i)) {
@@ -758,7 +1042,7 @@ class ZaraScraper {
 
         console.log(`Total unique product URLs from search: ${links.size}`);
         return Array.from(links);
-      }, baseUrl);
+      }, baseUrl, localePath);
 
       console.log(`   ✅ Found ${productUrls.length} product URLs from search results`);
       return productUrls.slice(0, limit);
@@ -766,13 +1050,32 @@ class ZaraScraper {
     } catch (error) {
       console.error(`   ❌ Error searching Zara products: ${error.message}`);
       return [];
-    } finally {
-      if (shouldCloseBrowser && browser) {
-        await browser.close();
-      }
     }
   }
 
+  /**
+   * Extract products in parallel through the browser pool, keeping 90%+ cotton ones
+   * Stops dispatching new URLs once `limit` cotton products have been found.
+   */
+  async extractCottonProducts(urls, limit) {
+    let found = 0;
+    const results = await this.pool.map(urls, async (url) => {
+      // One failed page does not end the search (extractProductInfo has logged it)
+      const product = await this.extractProductInfo(url).catch(() => null);
+      if (product && (product.is_cotton_90 || product.cottonPercentage >= 90)) {
+        found++;
+        console.log(`      ✅ ${product.name} (${product.cottonPercentage}% cotton) - $${product.price}`);
+        return product;
+      }
+      if (product) {
+        console.log(`      ⚠️  ${product.name} (${product.cottonPercentage}% cotton - below 90%)`);
+      }
+      return null;
+    }, { shouldStop: () => found >= limit });
+
+    return results.filter(Boolean).slice(0, limit);
+  }
+
   /**
    * Search products by query - intelligently maps to categories or uses search URL
    */
@@ -784,18 +1087,7 @@ class ZaraScraper {
     if (queryLower.includes('cotton') || queryLower === 'cotton') {
       console.log(`🌿 Detected cotton search, using Zara search URL...`);
       
-      let browser = null;
-      let page = null;
-
       try {
-        browser = await puppeteer.launch({
-          headless: true,
-          args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setViewport({ width: 1920, height: 1080 });
-
         // Search both WOMAN and MAN sections
         const sections = ['WOMAN', 'MAN'];
         
@@ -803,23 +1095,11 @@ class ZaraScraper {
           if (products.length >= limit) break;
           
           console.log(`\n📋 Searching ${section} section for cotton products...`);
-          const urls = await this.searchZaraProducts('cotton', section, limit * 2, page);
+          const urls = await this.searchZaraProducts('cotton', section, limit * 2);
           
           console.log(`   📋 Found ${urls.length} URLs, extracting details...`);
-          for (const url of urls.slice(0, Math.ceil(limit / sections.length))) {
-            if (products.length >= limit) break;
-            
-            const product = await this.extractProductInfo(url, page);
-            if (product && (product.is_cotton_90 || product.cottonPercentage >= 90)) {
-              products.push(product);
-              console.log(`      ✅ ${product.name} (${product.cottonPercentage}% cotton) - $${product.price}`);
-            } else if (product) {
-              console.log(`      ⚠️  ${product.name} (${product.cottonPercentage}% cotton - below 90%)`);
-            }
-            
-            // Delay between requests (2-4 seconds)
-            await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 2000));
-          }
+          const found = await this.extractCottonProducts(urls.slice(0, Math.ceil(limit / sections.length)), limit - products.length);
+          products.push(...found);
         }
 
         console.log(`\n✅ Total cotton products found: ${products.length}`);
@@ -828,10 +1108,6 @@ class ZaraScraper {
       } catch (error) {
         console.error(`❌ Error in cotton search: ${error.message}`);
         return products;
-      } finally {
-        if (browser) {
-          await browser.close();
-        }
       }
     }
 
@@ -883,71 +1159,41 @@ class ZaraScraper {
       matchedGenders = ['female', 'male'];
     }
 
-    // Reuse browser instance for efficiency
-    let browser = null;
-    let page = null;
-
     try {
-      // Create browser once and reuse
-      browser = await puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-      page = await browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      await page.setViewport({ width: 1920, height: 1080 });
-
       // Scrape products
       if (matchedCategory) {
         console.log(`✅ Matched "${query}" to category: ${matchedCategory} (${matchedGenders.join(', ')})`);
         
-        for (const gender of matchedGenders) {
-          if (this.categoryMappings[matchedCategory]?.[gender]) {
-            console.log(`   🔍 Searching ${gender} ${matchedCategory}...`);
-            const urls = await this.getProductUrls(matchedCategory, gender, limit * 2, page);
-            
-            console.log(`   📋 Found ${urls.length} URLs, extracting details...`);
-            for (const url of urls.slice(0, Math.ceil(limit / matchedGenders.length))) {
-              if (products.length >= limit) break;
-              
-              const product = await this.extractProductInfo(url, page);
-              if (product && (product.is_cotton_90 || product.cottonPercentage >= 90)) {
-                products.push(product);
-                console.log(`      ✅ ${product.name} (${product.cottonPercentage}% cotton) - $${product.price}`);
-              } else if (product) {
-                console.log(`      ⚠️  ${product.name} (${product.cottonPercentage}% cotton - below 90%)`);
-              }
-              
-              // Delay between requests (2-4 seconds)
-              await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 2000));
-            }
-          }
+        // Only genders the category is scraped under (a single UNKNOWN_GENDER with sitemap discovery)
+        const categoryGenders = this.getCategories()[matchedCategory] || [];
+        const searchGenders = categoryGenders.includes(ZaraScraper.UNKNOWN_GENDER)
+          ? [ZaraScraper.UNKNOWN_GENDER]
+          : matchedGenders.filter(gender => categoryGenders.includes(gender));
+        for (const gender of searchGenders) {
+          console.log(`   🔍 Searching ${gender} ${matchedCategory}...`);
+          const urls = await this.getProductUrls(matchedCategory, gender, limit * 2);
+          
+          console.log(`   📋 Found ${urls.length} URLs, extracting details...`);
+          const found = await this.extractCottonProducts(urls.slice(0, Math.ceil(limit / searchGenders.length)), limit - products.length);
+          products.push(...found);
         }
       } else {
         // Search top 3 categories if no specific match
         console.log(`   ℹ️  No specific category match, searching top categories...`);
-        const allCategories = Object.keys(this.categoryMappings).slice(0, 3);
+        const categories = this.getCategories();
+        const allCategories = Object.keys(categories).slice(0, 3);
         const perCategory = Math.ceil(limit / 3);
         
         for (const category of allCategories) {
           if (products.length >= limit) break;
           
-          const genders = Object.keys(this.categoryMappings[category]);
+          const genders = categories[category];
           for (const gender of genders) {
             if (products.length >= limit) break;
             
-            const urls = await this.getProductUrls(category, gender, perCategory, page);
-            for (const url of urls.slice(0, Math.ceil(perCategory / genders.length))) {
-              if (products.length >= limit) break;
-              
-              const product = await this.extractProductInfo(url, page);
-              if (product && (product.is_cotton_90 || product.cottonPercentage >= 90)) {
-                products.push(product);
-                console.log(`      ✅ ${product.name} (${product.cottonPercentage}% cotton)`);
-              }
-              
-              await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 2000));
-            }
+            const urls = await this.getProductUrls(category, gender, perCategory);
+            const found = await this.extractCottonProducts(urls.slice(0, Math.ceil(perCategory / genders.length)), limit - products.length);
+            products.push(...found);
           }
         }
       }
@@ -958,10 +1204,6 @@ class ZaraScraper {
     } catch (error) {
       console.error(`❌ Error in searchProducts: ${error.message}`);
       return products;
-    } finally {
-      if (browser) {
-        await browser.close();
-      }
     }
   }
 }
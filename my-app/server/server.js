@@ -1,23 +1,71 @@
+const { configureConfigOrExit } = require('./config');
+
+// Load and validate settings.yaml, scraping-config.json and the environment before any module reads them
+const config = configureConfigOrExit();
+
 const express = require('express');
 const cors = require('cors');
-const dotenv = require('dotenv');
-const { searchZara, searchZaraAndSave, searchAritziaAndSave } = require('./scraper');
+const { searchZara, searchZaraAndSave, searchAritziaAndSave, searchAndSave } = require('./scraper');
+const { DEFAULT_SITE, isSupportedSite, listSites } = require('./scraper/adapterRegistry');
+const { configureSharedPool, closeSharedPool, poolOptionsFromConfig } = require('./scraper/browserPool');
+const { configureSharedCrawlPolicy, crawlPolicyOptionsFromConfig } = require('./scraper/crawlPolicy');
+const { configureHealthThresholds, healthThresholdsFromConfig } = require('./scraper/scrapeHealth');
+const { configureImagePipeline, imagePipelineOptionsFromConfig, imageVersion } = require('./services/imagePipeline');
+const { DISCOVERY_MODES, configureDiscovery, discoveryOptionsFromConfig } = require('./scraper/sitemaps');
+const { DEFAULT_REGION, configureRegions, regionsFromConfig, isSupportedRegion, listRegions } = require('./scraper/regions');
 const { connect, disconnect, getAritziaCollection } = require('./db/mongoClient');
-const { findCottonProducts, searchProducts, getAllProducts, bulkUpsertProducts } = require('./db/repositories');
+const {
+  findCottonProducts, searchProducts, getAllProducts, groupProductVariants, regionFilter,
+  COTTON_SCOPES, cottonPercentageField, INVALID_PRODUCT_FILTER, fiberClassQuery,
+} = require('./db/repositories');
 const { queryGemini, geminiEnhancedSearch } = require('./services/geminiService');
+const { enqueueScrapeJob, recoverScrapeJobs } = require('./services/scrapeJobService');
 const productsRouter = require('./routes/products');
-
-dotenv.config();
+const scrapeJobsRouter = require('./routes/scrapeJobs');
+const scrapeStreamRouter = require('./routes/scrapeStream');
+const scrapeRunsRouter = require('./routes/scrapeRuns');
+const scraperHealthRouter = require('./routes/scraperHealth');
+const imagesRouter = require('./routes/images');
+const curatedUrlsRouter = require('./routes/curatedUrls');
+const { seedCuratedUrls } = require('./db/curatedUrls');
+const curatedUrlsSeed = require('../config/curated-urls.json');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+const scrapingConfig = config.scraping;
 
 app.use(cors());
 app.use(express.json());
 
+// Scrapes started by the API share one browser pool and crawl policy
+configureSharedPool(poolOptionsFromConfig(scrapingConfig.pool));
+configureSharedCrawlPolicy(crawlPolicyOptionsFromConfig(scrapingConfig.crawl_policy));
+configureHealthThresholds(healthThresholdsFromConfig(scrapingConfig.scraper_health));
+configureImagePipeline(imagePipelineOptionsFromConfig(scrapingConfig.images));
+configureRegions(regionsFromConfig(scrapingConfig.regions));
+configureDiscovery(discoveryOptionsFromConfig(scrapingConfig.discovery));
+
 // Mount products router
 app.use('/api/products', productsRouter);
 
+// Mount scrape jobs router
+app.use('/api/scrape-jobs', scrapeJobsRouter);
+
+// Mount live scrape progress stream (SSE)
+app.use('/api/scrape/stream', scrapeStreamRouter);
+
+// Mount scrape runs router (diff reports)
+app.use('/api/scrape-runs', scrapeRunsRouter);
+
+// Mount scraper health router (extraction statistics per run)
+app.use('/api/scraper/health', scraperHealthRouter);
+
+// Mount images router (local image store)
+app.use('/api/images', imagesRouter);
+
+// Mount curated URLs router (admin CRUD for the curated list)
+app.use('/api/curated/urls', curatedUrlsRouter);
+
 // Connect to MongoDB on startup
 async function startServer() {
   try {
@@ -25,6 +73,21 @@ async function startServer() {
   } catch (error) {
     console.error('Failed to connect to MongoDB:', error);
     console.log('Server will continue without MongoDB connection');
+    return;
+  }
+
+  // First start after the curated list moved to MongoDB: insert the seed list
+  try {
+    await seedCuratedUrls(curatedUrlsSeed.entries);
+  } catch (error) {
+    console.error('Failed to seed curated URLs:', error);
+  }
+
+  // Pick up scrape jobs left unfinished by a previous run
+  try {
+    await recoverScrapeJobs();
+  } catch (error) {
+    console.error('Failed to recover scrape jobs:', error);
   }
 }
 
@@ -33,6 +96,7 @@ startServer();
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\nShutting down gracefully...');
+  await closeSharedPool();
   await disconnect();
   process.exit(0);
 });
@@ -46,6 +110,12 @@ app.get('/', (req, res) => {
       gemini: '/api/gemini',
       products: '/api/products',
       scrape: '/api/scrape',
+      scrapeJobs: '/api/scrape-jobs',
+      scrapeStream: '/api/scrape/stream',
+      scrapeRuns: '/api/scrape-runs',
+      scraperHealth: '/api/scraper/health',
+      images: '/api/images',
+      curatedUrls: '/api/curated/urls',
     }
   });
 });
@@ -173,23 +243,27 @@ app.get('/api/products', async (req, res) => {
 // Scrape endpoint (force scrape and save to MongoDB)
 app.post('/api/scrape', async (req, res) => {
   try {
-    const { query, category, gender, limit = 10 } = req.body;
+    const { query, category, gender, limit = 10, site = DEFAULT_SITE } = req.body;
     
     if (!query && !category) {
       return res.status(400).json({ error: 'Query or category is required' });
     }
 
-    console.log(`Scraping Zara: ${query || `${category} (${gender})`}`);
+    if (!isSupportedSite(site)) {
+      return res.status(400).json({ error: `Unknown site "${site}"`, sites: listSites() });
+    }
+
+    console.log(`Scraping ${site}: ${query || `${category} (${gender})`}`);
     
     let products = [];
     
     // If category and gender specified, scrape specific category
     if (category && gender) {
-      const { scrapeZaraCategory } = require('./scraper');
-      products = await scrapeZaraCategory(category, gender, limit);
+      const { scrapeCategory } = require('./scraper');
+      products = await scrapeCategory(category, gender, limit, { site });
     } else if (query) {
       // Otherwise use general search
-      products = await searchZaraAndSave(query, limit);
+      products = await searchAndSave(query, limit, site);
     }
     
     res.json({
@@ -209,93 +283,58 @@ app.post('/api/scrape', async (req, res) => {
 });
 
 // Scrape all categories endpoint (matching Python example)
+// Queues a background job and returns its id right away; follow it at /api/scrape-jobs/:id
 app.post('/api/scrape-all', async (req, res) => {
   try {
-    // Get target counts from request body, or use config file, or use defaults
-    let targetCounts = req.body.targetCounts || req.body;
+    const { site = DEFAULT_SITE, region = DEFAULT_REGION, discovery, ...countsFromBody } = req.body;
+    if (!isSupportedSite(site)) {
+      return res.status(400).json({ error: `Unknown site "${site}"`, sites: listSites() });
+    }
+    if (!isSupportedRegion(region)) {
+      return res.status(400).json({ error: `Unknown region "${region}"`, regions: listRegions().map(r => r.key) });
+    }
+    if (discovery && !DISCOVERY_MODES.includes(discovery)) {
+      return res.status(400).json({ error: `Unknown discovery mode "${discovery}"`, discoveryModes: DISCOVERY_MODES });
+    }
     
-    // Try to load from config file if no counts provided
+    // Get target counts from request body, or use the configured ones
+    let targetCounts = req.body.targetCounts || countsFromBody;
     if (!targetCounts || Object.keys(targetCounts).length === 0) {
-      try {
-        const fs = require('fs');
-        const path = require('path');
-        const configPath = path.join(__dirname, '../config/scraping-config.json');
-        if (fs.existsSync(configPath)) {
-          const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-          targetCounts = config.target_counts;
-          console.log('📋 Loaded target counts from config file');
-        }
-      } catch (configError) {
-        console.log('⚠️  Could not load config file, using defaults');
-      }
+      targetCounts = scrapingConfig.target_counts;
     }
     
-    console.log('🎯 Starting comprehensive Zara scraping with target counts:', targetCounts);
-    
-    const { scrapeAllZaraProducts } = require('./scraper');
-    const products = await scrapeAllZaraProducts(targetCounts);
+    console.log(`🎯 Queuing comprehensive ${site} (${region}) scraping with target counts:`, targetCounts);
     
-    // Save all to MongoDB
-    if (products.length > 0) {
-      const { bulkUpsertProducts } = require('./db/repositories');
-      await bulkUpsertProducts(products);
-      console.log(`💾 Saved ${products.length} products to MongoDB`);
-    }
+    const job = await enqueueScrapeJob('scrape-all', { site, region, discovery, targetCounts: targetCounts || {} });
+    const jobId = job._id.toString();
     
-    res.json({
+    res.status(202).json({
       success: true,
-      count: products.length,
-      results: products,
+      jobId,
+      status: job.status,
+      statusUrl: `/api/scrape-jobs/${jobId}`,
       targetCounts: targetCounts,
-      message: `Scraped ${products.length} products from all Zara categories and saved to MongoDB`,
+      site,
+      message: `Queued scrape of all ${site} categories; products are saved to MongoDB as they are scraped`,
     });
   } catch (error) {
     console.error('Scrape all error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to scrape all categories',
+      error: 'Failed to queue scrape of all categories',
       message: error.message 
     });
   }
 });
 
 // Get scraping configuration endpoint
+// The scraping sections as loaded and validated at startup (target counts include the defaults)
 app.get('/api/scrape-config', (req, res) => {
-  try {
-    const fs = require('fs');
-    const path = require('path');
-    const configPath = path.join(__dirname, '../config/scraping-config.json');
-    
-    if (fs.existsSync(configPath)) {
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      res.json({
-        success: true,
-        config: config
-      });
-    } else {
-      res.json({
-        success: true,
-        config: {
-          target_counts: {
-            'male_shirts': 5,
-            'female_shirts': 5,
-            'male_pants': 5,
-            'female_pants': 5,
-            'male_tshirts': 5,
-            'female_tshirts': 5,
-            'dresses': 10
-          }
-        },
-        message: 'Using default config (config file not found)'
-      });
-    }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to load config',
-      message: error.message
-    });
-  }
+  res.json({
+    success: true,
+    config: scrapingConfig,
+    source: config.files.scraping
+  });
 });
 
 // Helper function to get category variations (for querying)
@@ -342,24 +381,54 @@ function normalizeCategory(categoryName) {
 }
 
 // Get curated products endpoint (from specific URLs, filtered for 90%+ cotton)
+// region: storefront region (default: ca, 'all' for every region)
+// cottonScope: main (default) to check the main fabric's cotton only, all for every part (lining, pocketing, trim...)
+// minNaturalPct / maxSyntheticPct: bounds on the main fabric's natural / synthetic fiber share (0-100)
+// maxSynthetic: maximum synthetic-fiber score (highest synthetic share of any part); plasticFree=true for none
 app.get('/api/curated', async (req, res) => {
   try {
-    const { category, cottonOnly = 'false', search } = req.query;
+    const { category, cottonOnly = 'false', search, region = DEFAULT_REGION, cottonScope = 'main' } = req.query;
+    if (region !== 'all' && !isSupportedRegion(region)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown region "${region}"`,
+        regions: listRegions().map(r => r.key),
+      });
+    }
+    if (!COTTON_SCOPES.includes(cottonScope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown cottonScope "${cottonScope}" (expected one of: ${COTTON_SCOPES.join(', ')})`,
+      });
+    }
+    let fiberQuery;
+    try {
+      fiberQuery = fiberClassQuery(req.query);
+    } catch (error) {
+      if (error.code !== INVALID_PRODUCT_FILTER) throw error;
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    const cottonField = cottonPercentageField(cottonScope);
     const collection = getAritziaCollection();
     
     // Build query - look for curated products (or all products if none marked as curated)
-    const query = {};
+    const query = { ...fiberQuery };
+    
+    // Prices and sizes differ between storefronts, so results stay in one region unless asked
+    if (region !== 'all') {
+      query.region = regionFilter(region);
+    }
     
     // Filter for cotton percentage (default: 90%+, allow 100% only option)
     // Note: cottonPercentage = 0 means couldn't extract, but might still be cotton
     if (cottonOnly === 'true') {
       // If explicitly requesting 100% only
-      query.cottonPercentage = { $gte: 100, $lt: 101 };
+      query[cottonField] = { $gte: 100, $lt: 101 };
     } else {
       // Default: 90%+ cotton OR 0% (couldn't extract - include curated items)
       // Use $or only if we need multiple conditions, otherwise simplify
       query.$or = [
-        { cottonPercentage: { $gte: 90 } },
+        { [cottonField]: { $gte: 90 } },
         // Include products with 0% cotton if they're in curated categories (might have extraction issues)
         {
           $and: [
@@ -453,10 +522,13 @@ app.get('/api/curated', async (req, res) => {
       }
     }
     
+    // One result per product, colors as selectable variants
+    const groupedProducts = groupProductVariants(finalProducts, p => ({ ...p, imageVersion: imageVersion(p) }));
+    
     res.json({
       success: true,
-      count: finalProducts.length,
-      results: finalProducts,
+      count: groupedProducts.length,
+      results: groupedProducts,
     });
   } catch (error) {
     console.error('Curated products error:', error);
@@ -469,33 +541,33 @@ app.get('/api/curated', async (req, res) => {
 });
 
 // Scrape curated URLs endpoint
+// Queues a background job and returns its id right away; follow it at /api/scrape-jobs/:id
 app.post('/api/curated/scrape', async (req, res) => {
   try {
-    console.log('Scraping curated URLs...');
-    const { scrapeCuratedUrls } = require('./scrape-curated-urls');
-    const products = await scrapeCuratedUrls();
-    
-    // Save to MongoDB
-    if (products.length > 0) {
-      await bulkUpsertProducts(products);
-      console.log(`💾 Saved ${products.length} products to MongoDB`);
+    const { site, region = DEFAULT_REGION } = req.body || {};
+    if (site && !isSupportedSite(site)) {
+      return res.status(400).json({ error: `Unknown site "${site}"`, sites: listSites() });
+    }
+    if (!isSupportedRegion(region)) {
+      return res.status(400).json({ error: `Unknown region "${region}"`, regions: listRegions().map(r => r.key) });
     }
     
-    // Filter for 100% cotton
-    const cotton100Products = products.filter(p => p.cottonPercentage === 100);
+    console.log(`Queuing curated URL scrape (${region})...`);
+    const job = await enqueueScrapeJob('curated', site ? { site, region } : { region });
+    const jobId = job._id.toString();
     
-    res.json({
+    res.status(202).json({
       success: true,
-      count: products.length,
-      cotton100Count: cotton100Products.length,
-      results: products,
-      message: `Scraped ${products.length} products (${cotton100Products.length} are 100% cotton)`,
+      jobId,
+      status: job.status,
+      statusUrl: `/api/scrape-jobs/${jobId}`,
+      message: 'Queued curated URL scrape; products are saved to MongoDB as they are scraped',
     });
   } catch (error) {
     console.error('Scrape curated URLs error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to scrape curated URLs',
+      error: 'Failed to queue curated URL scrape',
       message: error.message 
     });
   }
@@ -503,6 +575,6 @@ app.post('/api/curated/scrape', async (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`MongoDB URI: ${process.env.MONGO_URI || 'mongodb://localhost:27017'}`);
-  console.log(`Gemini API: ${process.env.GEMINI_API_KEY ? '✅ Configured' : '⚠️  Not configured'}`);
+  console.log(`MongoDB URI: ${config.mongo.uri}`);
+  console.log(`Gemini API: ${config.gemini.apiKey ? '✅ Configured' : '⚠️  Not configured'}`);
 });
\ No newline at end of file
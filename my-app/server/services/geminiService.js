@@ -1,8 +1,8 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-require('dotenv').config();
 const { getAllProducts, findCottonProducts } = require('../db/repositories');
+const { getConfig } = require('../config');
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_API_KEY = getConfig().gemini.apiKey;
 
 if (!GEMINI_API_KEY) {
   console.warn('⚠️  GEMINI_API_KEY not set. Gemini features will be disabled.');
@@ -0,0 +1,233 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { findProductsForImageIngestion, setProductLocalImages } = require('../db/repositories');
+const { getSharedCrawlPolicy } = require('../scraper/crawlPolicy');
+const { getConfig } = require('../config');
+
+/**
+ * Local product image store
+ * After a scrape, each product's `images` are downloaded (through the crawl policy) and
+ * resized into every configured size as WebP files:
+ *
+ *   <storeDir>/<product _id>/<size>-<index>.webp    e.g. image-store/6962f5.../thumb-0.webp
+ *
+ * The product document records what was stored in `images_local`, so images are only
+ * downloaded again when the product's image URLs change. Files are served by routes/images.js.
+ */
+
+const DEFAULT_IMAGE_OPTIONS = {
+  storeDir: 'image-store',
+  // Output widths in pixels (images are never enlarged)
+  sizes: { thumb: 600, detail: 1400 },
+  quality: 80,
+  maxImagesPerProduct: 4,
+  // Default: user_agent in settings.yaml
+  userAgent: null,
+};
+
+let sharedOptions = DEFAULT_IMAGE_OPTIONS;
+
+/**
+ * Configure the image store used by the pipeline and the images route
+ */
+function configureImagePipeline(options = {}) {
+  sharedOptions = { ...DEFAULT_IMAGE_OPTIONS, ...options };
+  return sharedOptions;
+}
+
+function getImagePipelineOptions() {
+  return sharedOptions;
+}
+
+/**
+ * Map the `images` section of scraping-config.json to pipeline options
+ * @param {Object} imagesConfig - e.g. { store_dir: 'image-store', sizes: { thumb: 600 }, quality: 80 }
+ */
+function imagePipelineOptionsFromConfig(imagesConfig = {}) {
+  const keys = {
+    store_dir: 'storeDir',
+    sizes: 'sizes',
+    quality: 'quality',
+    max_images_per_product: 'maxImagesPerProduct',
+  };
+  const options = {};
+  for (const [configKey, optionKey] of Object.entries(keys)) {
+    if (imagesConfig[configKey] !== undefined) {
+      options[optionKey] = imagesConfig[configKey];
+    }
+  }
+  return options;
+}
+
+/**
+ * Path of a stored image
+ * @param {string} productId - Product `_id` (string form)
+ * @param {string} size - One of the configured sizes (e.g. 'thumb')
+ * @param {number} index - Position in the product's images
+ */
+function imagePath(productId, size, index = 0) {
+  return path.join(sharedOptions.storeDir, productId, `${size}-${index}.webp`);
+}
+
+/**
+ * Source image URLs a product should have stored
+ */
+function sourceImages(product) {
+  const images = Array.isArray(product.images) && product.images.length > 0
+    ? product.images
+    : [product.image];
+  return images.filter(Boolean).slice(0, sharedOptions.maxImagesPerProduct);
+}
+
+/**
+ * Whether a product's stored images are missing or were made from other image URLs
+ */
+function needsIngestion(product) {
+  const sources = sourceImages(product);
+  if (sources.length === 0) return false;
+  const stored = product.images_local;
+  return !stored || JSON.stringify(stored.sourceImages) !== JSON.stringify(sources);
+}
+
+/**
+ * Version of a product's stored images (the time they were last ingested, in ms), for cache-busting
+ * image URLs: re-ingestion rewrites the files at the same path
+ * @returns {number|null} null when the images have not been ingested
+ */
+function imageVersion(product) {
+  const ingestedAt = product.images_local && product.images_local.ingestedAt;
+  return ingestedAt ? new Date(ingestedAt).getTime() : null;
+}
+
+async function downloadImage(url) {
+  await getSharedCrawlPolicy().gate(url);
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 30000,
+    headers: { 'User-Agent': sharedOptions.userAgent || getConfig().scraper.userAgent },
+  });
+  // axios returns a Buffer for arraybuffer responses in Node
+  return response.data;
+}
+
+/**
+ * Write every size of one image (temp file + rename, so a crash never leaves a partial file)
+ */
+async function storeImage(productId, index, buffer) {
+  for (const [size, width] of Object.entries(sharedOptions.sizes)) {
+    const target = imagePath(productId, size, index);
+    await sharp(buffer)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: sharedOptions.quality })
+      .toFile(`${target}.tmp`);
+    fs.renameSync(`${target}.tmp`, target);
+  }
+}
+
+/**
+ * Remove stored files beyond the product's current image count
+ */
+function removeStaleImages(productId, count) {
+  const dir = path.join(sharedOptions.storeDir, productId);
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(/^(.+)-(\d+)\.webp$/);
+    if (!match || parseInt(match[2]) >= count || !sharedOptions.sizes[match[1]]) {
+      fs.unlinkSync(path.join(dir, file));
+    }
+  }
+}
+
+/**
+ * Download and resize one product's images
+ * Throws if any image fails; `images_local` is then left unchanged so the next run tries again.
+ * @param {Object} product - Product document (with `_id` and `images`)
+ * @returns {Promise<Object>} The `images_local` record ({ sourceImages, count, sizes, ingestedAt })
+ */
+async function ingestProductImages(product) {
+  const productId = product._id.toString();
+  const sources = sourceImages(product);
+  fs.mkdirSync(path.join(sharedOptions.storeDir, productId), { recursive: true });
+
+  let count = 0;
+  for (const url of sources) {
+    const buffer = await downloadImage(url);
+    await storeImage(productId, count, buffer);
+    count++;
+  }
+  removeStaleImages(productId, count);
+
+  return {
+    sourceImages: sources,
+    count,
+    sizes: Object.keys(sharedOptions.sizes),
+    ingestedAt: new Date(),
+  };
+}
+
+/**
+ * Ingest the images of every product that needs it
+ * @param {Object} options
+ * @param {Date|null} options.since - Only products saved since this time (e.g. the start of a scrape)
+ * @param {AbortSignal} options.signal - Optional signal; stops before the next product once aborted
+ * @returns {Promise<{ checked: number, ingested: number, failed: number }>}
+ */
+async function ingestImages({ since = null, signal = null } = {}) {
+  const products = (await findProductsForImageIngestion(since)).filter(needsIngestion);
+  const result = { checked: products.length, ingested: 0, failed: 0 };
+  if (products.length === 0) {
+    return result;
+  }
+
+  console.log(`\n🖼️  Ingesting images for ${products.length} products into ${sharedOptions.storeDir}/`);
+  for (const product of products) {
+    if (signal && signal.aborted) break;
+    try {
+      const localImages = await ingestProductImages(product);
+      await setProductLocalImages(product._id, localImages);
+      result.ingested++;
+    } catch (error) {
+      console.error(`   ❌ Could not ingest images for ${product.name || product.url}: ${error.message}`);
+      result.failed++;
+    }
+  }
+
+  console.log(`   ✅ Stored images for ${result.ingested} products (${result.failed} failed)`);
+  return result;
+}
+
+/**
+ * Store a local image file for a product (e.g. photos that were bundled with the app)
+ * @param {Object} product - Product document
+ * @param {string} filePath - Image file to import as the product's first image
+ */
+async function importProductImage(product, filePath) {
+  const productId = product._id.toString();
+  fs.mkdirSync(path.join(sharedOptions.storeDir, productId), { recursive: true });
+  await storeImage(productId, 0, fs.readFileSync(filePath));
+  removeStaleImages(productId, 1);
+
+  const localImages = {
+    sourceImages: sourceImages(product),
+    count: 1,
+    sizes: Object.keys(sharedOptions.sizes),
+    ingestedAt: new Date(),
+    importedFrom: filePath,
+  };
+  await setProductLocalImages(product._id, localImages);
+  return localImages;
+}
+
+module.exports = {
+  DEFAULT_IMAGE_OPTIONS,
+  configureImagePipeline,
+  getImagePipelineOptions,
+  imagePipelineOptionsFromConfig,
+  imagePath,
+  imageVersion,
+  ingestProductImages,
+  ingestImages,
+  importProductImage,
+};
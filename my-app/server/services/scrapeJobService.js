@@ -0,0 +1,253 @@
+const { scrapeAllProducts } = require('../scraper');
+const { scrapeCuratedUrls } = require('../scrape-curated-urls');
+const {
+  createScrapeJob, updateScrapeJob, transitionScrapeJob, findScrapeJobById, findScrapeJobsByStatus,
+} = require('../db/scrapeJobs');
+const { ScrapeCheckpoint } = require('../scraper/checkpoint');
+const {
+  startScrapeRun, saveRunProduct, recordRunProgress, finishScrapeRun, failScrapeRun,
+} = require('./scrapeRunService');
+const { ingestImages } = require('./imagePipeline');
+
+/**
+ * Background scrape jobs
+ * Scrape requests are stored in the `scrape_jobs` collection and run one at a time
+ * (they share one browser pool). Job state, progress and results live in MongoDB so
+ * they survive restarts: jobs that were queued or running when the server stopped are
+ * queued again on startup, and scrape-all jobs resume from their checkpoint.
+ *
+ * Statuses: queued -> running -> completed | failed | cancelled
+ *           (running -> cancelling -> cancelled when cancelled mid-run)
+ */
+
+const JOB_TYPES = ['scrape-all', 'curated'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Keep persisted progress documents small
+const MAX_STORED_ERRORS = 100;
+
+const queue = [];
+let current = null; // { id, controller }
+
+/**
+ * Checkpoint file for a scrape-all job (kept across restarts, removed when the job ends)
+ */
+function checkpointPathForJob(jobId) {
+  return `.scrape-checkpoint-${jobId}.json`;
+}
+
+/**
+ * Scraper callbacks that save products through the job's scrape run and record its progress
+ * on both the run and the job
+ */
+function runCallbacks(run, onProgress) {
+  return {
+    onProduct: (product) => saveRunProduct(run, product),
+    onProgress: (progress) => {
+      recordRunProgress(run, progress);
+      onProgress(progress);
+    },
+  };
+}
+
+/**
+ * Job runners by type. Each receives the job and run options and returns the job result.
+ * Every job is recorded as a scrape run (see scrapeRunService.js).
+ */
+const runners = {
+  'scrape-all': async (job, { jobId, onProgress, signal }) => {
+    const { site, region, discovery, targetCounts } = job.params;
+    const checkpointPath = checkpointPathForJob(job._id);
+    const checkpoint = ScrapeCheckpoint.load(checkpointPath) || ScrapeCheckpoint.create(checkpointPath, site, region);
+    const run = await startScrapeRun({
+      type: 'scrape-all', site, region: checkpoint.region, source: 'job', jobId, config: { targetCounts, discovery }, checkpoint,
+    });
+
+    try {
+      const products = await scrapeAllProducts(targetCounts, {
+        site, region: checkpoint.region, discovery, checkpoint, jobId, signal, ...runCallbacks(run, onProgress),
+      });
+      const { runId, productsWritten, summary, health } = await finishScrapeRun(run, checkpoint, {
+        status: signal.aborted ? 'cancelled' : 'completed',
+      });
+      return { count: products.length, productsWritten, runId, diff: summary, healthy: health.healthy };
+    } catch (error) {
+      await failScrapeRun(run, error, checkpoint);
+      throw error;
+    } finally {
+      // Only a run interrupted by a restart (which never gets here) needs its checkpoint
+      checkpoint.remove();
+    }
+  },
+
+  'curated': async (job, { jobId, onProgress, signal }) => {
+    const { site, region, entryId } = job.params;
+    const run = await startScrapeRun({
+      type: 'curated', site, region, source: 'job', jobId, config: { entryIds: entryId ? [entryId] : null },
+    });
+
+    try {
+      const products = await scrapeCuratedUrls({
+        site, region, entryIds: entryId ? [entryId] : null, jobId, signal, ...runCallbacks(run, onProgress),
+      });
+      const { runId, productsWritten } = await finishScrapeRun(run, null, {
+        status: signal.aborted ? 'cancelled' : 'completed',
+      });
+      return {
+        count: products.length,
+        cotton100Count: products.filter(p => p.cottonPercentage === 100).length,
+        productsWritten,
+        runId,
+      };
+    } catch (error) {
+      await failScrapeRun(run, error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Run one job to completion, persisting its status and progress
+ */
+async function runJob(jobId) {
+  // The job is current before it is started, so a cancel from now on aborts it rather than
+  // only removing it from the queue
+  const controller = new AbortController();
+  current = { id: jobId, controller };
+  const startedAt = new Date();
+  // Only a job still queued is started: one cancelled in the meantime stays cancelled
+  const job = await transitionScrapeJob(jobId, ['queued'], { status: 'running', startedAt });
+  if (!job) {
+    return;
+  }
+  console.log(`\n🧰 Starting scrape job ${jobId} (${job.type})`);
+
+  // Progress updates are written in order, without blocking the scrape
+  let progressWrite = Promise.resolve();
+  const onProgress = (progress) => {
+    const stored = { ...progress, errors: progress.errors.slice(-MAX_STORED_ERRORS) };
+    progressWrite = progressWrite
+      .then(() => updateScrapeJob(jobId, { progress: stored }))
+      .catch(error => console.error(`⚠️  Could not save progress for job ${jobId}:`, error.message));
+  };
+
+  try {
+    const result = await runners[job.type](job, { jobId, onProgress, signal: controller.signal });
+    await progressWrite;
+    // Store images of the products this job saved; a failure here does not fail the scrape
+    if (!controller.signal.aborted) {
+      result.images = await ingestImages({ since: startedAt, signal: controller.signal })
+        .catch(error => ({ error: error.message }));
+    }
+    const status = controller.signal.aborted ? 'cancelled' : 'completed';
+    await updateScrapeJob(jobId, { status, result, finishedAt: new Date() });
+    console.log(`🧰 Scrape job ${jobId} ${status} (${result.count} products)`);
+  } catch (error) {
+    await progressWrite;
+    console.error(`❌ Scrape job ${jobId} failed:`, error);
+    await updateScrapeJob(jobId, { status: 'failed', error: error.message, finishedAt: new Date() });
+  }
+}
+
+/**
+ * Start the next queued job if nothing is running
+ */
+function processQueue() {
+  if (current || queue.length === 0) {
+    return;
+  }
+
+  const jobId = queue.shift();
+  runJob(jobId)
+    .catch(error => console.error(`❌ Scrape job ${jobId} could not be run:`, error))
+    .finally(() => {
+      current = null;
+      processQueue();
+    });
+}
+
+/**
+ * Queue a scrape job
+ * @param {string} type - 'scrape-all' or 'curated'
+ * @param {Object} params - Job parameters ({ site, region, discovery, targetCounts } for scrape-all,
+ *   { site, region, entryId } for curated; entryId re-scrapes a single curated entry)
+ * @returns {Promise<Object>} The queued job document
+ */
+async function enqueueScrapeJob(type, params = {}) {
+  if (!JOB_TYPES.includes(type)) {
+    throw new Error(`Unknown scrape job type "${type}" (expected one of: ${JOB_TYPES.join(', ')})`);
+  }
+
+  const job = await createScrapeJob(type, params);
+  queue.push(job._id.toString());
+  console.log(`🧰 Queued scrape job ${job._id} (${type}), ${queue.length} waiting`);
+  processQueue();
+  return job;
+}
+
+/**
+ * Cancel a queued or running job
+ * A queued job is cancelled immediately; a running job stops dispatching new pages
+ * and is marked cancelled once the pages in flight finish.
+ * @returns {Promise<{ job: Object|null, cancelled: boolean }>} cancelled is false if the job had already finished
+ */
+async function cancelScrapeJob(id) {
+  const job = await findScrapeJobById(id);
+  if (!job) {
+    return { job: null, cancelled: false };
+  }
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return { job, cancelled: false };
+  }
+
+  const jobId = job._id.toString();
+  const index = queue.indexOf(jobId);
+  if (index !== -1) queue.splice(index, 1);
+  if (current && current.id === jobId) {
+    current.controller.abort();
+  }
+
+  // Conditional, as the worker may be starting the job: a job it has not started yet is
+  // cancelled outright (and never starts), a started one finishes its pages in flight
+  const cancelled = await transitionScrapeJob(jobId, ['queued'], { status: 'cancelled', finishedAt: new Date() });
+  if (!cancelled) {
+    await transitionScrapeJob(jobId, ['running'], { status: 'cancelling' });
+  }
+
+  return { job: await findScrapeJobById(jobId), cancelled: true };
+}
+
+/**
+ * Re-queue jobs left unfinished by a previous server process
+ * Call once after connecting to MongoDB.
+ */
+async function recoverScrapeJobs() {
+  const unfinished = await findScrapeJobsByStatus(['queued', 'running', 'cancelling']);
+
+  for (const job of unfinished) {
+    const jobId = job._id.toString();
+    if (job.status === 'cancelling') {
+      await updateScrapeJob(jobId, { status: 'cancelled', finishedAt: new Date() });
+      continue;
+    }
+    if (job.status === 'running') {
+      console.log(`♻️  Scrape job ${jobId} was interrupted by a restart, queuing it again`);
+      await updateScrapeJob(jobId, { status: 'queued', restarts: (job.restarts || 0) + 1 });
+    }
+    if (!queue.includes(jobId)) {
+      queue.push(jobId);
+    }
+  }
+
+  if (unfinished.length > 0) {
+    console.log(`🧰 Recovered ${queue.length} scrape jobs`);
+  }
+  processQueue();
+}
+
+module.exports = {
+  JOB_TYPES,
+  enqueueScrapeJob,
+  cancelScrapeJob,
+  recoverScrapeJobs,
+};
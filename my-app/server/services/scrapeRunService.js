@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { findProductsBySite, productDocuments, upsertProduct } = require('../db/repositories');
+const { createScrapeRun, updateScrapeRun } = require('../db/scrapeRuns');
+const { diffCatalog } = require('../scraper/catalogDiff');
+const { computeRunHealth, getHealthThresholds } = require('../scraper/scrapeHealth');
+const { DEFAULT_REGION } = require('../scraper/regions');
+const { CRAWL_DISALLOWED } = require('../scraper/crawlPolicy');
+const RetailerAdapter = require('../scraper/retailerAdapter');
+
+/**
+ * Scrape runs and their diff reports
+ * Every scrape-all and curated run (CLI or background job) is recorded in the `scrape_runs`
+ * collection with its config, start and end times, per-task counts, failed URLs and the
+ * number of products it wrote, so catalog freshness can be audited.
+ * For scrape-all runs the stored catalog is read when the run starts, before any product is
+ * upserted, and kept with the run's checkpoint; a resumed run reuses it instead of the catalog
+ * its first attempt already wrote to. When the run ends its checkpoint (every listing and
+ * extracted product) is compared with it and the diff is stored on the run and written to a
+ * JSON report, along with the run's extraction health (see scraper/scrapeHealth.js).
+ */
+
+const DEFAULT_REPORT_DIR = 'logs/scrape-runs';
+
+// Keep run documents small; failedUrlCount has the full count
+const MAX_STORED_FAILED_URLS = 500;
+
+// Reason of a failed URL by error code; other failures (extraction, listing) are 'error'
+const FAILURE_REASONS = {
+  [RetailerAdapter.PAGE_LOAD_FAILED]: 'page-load-failed',
+  [CRAWL_DISALLOWED]: 'crawl-disallowed',
+};
+
+/**
+ * Record a new run and, for scrape-all runs, read the catalog it will be compared with
+ * @param {Object} fields - { type: 'scrape-all' | 'curated', site, region, source: 'cli' | 'job',
+ *   jobId, config, checkpoint } - config is what the run was asked to do (target counts, discovery,
+ *   entries...); checkpoint is the scrape-all run's checkpoint, which keeps the catalog baseline
+ *   across resumes
+ * @returns {Promise<Object>} The run: { runId, type, site, region, storedDocs, startedAt,
+ *   productsWritten, progress }, passed to the other functions of this module
+ */
+async function startScrapeRun({
+  type = 'scrape-all', site, region = DEFAULT_REGION, source, jobId = null, config = {}, checkpoint = null,
+}) {
+  const record = await createScrapeRun({ type, site, region, source, jobId, config });
+  const run = {
+    runId: record._id.toString(),
+    type,
+    site,
+    region,
+    storedDocs: [],
+    startedAt: record.startedAt,
+    productsWritten: 0,
+    progress: null,
+  };
+  const baseline = type === 'scrape-all' && checkpoint ? checkpoint.loadBaseline() : null;
+  if (baseline) {
+    run.storedDocs = baseline;
+    console.log(`🧾 Scrape run ${run.runId}: resuming, comparing against the ${baseline.length} ${site} products (${region}) stored before ${checkpoint.state.startedAt}`);
+  } else if (type === 'scrape-all') {
+    run.storedDocs = await findProductsBySite(site, region);
+    if (checkpoint) checkpoint.saveBaseline(run.storedDocs);
+    console.log(`🧾 Scrape run ${run.runId}: comparing against ${run.storedDocs.length} stored ${site} products (${region})`);
+  } else {
+    console.log(`🧾 Scrape run ${run.runId} (${type})`);
+  }
+  return run;
+}
+
+/**
+ * Save a product scraped by a run, counting it toward the run's products written
+ * (a failed save is logged and does not stop the run)
+ */
+async function saveRunProduct(run, product) {
+  try {
+    await upsertProduct(product);
+    run.productsWritten++;
+  } catch (error) {
+    console.error(`   ❌ Error saving ${product.url} to MongoDB:`, error.message);
+  }
+}
+
+/**
+ * Keep a run's latest progress ({ tasksTotal, tasksDone, productsFound, errors }) for its record
+ */
+function recordRunProgress(run, progress) {
+  run.progress = progress;
+}
+
+/**
+ * The run's listings and extracted products per task, from its checkpoint
+ * @returns {{ tasks: Object[], products: Object[], emptyPageCount: number }} tasks in the
+ *   shape diffCatalog expects; products are the scraped products (cotton or not)
+ */
+function runFromCheckpoint(checkpoint) {
+  const products = [];
+  let emptyPageCount = 0;
+
+  const tasks = checkpoint.getTasks().map(task => {
+    const entries = Object.entries(task.urls || {});
+    const taskProducts = entries.filter(([, entry]) => entry.product).map(([, entry]) => entry.product);
+    const emptyUrls = entries.filter(([, entry]) => entry.status === 'skipped').map(([url]) => url);
+    products.push(...taskProducts);
+    emptyPageCount += emptyUrls.length;
+
+    return {
+      taskKey: task.taskKey,
+      listedUrls: task.productUrls || [],
+      listingComplete: task.listingComplete,
+      documents: taskProducts.flatMap(productDocuments),
+      emptyUrls,
+    };
+  });
+
+  return { tasks, products, emptyPageCount };
+}
+
+/**
+ * Per-task counts, failed URLs and timing of a run, as stored on its record
+ * Scrape-all tasks are counted from the checkpoint; a curated run is a single 'curated' task.
+ * @param {Object} run - Result of startScrapeRun
+ * @param {ScrapeCheckpoint|null} checkpoint - The run's checkpoint (scrape-all runs)
+ */
+function runStats(run, checkpoint) {
+  const errors = (run.progress && run.progress.errors) || [];
+  const failedFor = (taskKey) => errors.filter(error => (error.task || 'curated') === taskKey).length;
+
+  let tasks;
+  if (checkpoint) {
+    tasks = checkpoint.getTasks().map(task => {
+      const entries = Object.values(task.urls || {});
+      return {
+        task: task.taskKey,
+        status: task.status,
+        listed: (task.productUrls || []).length,
+        extracted: entries.filter(entry => entry.product).length,
+        skipped: entries.filter(entry => entry.status === 'skipped').length,
+        failed: failedFor(task.taskKey),
+        productsFound: task.products.length,
+      };
+    });
+  } else if (run.progress) {
+    const { tasksTotal, tasksDone, productsFound } = run.progress;
+    tasks = [{
+      task: 'curated',
+      status: tasksDone === tasksTotal ? 'done' : 'running',
+      listed: tasksTotal,
+      extracted: productsFound,
+      skipped: tasksDone - productsFound - errors.length,
+      failed: errors.length,
+      productsFound,
+    }];
+  } else {
+    tasks = [];
+  }
+
+  const finishedAt = new Date();
+  return {
+    tasks,
+    failedUrls: errors.slice(0, MAX_STORED_FAILED_URLS).map(({ task, url, message, code }) => ({
+      task: task || 'curated',
+      url: url || null,
+      reason: FAILURE_REASONS[code] || 'error',
+      message,
+    })),
+    failedUrlCount: errors.length,
+    productsWritten: run.productsWritten,
+    finishedAt,
+    durationMs: finishedAt - run.startedAt,
+  };
+}
+
+/**
+ * Log a run's health, listing every threshold it missed
+ */
+function logRunHealth(health) {
+  const coverage = Object.entries(health.fieldCoverage)
+    .map(([field, value]) => `${field} ${value ?? '-'}%`)
+    .join(', ');
+  console.log(`\n🩺 Extraction health: ${health.healthy ? 'healthy' : 'UNHEALTHY'}`);
+  console.log(`   ${health.productsExtracted}/${health.pagesFetched} product pages yielded a product; ${coverage}`);
+  health.issues.forEach(issue => console.log(`   ⚠️  ${issue}`));
+}
+
+/**
+ * Write a scrape-all run's diff and health report
+ * @returns {string|null} The report file, or null if it could not be written
+ */
+function writeRunReport(run, reportDir, report) {
+  const reportFile = path.join(reportDir, `${run.runId}.json`);
+  try {
+    fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(reportFile, JSON.stringify({ runId: run.runId, site: run.site, region: run.region, ...report }, null, 2), 'utf8');
+    return reportFile;
+  } catch (error) {
+    console.error(`   ⚠️  Could not write diff report: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a finished run's counts; a scrape-all run is also diffed against the catalog read at
+ * its start and its report is stored
+ * @param {Object} run - Result of startScrapeRun
+ * @param {ScrapeCheckpoint|null} checkpoint - The run's checkpoint (before it is removed); null for curated runs
+ * @param {Object} options
+ * @param {string} options.status - Final run status ('completed' or 'cancelled')
+ * @param {string} options.reportDir - Directory for JSON reports (default: logs/scrape-runs)
+ * @returns {Promise<{ runId: string, productsWritten: number, failedUrlCount: number, durationMs: number,
+ *   summary: Object|null, health: Object|null, reportFile: string|null }>}
+ */
+async function finishScrapeRun(run, checkpoint, { status = 'completed', reportDir = DEFAULT_REPORT_DIR } = {}) {
+  const stats = runStats(run, checkpoint);
+  const { productsWritten, failedUrlCount, durationMs } = stats;
+  console.log(`\n🧾 Scrape run ${run.runId} ${status} in ${Math.round(durationMs / 1000)}s: ${productsWritten} products written, ${failedUrlCount} failed URLs`);
+
+  if (!checkpoint) {
+    await updateScrapeRun(run.runId, { status, ...stats });
+    return { runId: run.runId, productsWritten, failedUrlCount, durationMs, summary: null, health: null, reportFile: null };
+  }
+
+  const runData = runFromCheckpoint(checkpoint);
+  const diff = diffCatalog(run.storedDocs, runData);
+  const health = computeRunHealth(runData.products, runData.emptyPageCount, getHealthThresholds());
+  const reportFile = writeRunReport(run, reportDir, { status, finishedAt: stats.finishedAt, health, ...diff });
+
+  await updateScrapeRun(run.runId, { status, ...stats, summary: diff.summary, diff, health, reportFile });
+  logRunHealth(health);
+
+  const { summary } = diff;
+  console.log(`\n🧾 Changes since the last scrape (run ${run.runId}):`);
+  console.log(`   New: ${summary.newCount}, removed: ${summary.removedCount}, delisted: ${summary.delistedCount}`);
+  console.log(`   Price changes: ${summary.priceChangeCount}, composition changes: ${summary.compositionChangeCount}`);
+  diff.compositionChanges.forEach(change => {
+    const flag = change.leftCottonFilter ? ' ⚠️  now below 90% cotton' : '';
+    console.log(`   🧵 ${change.name}: "${change.from.materials}" → "${change.to.materials}"${flag}`);
+  });
+  if (reportFile) {
+    console.log(`   Report: ${reportFile}`);
+  }
+
+  return { runId: run.runId, productsWritten, failedUrlCount, durationMs, summary, health, reportFile };
+}
+
+/**
+ * Mark a run failed, storing its counts so far (no diff is produced)
+ * @param {ScrapeCheckpoint|null} checkpoint - The run's checkpoint, if it has one
+ */
+async function failScrapeRun(run, error, checkpoint = null) {
+  await updateScrapeRun(run.runId, { status: 'failed', error: error.message, ...runStats(run, checkpoint) });
+}
+
+module.exports = {
+  DEFAULT_REPORT_DIR,
+  startScrapeRun,
+  saveRunProduct,
+  recordRunProgress,
+  finishScrapeRun,
+  failScrapeRun,
+  runFromCheckpoint,
+};